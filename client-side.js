@@ -0,0 +1,271 @@
+const admin = require('firebase-admin');
+
+/**
+ * Client-side evaluation helpers, for the parts of a query Firestore can't
+ * run server-side: ordering merged results, matching conditions (including
+ * pattern matching), grouping and aggregating fetched documents.
+ */
+
+// Compiled LIKE and REGEXP patterns, by operator and pattern
+const patternCache = new Map();
+const PATTERN_CACHE_SIZE = 100;
+
+/**
+ * Compare two Firestore values using Firestore's cross-type ordering:
+ * null < booleans < numbers < timestamps < strings < bytes < references
+ * < geopoints < arrays < maps
+ * @param {*} a - First value
+ * @param {*} b - Second value
+ * @returns {number} Negative, zero or positive
+ */
+function compareValues(a, b) {
+  const rankA = typeRank(a);
+  const rankB = typeRank(b);
+  if (rankA !== rankB) return rankA - rankB;
+
+  switch (rankA) {
+    case 0:
+      return 0;
+    case 1:
+    case 2:
+      return a === b ? 0 : (a < b ? -1 : 1);
+    case 3:
+      return toMillis(a) - toMillis(b);
+    case 4:
+      return a === b ? 0 : (a < b ? -1 : 1);
+    case 5:
+      return Buffer.compare(Buffer.from(a), Buffer.from(b));
+    case 6:
+      return comparePaths(a.path, b.path);
+    case 7:
+      return compareValues(a.latitude, b.latitude) || compareValues(a.longitude, b.longitude);
+    case 8:
+      for (let i = 0; i < Math.min(a.length, b.length); i++) {
+        const result = compareValues(a[i], b[i]);
+        if (result !== 0) return result;
+      }
+      return a.length - b.length;
+    default:
+      return compareValues(JSON.stringify(a), JSON.stringify(b));
+  }
+}
+
+/**
+ * Compare two document paths the way Firestore orders them: segment by
+ * segment, so 'users/a/x' sorts before 'users/a-b' although '/' > '-'
+ * @param {string} a - First document path
+ * @param {string} b - Second document path
+ * @returns {number} Negative, zero or positive
+ */
+function comparePaths(a, b) {
+  const segmentsA = a.split('/');
+  const segmentsB = b.split('/');
+  for (let i = 0; i < Math.min(segmentsA.length, segmentsB.length); i++) {
+    const result = compareValues(segmentsA[i], segmentsB[i]);
+    if (result !== 0) return result;
+  }
+  return segmentsA.length - segmentsB.length;
+}
+
+function typeRank(value) {
+  if (value === null || value === undefined) return 0;
+  if (typeof value === 'boolean') return 1;
+  if (typeof value === 'number') return 2;
+  if (value instanceof Date || value instanceof admin.firestore.Timestamp) return 3;
+  if (typeof value === 'string') return 4;
+  if (Buffer.isBuffer(value) || value instanceof Uint8Array) return 5;
+  if (value instanceof admin.firestore.DocumentReference) return 6;
+  if (value instanceof admin.firestore.GeoPoint) return 7;
+  if (Array.isArray(value)) return 8;
+  return 9;
+}
+
+function toMillis(value) {
+  return value instanceof Date ? value.getTime() : value.toMillis();
+}
+
+/**
+ * Check whether two values are equal in Firestore's sense
+ * @param {*} a - First value
+ * @param {*} b - Second value
+ * @returns {boolean} True if equal
+ */
+function valuesEqual(a, b) {
+  return typeRank(a) === typeRank(b) && compareValues(a, b) === 0;
+}
+
+/**
+ * Evaluate a conditions tree against a value source, with Firestore's
+ * semantics: missing fields never match (except IS MISSING), range
+ * comparisons only match values of the same type, and LIKE, ILIKE and
+ * REGEXP only match strings
+ * @param {Object} conditions - Conditions tree (condition, logical and not nodes)
+ * @param {Function} getValue - Returns the value a condition compares (its
+ *   field, or its expression computed), or undefined if missing
+ * @returns {boolean} True if the conditions hold
+ */
+function matchesConditions(conditions, getValue) {
+  if (conditions.type === 'logical') {
+    return conditions.operator === 'AND' ?
+      matchesConditions(conditions.left, getValue) && matchesConditions(conditions.right, getValue) :
+      matchesConditions(conditions.left, getValue) || matchesConditions(conditions.right, getValue);
+  }
+
+  if (conditions.type === 'not') {
+    return !matchesConditions(conditions.operand, getValue);
+  }
+
+  const actual = getValue(conditions);
+  const expected = conditions.value;
+  if (conditions.operator === 'IS MISSING' || conditions.operator === 'IS NOT MISSING') {
+    return (actual === undefined) === (conditions.operator === 'IS MISSING');
+  }
+  if (actual === undefined) {
+    return false;
+  }
+
+  switch (conditions.operator) {
+    case '=':
+      return valuesEqual(actual, expected);
+    case '!=':
+      return !valuesEqual(actual, expected);
+    case '<':
+    case '<=':
+    case '>':
+    case '>=': {
+      if (typeRank(actual) !== typeRank(expected)) return false;
+      const result = compareValues(actual, expected);
+      return { '<': result < 0, '<=': result <= 0, '>': result > 0, '>=': result >= 0 }[conditions.operator];
+    }
+    case 'IN':
+      return expected.some(value => valuesEqual(actual, value));
+    case 'NOT IN':
+      return !expected.some(value => valuesEqual(actual, value));
+    case 'CONTAINS':
+      return Array.isArray(actual) && actual.some(value => valuesEqual(value, expected));
+    case 'CONTAINS ANY':
+      return Array.isArray(actual) && actual.some(item => expected.some(value => valuesEqual(item, value)));
+    case 'LIKE':
+    case 'ILIKE':
+    case 'REGEXP':
+      return typeof actual === 'string' && patternRegExp(conditions.operator, expected).test(actual);
+    case 'NOT LIKE':
+    case 'NOT ILIKE':
+    case 'NOT REGEXP':
+      return typeof actual === 'string' && !patternRegExp(conditions.operator.slice(4), expected).test(actual);
+    default:
+      throw new Error(`Unsupported operator: ${conditions.operator}`);
+  }
+}
+
+/**
+ * Split a LIKE pattern into literal text and wildcards: % matches any run of
+ * characters, _ one character, and a backslash makes the next character literal
+ * @param {string} pattern - LIKE pattern
+ * @returns {Array<string|{wildcard: string}>} Literal runs and wildcards, in order
+ */
+function parseLikePattern(pattern) {
+  const parts = [];
+  let text = '';
+  const chars = [...pattern];
+
+  for (let i = 0; i < chars.length; i++) {
+    if (chars[i] === '\\' && i + 1 < chars.length) {
+      text += chars[++i];
+    } else if (chars[i] === '%' || chars[i] === '_') {
+      if (text) parts.push(text);
+      parts.push({ wildcard: chars[i] });
+      text = '';
+    } else {
+      text += chars[i];
+    }
+  }
+  if (text) parts.push(text);
+  return parts;
+}
+
+/**
+ * Regular expression testing a string against a LIKE, ILIKE or REGEXP
+ * pattern. LIKE patterns match the whole string; REGEXP searches it.
+ * @param {string} operator - 'LIKE', 'ILIKE' or 'REGEXP'
+ * @param {string} pattern - Pattern
+ * @returns {RegExp} Compiled pattern
+ */
+function patternRegExp(operator, pattern) {
+  const key = `${operator} ${pattern}`;
+  if (patternCache.has(key)) {
+    return patternCache.get(key);
+  }
+
+  let regExp;
+  if (operator === 'REGEXP') {
+    regExp = new RegExp(pattern);
+  } else {
+    const source = parseLikePattern(pattern).map(part => {
+      if (typeof part === 'string') return part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      return part.wildcard === '%' ? '.*' : '.';
+    }).join('');
+    regExp = new RegExp(`^${source}$`, operator === 'ILIKE' ? 'siu' : 'su');
+  }
+
+  if (patternCache.size >= PATTERN_CACHE_SIZE) {
+    patternCache.clear();
+  }
+  patternCache.set(key, regExp);
+  return regExp;
+}
+
+/**
+ * Compute an aggregate function over the values of a group. SUM and AVG
+ * ignore non-numeric values like Firestore does; MIN and MAX ignore null and
+ * missing values.
+ * @param {string} fn - 'COUNT', 'SUM', 'AVG', 'MIN' or 'MAX'
+ * @param {Array} values - Field values of each row (one entry per row for COUNT(*))
+ * @returns {*} Aggregated value, null when there is nothing to aggregate
+ */
+function computeAggregate(fn, values) {
+  if (fn === 'COUNT') {
+    return values.length;
+  }
+
+  if (fn === 'MIN' || fn === 'MAX') {
+    const present = values.filter(value => value !== null && value !== undefined);
+    if (present.length === 0) return null;
+    return present.reduce((best, value) => {
+      const result = compareValues(value, best);
+      return (fn === 'MIN' ? result < 0 : result > 0) ? value : best;
+    });
+  }
+
+  const numbers = values.filter(value => typeof value === 'number');
+  const sum = numbers.reduce((total, value) => total + value, 0);
+
+  if (fn === 'SUM') {
+    return sum;
+  }
+  return numbers.length > 0 ? sum / numbers.length : null;
+}
+
+/**
+ * Build a string key identifying a combination of values, for grouping
+ * @param {Array} values - Group values
+ * @returns {string} Group key
+ */
+function groupKey(values) {
+  return JSON.stringify(values.map(value => {
+    if (value === undefined) return ['undefined'];
+    if (value instanceof Date || value instanceof admin.firestore.Timestamp) return ['timestamp', toMillis(value)];
+    if (value instanceof admin.firestore.DocumentReference) return ['reference', value.path];
+    return [typeRank(value), value];
+  }));
+}
+
+module.exports = {
+  compareValues,
+  comparePaths,
+  valuesEqual,
+  matchesConditions,
+  parseLikePattern,
+  computeAggregate,
+  groupKey
+};
@@ -0,0 +1,221 @@
+const { tokenize, formatFieldPath, AGGREGATE_FUNCTIONS, UPDATE_FUNCTIONS, LITERAL_FUNCTIONS } = require('./sql-parser');
+const { FunctionRegistry } = require('./functions');
+
+/**
+ * Tab completion for the REPL: SQL keywords and functions everywhere,
+ * collection paths after FROM (and the other words naming a collection),
+ * and field names in the clauses that take fields. Collections are listed
+ * with listCollections() and fields sampled from documents the first time
+ * they are needed, then cached for the session.
+ */
+
+const KEYWORDS = [
+  'SELECT', 'DISTINCT', 'FROM', 'JOIN', 'LEFT', 'INNER', 'OUTER', 'ON', 'WHERE', 'AND', 'OR', 'NOT', 'IN', 'CONTAINS', 'ANY',
+  'LIKE', 'ILIKE', 'REGEXP', 'IS', 'MISSING',
+  'GROUP', 'BY', 'HAVING', 'ORDER', 'ASC', 'DESC', 'LIMIT', 'OFFSET', 'AS',
+  'START', 'END', 'AFTER', 'BEFORE', 'AT', 'TRUE', 'FALSE', 'NULL',
+  'TIMESTAMP', 'DATE', 'INTERVAL', 'TIME', 'ZONE',
+  'INSERT', 'INTO', 'VALUES', 'UPDATE', 'SET', 'DELETE', 'DRY', 'RUN', 'CASCADE',
+  'EXPLAIN', 'ANALYZE', 'SHOW', 'COLLECTIONS', 'SUBCOLLECTIONS', 'OF', 'DESCRIBE', 'SAMPLE',
+  'COLLECTION_GROUP'
+];
+
+// Functions that aren't in the function registry
+const SQL_FUNCTIONS = [...AGGREGATE_FUNCTIONS, ...UPDATE_FUNCTIONS, ...LITERAL_FUNCTIONS];
+
+// Words a statement starts with, and the special commands of the REPL
+const STATEMENT_KEYWORDS = ['SELECT', 'INSERT', 'UPDATE', 'DELETE', 'DRY', 'EXPLAIN', 'SHOW', 'DESCRIBE'];
+const COMMANDS = ['HELP', 'NEXT', 'INDEXES', 'SETTINGS', 'SET', 'EXIT', 'QUIT', '\\format'];
+
+// Words followed by a collection path
+const PATH_KEYWORDS = ['FROM', 'JOIN', 'INTO', 'UPDATE', 'DESCRIBE', 'OF'];
+
+// Clause keywords after which fields are expected; BY stands for ORDER BY and GROUP BY
+const FIELD_CLAUSES = ['SELECT', 'ON', 'WHERE', 'BY', 'HAVING', 'SET'];
+const CLAUSE_KEYWORDS = [...FIELD_CLAUSES, ...PATH_KEYWORDS, 'VALUES', 'LIMIT', 'OFFSET', 'START', 'END', 'SAMPLE'];
+
+// Documents read to learn the field names of a collection
+const FIELD_SAMPLE_SIZE = 20;
+
+// The collection a statement reads or writes, wherever the cursor is
+const SOURCE_PATTERN = /\b(?:FROM|INTO|UPDATE|DESCRIBE)\s+(?:COLLECTION_GROUP\s*\(\s*([\w-]+)\s*\)|([^\s;,()]+))/i;
+
+class Completer {
+  /**
+   * @param {Object} db - Firestore database
+   * @param {FunctionRegistry} [functions] - Scalar functions to complete
+   *   (the built-in ones by default)
+   */
+  constructor(db, functions = new FunctionRegistry()) {
+    this.db = db;
+    this.functions = functions;
+    this.collections = new Map();
+    this.fields = new Map();
+  }
+
+  /**
+   * Work out the completions for the word before the cursor
+   * @param {string} before - Statement text up to the cursor, earlier lines of
+   *   a multiline statement included
+   * @param {string} statement - Whole statement text, for the collection it uses
+   * @returns {Promise<[Array<string>, string]>} Candidates and the word they
+   *   complete, as readline expects from a completer
+   */
+  async complete(before, statement) {
+    const word = before.match(/[\w$.\/\\-]*$/)[0];
+    const context = this.context(before.slice(0, before.length - word.length));
+    if (!context) {
+      return [[], word];
+    }
+
+    if (context.type === 'path') {
+      return [(await this.completePath(word)).filter(path => path.startsWith(word)), word];
+    }
+    if (context.type === 'collection-id') {
+      return [(await this.listCollections('')).filter(id => id.startsWith(word)), word];
+    }
+
+    const fields = context.type === 'fields' ? await this.sourceFields(statement) : [];
+    const words = context.type === 'start' ? [...STATEMENT_KEYWORDS, ...COMMANDS] : [...KEYWORDS, ...SQL_FUNCTIONS, ...this.functions.names()];
+    const matches = [
+      ...fields.filter(field => field.startsWith(word)),
+      ...matchCase(word, words.filter(keyword => keyword.toUpperCase().startsWith(word.toUpperCase())))
+    ];
+    return [matches, word];
+  }
+
+  /**
+   * Find what is expected at the cursor from the tokens before it
+   * @param {string} text - Statement text before the word being completed
+   * @returns {{type: 'start'|'path'|'collection-id'|'fields'|'keywords'}|null}
+   *   Completion context, or null inside a string or a quoted identifier
+   */
+  context(text) {
+    let tokens;
+    try {
+      tokens = tokenize(text).filter(token => token.type !== 'eof');
+    } catch (error) {
+      return null;
+    }
+
+    const keyword = token => token && token.type === 'identifier' ? token.value.toUpperCase() : null;
+    const last = tokens[tokens.length - 1];
+
+    if (tokens.length === 0) {
+      return { type: 'start' };
+    }
+    if (PATH_KEYWORDS.includes(keyword(last))) {
+      return { type: 'path' };
+    }
+    if (last.value === '(' && keyword(tokens[tokens.length - 2]) === 'COLLECTION_GROUP') {
+      return { type: 'collection-id' };
+    }
+
+    const clause = [...tokens].reverse().map(keyword).find(word => CLAUSE_KEYWORDS.includes(word));
+    return { type: FIELD_CLAUSES.includes(clause) ? 'fields' : 'keywords' };
+  }
+
+  /**
+   * Complete a collection path: root collections for the first segment,
+   * subcollections of the document before the last slash after that.
+   * Document IDs aren't listed, since a collection may hold millions.
+   * @param {string} word - Path typed so far
+   * @returns {Promise<Array<string>>} Full paths
+   */
+  async completePath(word) {
+    const segments = word.split('/');
+    if (segments.length % 2 === 0) {
+      return [];
+    }
+
+    const parent = segments.slice(0, -1).join('/');
+    const ids = await this.listCollections(parent);
+    return ids.map(id => parent ? `${parent}/${id}` : id);
+  }
+
+  /**
+   * IDs of the collections under a document, or of the root collections
+   * @param {string} documentPath - Document path, or '' for the root
+   * @returns {Promise<Array<string>>} Collection IDs (empty when listing fails)
+   */
+  listCollections(documentPath) {
+    return cached(this.collections, documentPath, async () => {
+      const parent = documentPath ? this.db.doc(documentPath) : this.db;
+      const collections = await parent.listCollections();
+      return collections.map(collection => collection.id).sort();
+    });
+  }
+
+  /**
+   * Field names of the collection a statement uses, sampled from a few of
+   * its documents; nested map fields are listed as dotted paths
+   * @param {string} statement - Statement text
+   * @returns {Promise<Array<string>>} Field paths, 'id' first
+   */
+  sourceFields(statement) {
+    const match = statement.match(SOURCE_PATTERN);
+    if (!match) {
+      return Promise.resolve([]);
+    }
+
+    const collectionGroup = Boolean(match[1]);
+    const path = match[1] || match[2];
+    if (path.split('/').length % 2 === 0) {
+      return Promise.resolve([]);
+    }
+
+    return cached(this.fields, `${collectionGroup ? 'group:' : ''}${path}`, async () => {
+      const source = collectionGroup ? this.db.collectionGroup(path) : this.db.collection(path);
+      const snapshot = await source.limit(FIELD_SAMPLE_SIZE).get();
+      const fields = new Set();
+
+      const visit = (data, segments) => {
+        Object.keys(data).forEach(key => {
+          const value = data[key];
+          fields.add(formatFieldPath([...segments, key]));
+          if (isMap(value)) {
+            visit(value, [...segments, key]);
+          }
+        });
+      };
+      snapshot.docs.forEach(doc => visit(doc.data(), []));
+
+      return ['id', ...[...fields].sort()];
+    });
+  }
+}
+
+/**
+ * Look up a cached lookup, running it the first time. A failed lookup
+ * (offline, no permission) completes nothing and is tried again next time.
+ * @param {Map} cache - Cache of lookup promises
+ * @param {string} key - Cache key
+ * @param {Function} lookup - Async function computing the value
+ * @returns {Promise<Array<string>>} Cached value
+ */
+function cached(cache, key, lookup) {
+  if (!cache.has(key)) {
+    cache.set(key, lookup().catch(() => {
+      cache.delete(key);
+      return [];
+    }));
+  }
+  return cache.get(key);
+}
+
+// Keywords are completed in lowercase while the word being typed is
+// lowercase, and always keep the prefix as typed
+function matchCase(word, keywords) {
+  const lowercase = word !== '' && word === word.toLowerCase();
+  return keywords.map(keyword => {
+    const completion = lowercase && /^[A-Z_]+$/.test(keyword) ? keyword.toLowerCase() : keyword;
+    return word + completion.slice(word.length);
+  });
+}
+
+// Plain object from a document: a map field rather than a timestamp, reference or array
+function isMap(value) {
+  return value !== null && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype;
+}
+
+module.exports = { Completer };
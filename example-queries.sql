@@ -1,37 +1,37 @@
 -- Example SQL queries for Firestore SQL CLI
--- Copy and paste these into the interactive CLI
+-- Copy and paste these into the interactive CLI (statements end with a semicolon)
 
 -- Special Commands
-HELP
+HELP;
 
 -- COUNT Queries
-SELECT COUNT(*) FROM users
-SELECT COUNT(*) FROM challenges WHERE state = "active"
-SELECT COUNT(*) FROM challenges WHERE state = "active" AND type = "public"
-SELECT COUNT(*) FROM users WHERE firstName = "franck"
-SELECT COUNT(*) FROM users/P8RlU12un4UKc0cR1p5DHrtIpdu1/feed WHERE type = "new_public_challenge"
+SELECT COUNT(*) FROM users;
+SELECT COUNT(*) FROM challenges WHERE state = "active";
+SELECT COUNT(*) FROM challenges WHERE state = "active" AND type = "public";
+SELECT COUNT(*) FROM users WHERE firstName = "franck";
+SELECT COUNT(*) FROM users/P8RlU12un4UKc0cR1p5DHrtIpdu1/feed WHERE type = "new_public_challenge";
 
 -- Basic queries
-SELECT * FROM users LIMIT 10
-SELECT id, email, toDate(createdAt) FROM users ORDER BY createdAt DESC LIMIT 5
-SELECT prettyJson(*) FROM users LIMIT 1
+SELECT * FROM users LIMIT 10;
+SELECT id, email, toDate(createdAt) FROM users ORDER BY createdAt DESC LIMIT 5;
+SELECT prettyJson(*) FROM users LIMIT 1;
 
 -- Subcollection queries (direct collection paths)
-SELECT * FROM users/P8RlU12un4UKc0cR1p5DHrtIpdu1/feed
-SELECT * FROM posts/postId/comments WHERE approved = true
-SELECT COUNT(*) FROM users/userId/notifications WHERE read = false
+SELECT * FROM users/P8RlU12un4UKc0cR1p5DHrtIpdu1/feed;
+SELECT * FROM posts/postId/comments WHERE approved = true;
+SELECT COUNT(*) FROM users/userId/notifications WHERE read = false;
 
 -- Filtering
-SELECT name, email FROM users WHERE age > 25
+SELECT name, email FROM users WHERE age > 25;
 
 -- Ordering
-SELECT * FROM products ORDER BY price DESC LIMIT 5
-SELECT * FROM users ORDER BY createdAt DESC LIMIT 10
+SELECT * FROM products ORDER BY price DESC LIMIT 5;
+SELECT * FROM users ORDER BY createdAt DESC LIMIT 10;
 
 -- Complex filtering
 SELECT * FROM restaurants 
 WHERE city = 'Chicago' AND price < 50
-ORDER BY rating DESC
+ORDER BY rating DESC;
 
 -- Multiline queries (end with semicolon)
 SELECT * FROM users
@@ -0,0 +1,424 @@
+const admin = require('firebase-admin');
+
+/**
+ * Result formatters: render query rows as a table, vertical records, JSON,
+ * NDJSON, CSV, TSV or Markdown. The data formats (JSON, NDJSON, CSV, TSV)
+ * go through toPlainValue(), so a timestamp, a reference or a geopoint reads
+ * the same in all of them; the formats read by people show Firestore types
+ * in the literal syntax of the SQL dialect (see formatValue()).
+ */
+
+const FORMATS = ['table', 'vertical', 'json', 'ndjson', 'csv', 'tsv', 'markdown'];
+
+// Formats read by other programs: only the data belongs on stdout
+const MACHINE_FORMATS = ['json', 'ndjson', 'csv', 'tsv'];
+
+// Narrowest a table column gets when squeezed to fit the terminal
+const MIN_COLUMN_WIDTH = 6;
+
+const COLUMN_SEPARATOR = ' | ';
+
+// Rows laid out together: a table block, or the rows CSV, TSV and Markdown
+// take their columns from
+const BLOCK_SIZE = 1000;
+
+// Longest bytes value shown in full; longer ones are cut after this many bytes
+const MAX_BYTES_SHOWN = 32;
+
+// Tokens of a toDate() format string
+const DATE_TOKENS = /\[[^\]]*\]|YYYY|YY|MM|DD|HH|hh|mm|ss|SSS|A|Z/g;
+
+/**
+ * Convert a Firestore value to plain JSON data for the data formats:
+ * timestamps become ISO 8601 strings, references their document path, bytes
+ * base64 and geopoints {latitude, longitude}; arrays and maps are converted
+ * recursively. The formats read by people use formatValue() instead.
+ * @param {*} value - Value from a result row
+ * @returns {*} JSON-compatible value (undefined stays undefined)
+ */
+function toPlainValue(value) {
+  if (value === null || value === undefined) return value;
+  if (value instanceof admin.firestore.Timestamp) return value.toDate().toISOString();
+  if (value instanceof Date) return value.toISOString();
+  if (value instanceof admin.firestore.DocumentReference) return value.path;
+  if (value instanceof admin.firestore.GeoPoint) return { latitude: value.latitude, longitude: value.longitude };
+  if (Buffer.isBuffer(value) || value instanceof Uint8Array) return Buffer.from(value).toString('base64');
+  if (typeof value === 'number' && !Number.isFinite(value)) return String(value);
+  if (Array.isArray(value)) return value.map(item => toPlainValue(item));
+
+  if (typeof value === 'object') {
+    const result = {};
+    Object.keys(value).forEach(key => {
+      result[key] = toPlainValue(value[key]);
+    });
+    return result;
+  }
+  return value;
+}
+
+/**
+ * Render a value as cell text for the formats read by people: strings as
+ * they are, timestamps as ISO 8601, other Firestore types as literals
+ * (REF('users/abc'), GEOPOINT(40.7, -74)), arrays and maps as compact JSON,
+ * and a missing field as an empty cell
+ * @param {*} value - Value from a result row
+ * @returns {string} Cell text (may span several lines)
+ */
+function formatCell(value) {
+  if (value === undefined) return '';
+  if (typeof value === 'string') return value;
+  if (value instanceof admin.firestore.Timestamp || value instanceof Date) return toPlainValue(value);
+  if (typeof value === 'number') return String(value);
+  return formatValue(value);
+}
+
+/**
+ * Render a value as cell text for CSV and TSV: the plain data of
+ * toPlainValue(), with arrays and maps as compact JSON
+ * @param {*} value - Value from a result row
+ * @returns {string} Cell text
+ */
+function formatDataCell(value) {
+  const plain = toPlainValue(value);
+  if (plain === undefined) return '';
+  if (plain === null) return 'null';
+  if (typeof plain === 'object') return JSON.stringify(plain);
+  return String(plain);
+}
+
+/**
+ * Render a value as readable text: JSON for strings, numbers, booleans,
+ * arrays and maps, with Firestore types written the way a query writes
+ * them: TIMESTAMP '...', REF('path'), GEOPOINT(lat, lng) and BYTES(x'...')
+ * (cut after MAX_BYTES_SHOWN bytes)
+ * @param {*} value - Value to render
+ * @param {number} [indent] - Spaces per nesting level; 0 keeps it on one line
+ * @returns {string} Rendered value
+ */
+function formatValue(value, indent = 0) {
+  return renderValue(value, indent, '');
+}
+
+function renderValue(value, indent, padding) {
+  if (value === null || value === undefined) return 'null';
+  if (value instanceof admin.firestore.Timestamp || value instanceof Date) {
+    return `TIMESTAMP '${toPlainValue(value)}'`;
+  }
+  if (value instanceof admin.firestore.DocumentReference) return `REF('${value.path.replace(/'/g, "''")}')`;
+  if (value instanceof admin.firestore.GeoPoint) return `GEOPOINT(${value.latitude}, ${value.longitude})`;
+  if (Buffer.isBuffer(value) || value instanceof Uint8Array) {
+    const bytes = Buffer.from(value);
+    return bytes.length > MAX_BYTES_SHOWN ?
+      `BYTES(x'${bytes.subarray(0, MAX_BYTES_SHOWN).toString('hex')}…', ${bytes.length} bytes)` :
+      `BYTES(x'${bytes.toString('hex')}')`;
+  }
+  if (typeof value === 'number') return Number.isFinite(value) ? String(value) : JSON.stringify(String(value));
+  if (typeof value !== 'object') return JSON.stringify(value);
+
+  const entries = Array.isArray(value) ?
+    value.map(item => [null, item]) :
+    Object.keys(value).filter(key => value[key] !== undefined).map(key => [key, value[key]]);
+  const [open, close] = Array.isArray(value) ? ['[', ']'] : ['{', '}'];
+  if (entries.length === 0) return open + close;
+
+  const inner = padding + ' '.repeat(indent);
+  const items = entries.map(([key, item]) => {
+    const rendered = renderValue(item, indent, inner);
+    return key === null ? rendered : `${JSON.stringify(key)}:${indent ? ' ' : ''}${rendered}`;
+  });
+  if (!indent) return open + items.join(',') + close;
+  return `${open}\n${items.map(item => inner + item).join(',\n')}\n${padding}${close}`;
+}
+
+/**
+ * Format a date for toDate() with a format string in a time zone. Tokens:
+ * YYYY, YY, MM, DD, HH (00-23), hh (01-12), mm, ss, SSS, A (AM/PM) and Z
+ * (UTC offset, +02:00); text in [brackets] is copied as it is.
+ * @param {Date} date - Date to format
+ * @param {string} pattern - Format string, e.g. 'MM/DD/YY HH:mm:ss'
+ * @param {string} zone - IANA time zone name
+ * @returns {string} Formatted date
+ */
+function formatDate(date, pattern, zone) {
+  const parts = {};
+  new Intl.DateTimeFormat('en-US', {
+    timeZone: zone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    second: 'numeric'
+  }).formatToParts(date).forEach(part => {
+    parts[part.type] = Number(part.value);
+  });
+
+  const pad = (number, length = 2) => String(number).padStart(length, '0');
+  const wallClock = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  const offset = Math.round((wallClock - (date.getTime() - date.getUTCMilliseconds())) / 60000);
+
+  const values = {
+    YYYY: pad(parts.year, 4),
+    YY: pad(parts.year % 100),
+    MM: pad(parts.month),
+    DD: pad(parts.day),
+    HH: pad(parts.hour),
+    hh: pad(parts.hour % 12 || 12),
+    mm: pad(parts.minute),
+    ss: pad(parts.second),
+    SSS: pad(date.getUTCMilliseconds(), 3),
+    A: parts.hour < 12 ? 'AM' : 'PM',
+    Z: `${offset < 0 ? '-' : '+'}${pad(Math.floor(Math.abs(offset) / 60))}:${pad(Math.abs(offset) % 60)}`
+  };
+  return pattern.replace(DATE_TOKENS, token => token.startsWith('[') ? token.slice(1, -1) : values[token]);
+}
+
+/**
+ * Columns of a result set: every key of every row, in order of first appearance
+ * @param {Array<Object>} results - Result rows
+ * @returns {Array<string>} Column names
+ */
+function resultColumns(results) {
+  return [...new Set(results.flatMap(result => Object.keys(result)))];
+}
+
+/**
+ * Writes result rows one at a time in one of the FORMATS, so a large result
+ * set is printed while it is still being fetched. Tables are laid out in
+ * blocks of BLOCK_SIZE rows, each sized from its own rows. CSV, TSV and
+ * Markdown write their header once: given the columns, they stream in
+ * blocks too; otherwise they hold every row until end(), since a field may
+ * first show up in the last one.
+ */
+class ResultWriter {
+  /**
+   * @param {string} format - One of FORMATS
+   * @param {Function} output - Called with each piece of text to write
+   * @param {Object} [options] - Rendering options
+   * @param {number} [options.width] - Terminal width tables fit in (Infinity for no limit)
+   * @param {Array<string>} [options.columns] - Columns of every row, when
+   *   known before the rows (see SQLTranslator.columnNames())
+   */
+  constructor(format, output, options = {}) {
+    if (!FORMATS.includes(format)) {
+      throw new Error(`Unknown format "${format}". Available formats: ${FORMATS.join(', ')}`);
+    }
+    this.format = format;
+    this.output = output;
+    this.width = options.width || Infinity;
+    this.count = 0;
+    this.block = [];
+    this.columns = options.columns || null;
+    this.header = false;
+    this.rule = null;
+  }
+
+  /**
+   * Write one result row
+   * @param {Object} row - Result row
+   */
+  write(row) {
+    this.count++;
+
+    switch (this.format) {
+      case 'json':
+        this.output((this.count === 1 ? '[\n' : ',\n') + JSON.stringify(toPlainValue(row), null, 2).replace(/^/gm, '  '));
+        break;
+      case 'ndjson':
+        this.output(JSON.stringify(toPlainValue(row)) + '\n');
+        break;
+      case 'vertical':
+        this.output(formatVertical(row, this.count) + '\n');
+        break;
+      default:
+        this.block.push(row);
+        if (this.block.length >= BLOCK_SIZE && (this.format === 'table' || this.columns)) {
+          this.flush();
+        }
+    }
+  }
+
+  /**
+   * Write what is still buffered and close the output (the JSON array, the
+   * last table rule)
+   */
+  end() {
+    this.flush();
+    if (this.format === 'json') {
+      this.output(this.count === 0 ? '[]\n' : '\n]\n');
+    } else if (this.format === 'table' && this.rule) {
+      this.output(this.rule + '\n');
+    }
+  }
+
+  flush() {
+    const rows = this.block;
+    if (rows.length === 0) return;
+    this.block = [];
+
+    if (this.format === 'table') {
+      const table = formatTable(rows, resultColumns(rows), this.width);
+      this.rule = table.split('\n', 2)[1]; // the line under the header spans the table
+      this.output(`${this.rule}\n${table}\n`);
+      return;
+    }
+
+    if (!this.header) {
+      this.columns = this.columns || resultColumns(rows);
+      this.output(formatHeader(this.format, this.columns) + '\n');
+      this.header = true;
+    }
+
+    this.output(rows.map(row => formatLine(this.format, this.columns, row)).join('\n') + '\n');
+  }
+}
+
+/**
+ * Render result rows in one of the FORMATS
+ * @param {Array<Object>} results - Result rows
+ * @param {string} format - One of FORMATS
+ * @param {Object} [options] - Rendering options (see ResultWriter)
+ * @returns {string} Rendered rows, without a trailing newline
+ */
+function formatResults(results, format, options = {}) {
+  let text = '';
+  const writer = new ResultWriter(format, piece => { text += piece; }, options);
+  results.forEach(result => writer.write(result));
+  writer.end();
+  return text.replace(/\n$/, '');
+}
+
+/**
+ * Table with columns sized from the data. When the table is wider than the
+ * terminal, the widest columns are narrowed and their cells cut with an
+ * ellipsis; multi-line values span several table lines.
+ */
+function formatTable(results, columns, width) {
+  if (results.length === 0) return '';
+
+  const header = columns.map(column => [column]);
+  // Tabs and carriage returns would break the alignment
+  const cellLines = value => formatCell(value).replace(/\t/g, ' ').replace(/\r/g, '').split('\n');
+  const rows = results.map(result => columns.map(column => cellLines(result[column])));
+
+  const widths = columns.map((column, index) => rows.reduce(
+    (widest, row) => Math.max(widest, ...row[index].map(textWidth)),
+    textWidth(column)
+  ));
+  fitWidths(widths, width - COLUMN_SEPARATOR.length * (columns.length - 1));
+
+  const renderRow = cells => {
+    const height = Math.max(...cells.map(lines => lines.length));
+    const lines = [];
+    for (let line = 0; line < height; line++) {
+      lines.push(cells.map((textLines, index) => fitText(textLines[line] || '', widths[index]))
+        .join(COLUMN_SEPARATOR).trimEnd());
+    }
+    return lines.join('\n');
+  };
+
+  const rule = '─'.repeat(widths.reduce((total, columnWidth) => total + columnWidth, 0) +
+    COLUMN_SEPARATOR.length * (columns.length - 1));
+  return [renderRow(header), rule, ...rows.map(renderRow)].join('\n');
+}
+
+/**
+ * Narrow the widest columns, one character at a time, until the total fits
+ * @param {Array<number>} widths - Column widths, changed in place
+ * @param {number} available - Width left for the cells
+ */
+function fitWidths(widths, available) {
+  let total = widths.reduce((sum, columnWidth) => sum + columnWidth, 0);
+  while (total > available) {
+    const widest = widths.indexOf(Math.max(...widths));
+    if (widths[widest] <= MIN_COLUMN_WIDTH) return;
+    widths[widest]--;
+    total--;
+  }
+}
+
+function fitText(text, width) {
+  const characters = [...text];
+  if (characters.length > width) {
+    return characters.slice(0, width - 1).join('') + '…';
+  }
+  return text + ' '.repeat(width - characters.length);
+}
+
+function textWidth(text) {
+  return [...text].length;
+}
+
+/**
+ * One field per line under a numbered banner, like MySQL's \G
+ * @param {Object} row - Result row
+ * @param {number} number - Row number, from 1
+ * @returns {string} Record lines
+ */
+function formatVertical(row, number) {
+  const columns = Object.keys(row).filter(column => row[column] !== undefined);
+  const keyWidth = Math.max(0, ...columns.map(textWidth));
+  const indent = ' '.repeat(keyWidth + 2);
+
+  const banner = `${'*'.repeat(27)} ${number}. row ${'*'.repeat(27)}`;
+  const fields = columns.map(column => `${' '.repeat(keyWidth - textWidth(column))}${column}: ` +
+    formatCell(row[column]).split('\n').join('\n' + indent));
+  return [banner, ...fields].join('\n');
+}
+
+/**
+ * Header of the CSV, TSV and Markdown formats
+ * @param {string} format - 'csv', 'tsv' or 'markdown'
+ * @param {Array<string>} columns - Column names
+ * @returns {string} Header line(s)
+ */
+function formatHeader(format, columns) {
+  if (format === 'markdown') {
+    return markdownRow(columns) + '\n' + markdownRow(columns.map(() => '---'));
+  }
+  return format === 'csv' ? columns.map(escapeCsv).join(',') : columns.map(escapeTsv).join('\t');
+}
+
+/**
+ * One row of the CSV, TSV and Markdown formats
+ * @param {string} format - 'csv', 'tsv' or 'markdown'
+ * @param {Array<string>} columns - Column names
+ * @param {Object} row - Result row
+ * @returns {string} Row line
+ */
+function formatLine(format, columns, row) {
+  if (format === 'markdown') {
+    return markdownRow(columns.map(column => formatCell(row[column])));
+  }
+  const cells = columns.map(column => formatDataCell(row[column]));
+  return format === 'csv' ? cells.map(escapeCsv).join(',') : cells.map(escapeTsv).join('\t');
+}
+
+// RFC 4180: quote cells holding a separator, a quote or a line break, doubling quotes
+function escapeCsv(text) {
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// TSV can't quote, so tabs, line breaks and backslashes are backslash-escaped
+function escapeTsv(text) {
+  return text.replace(/\\/g, '\\\\').replace(/\t/g, '\\t').replace(/\n/g, '\\n').replace(/\r/g, '\\r');
+}
+
+// GitHub-flavoured Markdown table row; pipes are escaped and line breaks become <br>
+function markdownRow(cells) {
+  const escape = text => text.replace(/\\/g, '\\\\').replace(/\|/g, '\\|').replace(/\r?\n/g, '<br>');
+  return `| ${cells.map(escape).join(' | ')} |`;
+}
+
+module.exports = {
+  FORMATS,
+  MACHINE_FORMATS,
+  toPlainValue,
+  formatCell,
+  formatValue,
+  formatDate,
+  resultColumns,
+  ResultWriter,
+  formatResults
+};
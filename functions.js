@@ -0,0 +1,401 @@
+const { AGGREGATE_FUNCTIONS, LITERAL_FUNCTIONS } = require('./sql-parser');
+const { formatValue, formatDate } = require('./formatters');
+
+/**
+ * Scalar functions of select items and conditions, e.g. UPPER(name) or
+ * toDate(createdAt), and the arithmetic of computed columns. Built-in
+ * functions are registered with every FunctionRegistry; more can be added
+ * with register(), such as the ones of the functions file named in the
+ * config file.
+ *
+ * A function definition is either a plain JavaScript function, which takes
+ * any number of arguments, or an object:
+ *   apply - Computes the result from the argument values
+ *   args - Number of arguments, or [min, max] (max may be Infinity)
+ *   missing - True if apply also runs when an argument is a missing field;
+ *     otherwise the result is missing too (a null cell, or a failed condition)
+ *   document - True if the result depends on the document read rather than
+ *     only on the arguments, so the function can't be used on grouped rows
+ *   validate - Checks the argument expressions when a statement is checked,
+ *     throwing an Error for arguments that can't work, e.g. a bad literal
+ * apply is called with `this` set to {document, settings}: the document
+ * snapshot the row comes from (null where there is none) and the settings of
+ * the session (date_format, timezone, ...).
+ */
+
+// Names the parser reads as something else than a scalar function call
+const RESERVED_NAMES = [...AGGREGATE_FUNCTIONS, ...LITERAL_FUNCTIONS, 'TIMESTAMP', 'DATE', 'NOW'];
+
+// Steps of a JSON path: .key, ."key", [index] and ["key"]
+const JSON_PATH_STEP = /^(?:\.([A-Za-z_$][\w$]*)|\."((?:[^"\\]|\\.)*)"|\[(\d+)\]|\["((?:[^"\\]|\\.)*)"\])/;
+
+const BUILT_IN_FUNCTIONS = {
+  UPPER: { args: 1, apply: value => typeof value === 'string' ? value.toUpperCase() : null },
+  LOWER: { args: 1, apply: value => typeof value === 'string' ? value.toLowerCase() : null },
+  TRIM: { args: 1, apply: value => typeof value === 'string' ? value.trim() : null },
+  LENGTH: {
+    args: 1,
+    apply: value => typeof value === 'string' || Array.isArray(value) ? [...value].length : null
+  },
+  SUBSTR: { args: [2, 3], apply: substring },
+  COALESCE: {
+    args: [1, Infinity],
+    missing: true,
+    apply: (...values) => {
+      const value = values.find(item => item !== null && item !== undefined);
+      return value === undefined ? null : value;
+    }
+  },
+  ARRAY_LENGTH: { args: 1, apply: value => Array.isArray(value) ? value.length : null },
+  JSON_EXTRACT: {
+    args: 2,
+    apply: extractJson,
+    validate: args => {
+      if (args[1].type === 'literal') parseJsonPath(args[1].value);
+    }
+  },
+  DOC_PATH: {
+    args: 0,
+    document: true,
+    apply: function () {
+      return this.document ? this.document.ref.path : null;
+    }
+  },
+  PARENT_ID: {
+    args: 0,
+    document: true,
+    apply: function () {
+      const parent = this.document && this.document.ref.parent.parent;
+      return parent ? parent.id : null;
+    }
+  },
+  toDate: {
+    args: 1,
+    apply: function (value) {
+      return formatToDate(value, this.settings.date_format, this.settings.timezone);
+    }
+  },
+  prettyJson: { args: 1, apply: value => value === null ? null : formatValue(value, 2) }
+};
+
+class FunctionRegistry {
+  constructor() {
+    this.functions = new Map();
+    this.registerAll(BUILT_IN_FUNCTIONS);
+  }
+
+  /**
+   * Add a function, or replace the one of the same name (names are case-insensitive)
+   * @param {string} name - Function name, as completed and listed
+   * @param {Function|Object} definition - Function, or {apply, args, missing, document, validate}
+   * @throws {Error} If the name or the definition is not valid
+   */
+  register(name, definition) {
+    if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(name)) {
+      throw new Error(`Invalid function name "${name}"; use letters, digits and underscores`);
+    }
+    if (RESERVED_NAMES.includes(name.toUpperCase())) {
+      throw new Error(`${name}() is a built-in SQL function and can't be redefined`);
+    }
+
+    const fn = typeof definition === 'function' ? { apply: definition } : definition;
+    if (!fn || typeof fn.apply !== 'function') {
+      throw new Error(`Function ${name}() must be a function or an object with an apply function`);
+    }
+    if (fn.validate !== undefined && typeof fn.validate !== 'function') {
+      throw new Error(`Function ${name}() has an invalid validate setting; use a function`);
+    }
+
+    const args = fn.args === undefined ? [0, Infinity] : [].concat(fn.args);
+    const [min, max = min] = args;
+    if (!Number.isInteger(min) || min < 0 || !(max === Infinity || Number.isInteger(max)) || max < min) {
+      throw new Error(`Function ${name}() has an invalid args setting; use a number or [min, max]`);
+    }
+
+    this.functions.set(name.toUpperCase(), {
+      name: name,
+      minArgs: min,
+      maxArgs: max,
+      missing: Boolean(fn.missing),
+      document: Boolean(fn.document),
+      validate: fn.validate || null,
+      apply: fn.apply
+    });
+  }
+
+  /**
+   * Add several functions
+   * @param {Object<string, Function|Object>} definitions - Definitions by function name
+   */
+  registerAll(definitions) {
+    Object.keys(definitions).forEach(name => this.register(name, definitions[name]));
+  }
+
+  /**
+   * Look up a function
+   * @param {string} name - Function name, in any case
+   * @returns {Object|undefined} Registered function
+   */
+  get(name) {
+    return this.functions.get(name.toUpperCase());
+  }
+
+  /**
+   * @returns {Array<string>} Names of the registered functions
+   */
+  names() {
+    return [...this.functions.values()].map(fn => fn.name);
+  }
+
+  /**
+   * Check the function calls of an expression exist and get the right
+   * number of arguments, which the function's own validate then checks
+   * @param {Object} expression - Expression tree (see sql-parser.js)
+   * @throws {Error} If a function is unknown or gets the wrong arguments
+   */
+  validate(expression) {
+    if (expression.type === 'binary') {
+      this.validate(expression.left);
+      this.validate(expression.right);
+      return;
+    }
+    if (expression.type === 'negate') {
+      this.validate(expression.operand);
+      return;
+    }
+    if (expression.type !== 'call') return;
+
+    const fn = this.get(expression.function);
+    if (!fn) {
+      throw new Error(`Unknown function ${expression.function}(); the available functions are ${this.names().join(', ')}`);
+    }
+
+    const count = expression.args.length;
+    if (count < fn.minArgs || count > fn.maxArgs) {
+      const expected = fn.minArgs === fn.maxArgs ? fn.minArgs :
+        fn.maxArgs === Infinity ? `at least ${fn.minArgs}` : `${fn.minArgs} to ${fn.maxArgs}`;
+      throw new Error(`${fn.name}() takes ${expected} argument(s), not ${count}`);
+    }
+    expression.args.forEach(arg => {
+      if (arg.type === 'field' && arg.field === '*' && count !== 1) {
+        throw new Error(`${fn.name}(*) can't take other arguments`);
+      }
+      this.validate(arg);
+    });
+    if (fn.validate) {
+      fn.validate(expression.args);
+    }
+  }
+
+  /**
+   * Check whether an expression calls a function that reads the document
+   * rather than its arguments, such as DOC_PATH()
+   * @param {Object} expression - Validated expression tree
+   * @returns {boolean} True if it needs the document
+   */
+  readsDocument(expression) {
+    if (expression.type === 'binary') {
+      return this.readsDocument(expression.left) || this.readsDocument(expression.right);
+    }
+    if (expression.type === 'negate') return this.readsDocument(expression.operand);
+    if (expression.type !== 'call') return false;
+    return this.get(expression.function).document || expression.args.some(arg => this.readsDocument(arg));
+  }
+
+  /**
+   * Compute the value of an expression. Arithmetic takes numbers (other
+   * values give null, as does dividing by zero); a missing field makes the
+   * result missing, except for the functions that accept missing arguments.
+   * @param {Object} expression - Validated expression tree
+   * @param {Function} getValue - Returns the value of a field node ('*' for
+   *   the whole document), or undefined if missing
+   * @param {{document: Object|null, settings: Object}} context - `this` of the functions
+   * @returns {*} Value, or undefined when missing
+   */
+  evaluate(expression, getValue, context) {
+    switch (expression.type) {
+      case 'field':
+        return getValue(expression);
+      case 'literal':
+        return expression.value;
+      case 'negate': {
+        const value = this.evaluate(expression.operand, getValue, context);
+        if (value === undefined) return undefined;
+        return typeof value === 'number' ? -value : null;
+      }
+      case 'binary': {
+        const left = this.evaluate(expression.left, getValue, context);
+        const right = this.evaluate(expression.right, getValue, context);
+        if (left === undefined || right === undefined) return undefined;
+        return arithmetic(expression.operator, left, right);
+      }
+      default: {
+        const fn = this.get(expression.function);
+        const args = expression.args.map(arg => this.evaluate(arg, getValue, context));
+        if (!fn.missing && args.includes(undefined)) {
+          return undefined;
+        }
+        return Reflect.apply(fn.apply, context, args);
+      }
+    }
+  }
+}
+
+/**
+ * Field nodes an expression reads
+ * @param {Object} expression - Expression tree
+ * @returns {Array<Object>} Field nodes, in order
+ */
+function expressionFields(expression) {
+  if (expression.type === 'field') return [expression];
+  if (expression.type === 'call') return expression.args.flatMap(expressionFields);
+  if (expression.type === 'binary') return [...expressionFields(expression.left), ...expressionFields(expression.right)];
+  if (expression.type === 'negate') return expressionFields(expression.operand);
+  return [];
+}
+
+/**
+ * Apply an arithmetic operator to two values
+ * @param {string} operator - '+', '-', '*', '/' or '%'
+ * @param {*} left - Left operand
+ * @param {*} right - Right operand
+ * @returns {number|null} Result, or null for non-numbers and division by zero
+ */
+function arithmetic(operator, left, right) {
+  if (typeof left !== 'number' || typeof right !== 'number') return null;
+
+  switch (operator) {
+    case '+': return left + right;
+    case '-': return left - right;
+    case '*': return left * right;
+    case '/': return right === 0 ? null : left / right;
+    default: return right === 0 ? null : left % right;
+  }
+}
+
+/**
+ * SUBSTR(string, start[, length]) as in MySQL: start counts from 1, or from
+ * the end of the string when negative
+ * @param {string} value - String
+ * @param {number} start - Position of the first character
+ * @param {number} [length] - Number of characters (all the rest by default)
+ * @returns {string|null} Substring, or null if the arguments aren't a string and numbers
+ */
+function substring(value, start, length) {
+  if (typeof value !== 'string' || !Number.isInteger(start) ||
+      (length !== undefined && !Number.isInteger(length))) {
+    return null;
+  }
+
+  const chars = [...value];
+  const from = start > 0 ? start - 1 : chars.length + start;
+  if (start === 0 || from < 0 || (length !== undefined && length < 1)) {
+    return '';
+  }
+  return chars.slice(from, length === undefined ? undefined : from + length).join('');
+}
+
+/**
+ * JSON_EXTRACT(value, path): read a value inside a map, an array or a string
+ * of JSON, with a path such as '$.address.city' or '$.tags[0]'
+ * @param {*} value - Map, array or JSON text
+ * @param {string} path - JSON path starting with $
+ * @returns {*} Value at the path, or null if there is none
+ * @throws {Error} If the path is not valid
+ */
+function extractJson(value, path) {
+  const keys = parseJsonPath(path);
+
+  let current = value;
+  if (typeof current === 'string') {
+    try {
+      current = JSON.parse(current);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  for (const key of keys) {
+    const container = typeof key === 'number' ? Array.isArray(current) : isMap(current);
+    if (!container || !Object.prototype.hasOwnProperty.call(current, key)) {
+      return null;
+    }
+    current = current[key];
+  }
+  return current === undefined ? null : current;
+}
+
+/**
+ * Split a JSON path such as '$.tags[0]' into its keys
+ * @param {*} path - JSON path starting with $
+ * @returns {Array<string|number>} Map keys and array indexes, in order
+ * @throws {Error} If the path is not valid
+ */
+function parseJsonPath(path) {
+  if (typeof path !== 'string' || !path.startsWith('$')) {
+    throw new Error(`Invalid JSON path ${JSON.stringify(path)}; paths start with $, e.g. '$.address.city'`);
+  }
+
+  const keys = [];
+  let rest = path.slice(1);
+  while (rest) {
+    const step = JSON_PATH_STEP.exec(rest);
+    if (!step) {
+      throw new Error(`Invalid JSON path ${JSON.stringify(path)} at "${rest}"`);
+    }
+    rest = rest.slice(step[0].length);
+
+    keys.push(step[1] !== undefined ? step[1] :
+      step[2] !== undefined ? JSON.parse(`"${step[2]}"`) :
+      step[3] !== undefined ? Number(step[3]) :
+      JSON.parse(`"${step[4]}"`));
+  }
+  return keys;
+}
+
+/**
+ * Check whether a value is a map, rather than an array or a Firestore type
+ * @param {*} value - Value
+ * @returns {boolean} True for plain objects
+ */
+function isMap(value) {
+  return value !== null && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype;
+}
+
+/**
+ * Format a date/timestamp value for toDate(), in a time zone with a format
+ * string (see formatDate()). Strings are parsed as dates, and numbers read
+ * as Unix time in seconds, or milliseconds when large enough.
+ * @param {*} value - The value to format (Date, Firestore Timestamp, string, etc.)
+ * @param {string} pattern - Format string, e.g. 'MM/DD/YY HH:mm:ss'
+ * @param {string} zone - IANA time zone name
+ * @returns {*} Formatted date string, or the original value if not a date
+ */
+function formatToDate(value, pattern, zone) {
+  if (!value) return value;
+
+  let date;
+  if (value instanceof Date) {
+    date = value;
+  } else if (typeof value === 'object' && typeof value.toDate === 'function') {
+    // Firestore Timestamp
+    date = value.toDate();
+  } else if (typeof value === 'string') {
+    date = new Date(value);
+  } else if (typeof value === 'number') {
+    date = new Date(value > 1000000000000 ? value : value * 1000);
+  } else {
+    return value;
+  }
+
+  if (isNaN(date.getTime())) {
+    return value;
+  }
+  return formatDate(date, pattern, zone);
+}
+
+module.exports = {
+  FunctionRegistry,
+  expressionFields,
+  formatToDate
+};
@@ -5,7 +5,11 @@ const readline = require('readline');
 const fs = require('fs');
 const path = require('path');
 const admin = require('firebase-admin');
-const { SQLTranslator } = require('./sql-translator');
+const { SQLTranslator, QueryCancelledError } = require('./sql-translator');
+const { SQLSyntaxError, splitStatements } = require('./sql-parser');
+const { MissingIndexError } = require('./indexes');
+const { FORMATS, MACHINE_FORMATS, ResultWriter } = require('./formatters');
+const { Completer } = require('./completer');
 
 // CLI configuration
 program
@@ -13,12 +17,21 @@ program
   .description('Query Firestore using SQL syntax')
   .version('1.0.0')
   .argument('<project-id>', 'GCP project ID')
-  .action(async (projectId) => {
+  .option('-e, --execute <sql>', 'run the given statements (separated by semicolons) and exit')
+  .option('-f, --file <path>', 'run the statements of a .sql file and exit')
+  .option('--format <name>', `output format: ${FORMATS.join(', ')} (default: table)`)
+  .option('--stop-on-error', 'stop a script at the first failing statement (default)')
+  .option('--continue', 'keep running a script after a failing statement')
+  .option('--max-scan <n>', 'maximum documents read for client-side GROUP BY, HAVING, DISTINCT, JOIN, aggregates and merged OR queries')
+  .option('--max-delete <n>', 'maximum documents a single DELETE may remove')
+  .option('--max-update <n>', 'maximum documents a single UPDATE may change')
+  .option('-y, --yes', 'run UPDATE and DELETE statements without asking for confirmation')
+  .action(async (projectId, options) => {
     try {
-      await runCLI(projectId);
+      await runCLI(projectId, options);
     } catch (error) {
       console.error('Error:', error.message);
-      process.exit(1);
+      process.exit(EXIT_ERROR);
     }
   });
 
@@ -26,7 +39,24 @@ program
 const HISTORY_FILE = `${process.env.HOME}/.fsql_history`;
 const MAX_HISTORY_SIZE = 100;
 
-program.parse();
+// Optional settings file: {"functions": "path/to/functions.js"} adds the
+// SQL functions that module exports (a relative path is read from the
+// config file's directory)
+const CONFIG_FILE = `${process.env.HOME}/.fsql.json`;
+
+// Exit codes of scripted runs (-e, -f or piped stdin)
+const EXIT_OK = 0;
+const EXIT_ERROR = 1;          // bad options, unreadable script, failed special command
+const EXIT_SYNTAX_ERROR = 2;   // a statement doesn't parse or isn't a valid query
+const EXIT_QUERY_ERROR = 3;    // Firestore refused or failed to run a statement
+
+// Minimum time between two updates of the row counter, in milliseconds
+const PROGRESS_INTERVAL = 100;
+
+// Only run as a command; the library entry point is lib.js
+if (require.main === module) {
+  program.parse();
+}
 
 function loadQueryHistory() {
   try {
@@ -35,7 +65,7 @@ function loadQueryHistory() {
       return content.split('\n').filter(line => line.trim() !== '');
     }
   } catch (error) {
-    console.log('⚠️  Could not load query history:', error.message);
+    console.log(`${icon('⚠️ ')}Could not load query history:`, error.message);
   }
   return [];
 }
@@ -58,38 +88,61 @@ function saveQueryToHistory(query) {
     // Save to file
     fs.writeFileSync(HISTORY_FILE, history.join('\n') + '\n');
   } catch (error) {
-    console.log('⚠️  Could not save query to history:', error.message);
+    console.log(`${icon('⚠️ ')}Could not save query to history:`, error.message);
   }
 }
 
 /**
- * Preprocess SELECT queries to handle timestamp values
- * @param {string} query - The SQL query string
- * @returns {string} - The processed query with timestamp values converted
+ * Read the config file, if there is one
+ * @returns {Object} Config
+ * @throws {Error} If the file is not valid JSON
  */
-function preprocessSelectQuery(query) {
-  // Look for WHERE clauses with timestamp comparisons
-  // Pattern: WHERE field operator "timestamp_value"
-  const timestampPattern = /WHERE\s+(\w+)\s*([><=!]+)\s*(["'][^"']*["'])/gi;
-  
-  return query.replace(timestampPattern, (match, field, operator, value) => {
-    // Try to parse the value as a timestamp
-    const timestampValue = parseTimestamp(value);
-    
-    if (timestampValue !== null) {
-      // Try using a simple ISO string format that FireSQL might recognize
-      // This is more likely to work with FireSQL's SQL parser
-      const isoString = timestampValue.toISOString();
-      return `WHERE ${field} ${operator} "${isoString}"`;
-    }
-    
-    // If not a valid timestamp, return the original match
-    return match;
-  });
+function loadConfig() {
+  if (!fs.existsSync(CONFIG_FILE)) {
+    return {};
+  }
+  try {
+    return JSON.parse(fs.readFileSync(CONFIG_FILE, 'utf8'));
+  } catch (error) {
+    throw new Error(`Could not read ${CONFIG_FILE}: ${error.message}`);
+  }
 }
 
-async function runCLI(projectId) {
-  console.log(`🚀 Initializing FireSQL with Admin SDK for project: ${projectId}`);
+/**
+ * Register the SQL functions of the module the config file names
+ * @param {SQLTranslator} sqlTranslator - Translator to add them to
+ * @param {Object} config - Config from loadConfig()
+ * @throws {Error} If the module can't be loaded or defines invalid functions
+ */
+function loadFunctions(sqlTranslator, config) {
+  if (!config.functions) return;
+  
+  const file = path.resolve(path.dirname(CONFIG_FILE), config.functions);
+  let definitions;
+  try {
+    definitions = require(file);
+  } catch (error) {
+    throw new Error(`Could not load the functions file ${file}: ${error.message.split('\n')[0]}`);
+  }
+  if (!definitions || typeof definitions !== 'object') {
+    throw new Error(`The functions file ${file} must export an object of functions by name`);
+  }
+  sqlTranslator.functions.registerAll(definitions);
+}
+
+async function runCLI(projectId, options = {}) {
+  if (options.stopOnError && options.continue) {
+    throw new Error('--stop-on-error and --continue cannot be used together');
+  }
+  const format = options.format ? checkFormat(options.format) : 'table';
+  
+  // Statements given with -e / -f, or piped in, run as a script; otherwise start the REPL
+  const scripted = Boolean(options.execute || options.file) || !process.stdin.isTTY;
+  const scripts = scripted ? await readScripts(options) : [];
+  
+  if (!scripted) {
+    console.log(`${icon('🚀')}Initializing FireSQL with Admin SDK for project: ${projectId}`);
+  }
   
   // Initialize Firebase Admin SDK
   // This will use Application Default Credentials (ADC) and bypass security rules
@@ -103,31 +156,76 @@ async function runCLI(projectId) {
   const db = admin.firestore();
   
   // Initialize custom SQL translator with Admin SDK database reference
-  let sqlTranslator = new SQLTranslator(db);
+  let sqlTranslator = new SQLTranslator(db, {
+    max_scan: options.maxScan,
+    max_delete: options.maxDelete,
+    max_update: options.maxUpdate,
+    confirm_writes: options.yes ? false : undefined
+  });
+  loadFunctions(sqlTranslator, loadConfig());
   
-  console.log('✅ Custom SQL translator initialized successfully with Admin SDK!');
-  console.log('🔓 Admin SDK bypasses Firestore security rules');
-  console.log('🆔 Document IDs are automatically included as "__name__" field in all query results');
-  console.log('📜 Query history loaded - use ↑/↓ arrows to navigate past queries');
-  console.log('💡 Type your SQL queries below. Type "exit" or "quit" to stop.');
-  console.log('💡 Use collection paths directly in FROM clause (e.g., FROM users/userId/feed).');
-  console.log('💡 Use "HELP" to see available commands.\n');
+  // Options passed to every query: include document IDs and print warnings
+  const queryOptions = {
+    includeId: true,
+    onWarning: message => console.error(`${icon('⚠️ ', process.stderr)}${message}`)
+  };
+  
+  const session = { sqlTranslator, queryOptions, scripted, format };
+  
+  if (scripted) {
+    // Nobody is there to answer, so writes that need confirmation fail instead
+    queryOptions.confirm = preview => {
+      throw new Error(`${preview.action} of ${preview.count} document(s) needs confirmation, ` +
+        'which a script can\'t give; rerun with --yes or SET confirm_writes = false first');
+    };
+    process.exit(await runScripts(scripts, session, !options.continue));
+  }
+  
+  console.log(`${icon('✅')}Custom SQL translator initialized successfully with Admin SDK!`);
+  console.log(`${icon('🔓')}Admin SDK bypasses Firestore security rules`);
+  console.log(`${icon('🆔')}Document IDs are automatically included as "__name__" field in all query results`);
+  console.log(`${icon('📜')}Query history loaded - use ↑/↓ arrows to navigate past queries`);
+  console.log(`${icon('💡')}Type your SQL queries below. Type "exit" or "quit" to stop.`);
+  console.log(`${icon('💡')}Use collection paths directly in FROM clause (e.g., FROM users/userId/feed).`);
+  console.log(`${icon('💡')}Use "HELP" to see available commands.\n`);
   
   // Load query history
   const queryHistory = loadQueryHistory();
   
+  // Multiline query support
+  let currentQuery = '';
+  let isMultiline = false;
+  
+  // TAB completes against the whole statement, earlier lines of a multiline query included
+  const completer = new Completer(db, sqlTranslator.functions);
+  const complete = (line, callback) => {
+    const pending = currentQuery === '' ? '' : currentQuery + '\n';
+    completer.complete(pending + line, pending + rl.line)
+      .then(result => callback(null, result), error => callback(error));
+  };
+  
   // Create readline interface with history support
   const rl = readline.createInterface({
     input: process.stdin,
     output: process.stdout,
     prompt: 'FSQL> ',
     historySize: 100,
-    history: queryHistory
+    history: queryHistory,
+    completer: complete
   });
   
-  // Multiline query support
-  let currentQuery = '';
-  let isMultiline = false;
+  // Writes show the matching documents and wait for a yes before changing them
+  queryOptions.confirm = preview => confirmWrite(rl, preview, session.running && session.running.signal);
+  
+  // Ctrl-C cancels the running statement and returns to the prompt; with
+  // nothing running it closes the CLI as before
+  rl.on('SIGINT', () => {
+    if (session.running) {
+      session.running.abort();
+    } else {
+      rl.close();
+    }
+  });
   
   rl.prompt();
   
@@ -137,7 +235,7 @@ async function runCLI(projectId) {
     
     // Check for exit commands (only on first line or when query is empty)
     if ((!isMultiline || currentQuery === '') && (line.toLowerCase() === 'exit' || line.toLowerCase() === 'quit')) {
-      console.log('👋 Goodbye!');
+      console.log(`${icon('👋')}Goodbye!`);
       rl.close();
       return;
     }
@@ -155,18 +253,17 @@ async function runCLI(projectId) {
       return;
     }
     
-    // Handle HELP command (only on first line)
-    if (!isMultiline && line.toUpperCase() === 'HELP') {
-      showHelp();
+    // Handle special commands (only on first line)
+    if (!isMultiline && await runCommand(line, session) !== null) {
       rl.prompt();
       return;
     }
     
-    // Accumulate query lines
+    // Accumulate query lines, keeping line breaks so syntax errors can point at the right line
     if (currentQuery === '') {
       currentQuery = line;
     } else {
-      currentQuery += ' ' + line;
+      currentQuery += '\n' + line;
     }
     
     // Check if query ends with semicolon
@@ -174,25 +271,11 @@ async function runCLI(projectId) {
       // Remove semicolon and execute query
       const query = currentQuery.slice(0, -1).trim();
       
-      try {
-        // Execute the query with document ID included
-        console.log('🔄 Executing query...');
-        const startTime = Date.now();
-        
-        const results = await sqlTranslator.query(query, { includeId: true });
-        
-        const endTime = Date.now();
-        const executionTime = endTime - startTime;
-        
-        // Save successful query to history
-        saveQueryToHistory(query);
-        
-        // Display results
-        displayResults(results, executionTime);
-        
-      } catch (error) {
-        console.error('❌ Query Error:', error.message);
-        console.log('💡 Please check your SQL syntax and try again.\n');
+      if (await executeStatement(query, session) === EXIT_OK) {
+        // Save successful query to history (one line per query)
+        saveQueryToHistory(query.replace(/\n/g, ' '));
+      } else {
+        console.log(`${icon('💡')}Please check your SQL syntax and try again.\n`);
       }
       
       // Reset for next query
@@ -209,49 +292,608 @@ async function runCLI(projectId) {
   });
   
   rl.on('close', () => {
-    console.log('👋 Goodbye!');
-    process.exit(0);
+    console.log(`${icon('👋')}Goodbye!`);
+    process.exit(EXIT_OK);
+  });
+}
+
+/**
+ * Read the scripts to run: the -f file, then the -e statements, or piped
+ * stdin when neither is given
+ * @param {Object} options - CLI options
+ * @returns {Promise<Array<{name: string, source: string}>>} Scripts in run order
+ */
+async function readScripts(options) {
+  const scripts = [];
+  if (options.file) {
+    scripts.push({ name: options.file, source: fs.readFileSync(options.file, 'utf8') });
+  }
+  if (options.execute) {
+    scripts.push({ name: '-e', source: options.execute });
+  }
+  if (scripts.length === 0) {
+    scripts.push({ name: 'stdin', source: await readStdin() });
+  }
+  return scripts;
+}
+
+function readStdin() {
+  return new Promise((resolve, reject) => {
+    let source = '';
+    process.stdin.setEncoding('utf8');
+    process.stdin.on('data', chunk => { source += chunk; });
+    process.stdin.on('end', () => resolve(source));
+    process.stdin.on('error', reject);
+  });
+}
+
+/**
+ * Split a script into statements. SQL and special commands end at a
+ * semicolon, with -- comments skipped; backslash commands (\format csv) end
+ * at the end of their line, like in psql.
+ * @param {string} source - Script source
+ * @returns {Array<{text: string, line: number}>} Statements in order, with their first line
+ */
+function splitScript(source) {
+  const lines = source.split('\n');
+  const backslashCommands = [];
+  
+  // Blank out backslash commands so the SQL keeps its line numbers
+  const sql = lines.map((line, index) => {
+    if (!line.trim().startsWith('\\')) return line;
+    backslashCommands.push({ text: line.trim(), line: index + 1 });
+    return '';
+  }).join('\n');
+  
+  return [...splitStatements(sql), ...backslashCommands].sort((a, b) => a.line - b.line);
+}
+
+/**
+ * Run scripts statement by statement; EXIT or QUIT ends the run early.
+ * @param {Array<{name: string, source: string}>} scripts - Scripts to run
+ * @param {Object} session - Translator and query options
+ * @param {boolean} stopOnError - Stop at the first failing statement
+ * @returns {Promise<number>} Exit code: EXIT_OK, or the code of the first failure
+ */
+async function runScripts(scripts, session, stopOnError) {
+  let exitCode = EXIT_OK;
+  
+  for (const script of scripts) {
+    let statements;
+    try {
+      statements = splitScript(script.source);
+    } catch (error) {
+      // An unterminated string or stray character: the statement boundaries are unknown
+      showSyntaxError(script.source, error);
+      console.error(`   in ${script.name}\n`);
+      return exitCode || EXIT_SYNTAX_ERROR;
+    }
+    
+    for (const statement of statements) {
+      if (/^(exit|quit)$/i.test(statement.text)) {
+        return exitCode;
+      }
+      
+      let status = await runCommand(statement.text, session);
+      if (status === null) {
+        status = await executeStatement(statement.text, session);
+      }
+      
+      if (status !== EXIT_OK) {
+        console.error(`   in the statement on line ${statement.line} of ${script.name}\n`);
+        exitCode = exitCode || status;
+        if (stopOnError) {
+          return exitCode;
+        }
+      }
+    }
+  }
+  
+  return exitCode;
+}
+
+/**
+ * Run a special command (HELP, SETTINGS, SET, INDEXES, NEXT or \format) if
+ * the statement is one
+ * @param {string} statement - Statement or REPL line, with or without its semicolon
+ * @param {Object} session - Translator and query options
+ * @returns {Promise<number|null>} Exit code of the command, or null if the statement isn't a command
+ */
+async function runCommand(statement, session) {
+  const { sqlTranslator, queryOptions } = session;
+  const command = statement.replace(/;$/, '').trim();
+  
+  // HELP: list commands and examples
+  if (command.toUpperCase() === 'HELP') {
+    showHelp();
+    return EXIT_OK;
+  }
+  
+  // SETTINGS: list session settings
+  if (command.toUpperCase() === 'SETTINGS') {
+    showSettings(sqlTranslator);
+    return EXIT_OK;
+  }
+  
+  // SET: change a session setting
+  const setMatch = command.match(/^SET\s+([A-Za-z_]+)\s*=\s*(.+?)$/i);
+  if (setMatch) {
+    try {
+      sqlTranslator.setSetting(setMatch[1], setMatch[2].replace(/^(['"])(.*)\1$/, '$2'));
+      console.log(`${icon('✅')}${setMatch[1].toLowerCase()} = ${sqlTranslator.settings[setMatch[1].toLowerCase()]}\n`);
+      return EXIT_OK;
+    } catch (error) {
+      console.error(`${icon('❌', process.stderr)}Setting Error:`, error.message);
+      return EXIT_ERROR;
+    }
+  }
+  
+  // INDEXES: indexes needed by this session's queries or by a .sql file
+  const indexesMatch = command.match(/^INDEXES(?:\s+FROM\s+(\S+))?(?:\s+TO\s+(\S+))?$/i);
+  if (indexesMatch) {
+    try {
+      const unquote = value => value && value.replace(/^(['"])(.*)\1$/, '$2');
+      const source = unquote(indexesMatch[1]);
+      const indexFile = source ?
+        sqlTranslator.scriptIndexFile(fs.readFileSync(source, 'utf8'), queryOptions) :
+        sqlTranslator.sessionIndexFile();
+      showIndexFile(indexFile, source ? `the statements in ${source}` : 'the queries run in this session', unquote(indexesMatch[2]));
+      return EXIT_OK;
+    } catch (error) {
+      console.error(`${icon('❌', process.stderr)}Indexes Error:`, error.message);
+      return EXIT_ERROR;
+    }
+  }
+  
+  // NEXT: fetch the next page of the last query
+  if (command.toUpperCase() === 'NEXT') {
+    try {
+      if (!sqlTranslator.hasNextPage()) {
+        console.log(`${icon('📭')}No more results for the last query.\n`);
+      } else {
+        if (!session.scripted) {
+          console.log(`${icon('🔄')}Fetching next page...`);
+        }
+        const startTime = Date.now();
+        const results = await sqlTranslator.nextPage(queryOptions);
+        displayResults(results, Date.now() - startTime, session.format);
+      }
+      return EXIT_OK;
+    } catch (error) {
+      console.error(`${icon('❌', process.stderr)}Query Error:`, error.message);
+      return EXIT_QUERY_ERROR;
+    }
+  }
+  
+  // \format: show or change the output format
+  const formatMatch = command.match(/^\\format(?:\s+(\S+))?$/i);
+  if (formatMatch) {
+    try {
+      if (formatMatch[1]) {
+        session.format = checkFormat(formatMatch[1]);
+      }
+      console.log(`${icon('🖨️ ')}Output format: ${session.format} (available: ${FORMATS.join(', ')})\n`);
+      return EXIT_OK;
+    } catch (error) {
+      console.error(`${icon('❌', process.stderr)}Format Error:`, error.message);
+      return EXIT_ERROR;
+    }
+  }
+  
+  return null;
+}
+
+/**
+ * Check an output format name
+ * @param {string} name - Format name, in any case
+ * @returns {string} The format, lowercased
+ */
+function checkFormat(name) {
+  const format = name.toLowerCase();
+  if (!FORMATS.includes(format)) {
+    throw new Error(`Unknown format "${name}". Available formats: ${FORMATS.join(', ')}`);
+  }
+  return format;
+}
+
+/**
+ * Parse, run and display one SQL statement, reporting errors on stderr
+ * @param {string} query - Statement without its semicolon
+ * @param {Object} session - Translator and query options
+ * @returns {Promise<number>} EXIT_OK, EXIT_SYNTAX_ERROR when the statement is
+ *   rejected before running, or EXIT_QUERY_ERROR when running it fails
+ */
+async function executeStatement(query, session) {
+  const { sqlTranslator, queryOptions } = session;
+  
+  let parsed;
+  try {
+    parsed = sqlTranslator.parseSQL(query);
+  } catch (error) {
+    if (error instanceof SQLSyntaxError) {
+      showSyntaxError(query, error);
+    } else {
+      console.error(`${icon('❌', process.stderr)}Invalid Query:`, error.message);
+    }
+    return EXIT_SYNTAX_ERROR;
+  }
+  
+  // Lets Ctrl-C in the REPL cancel the statement
+  session.running = new AbortController();
+  const options = { ...queryOptions, signal: session.running.signal };
+  
+  try {
+    // Execute the query with document ID included
+    if (!session.scripted) {
+      console.log(`${icon('🔄')}Executing query...`);
+    }
+    
+    // SELECT rows are printed as they arrive rather than collected first
+    if (parsed.type === 'select') {
+      await streamResults(parsed, session, options);
+      return EXIT_OK;
+    }
+    
+    const startTime = Date.now();
+    const results = await sqlTranslator.execute(parsed, options);
+    showStatementResult(parsed, results, Date.now() - startTime, session.format);
+    return EXIT_OK;
+  } catch (error) {
+    if (error instanceof MissingIndexError) {
+      showMissingIndex(error);
+    } else {
+      console.error(`${icon('❌', process.stderr)}Query Error:`, error.message);
+    }
+    return EXIT_QUERY_ERROR;
+  } finally {
+    session.running = null;
+  }
+}
+
+/**
+ * Print the rows of a SELECT while they are fetched, with a row counter on
+ * stderr when it is a terminal. A cancelled query keeps the rows already
+ * printed.
+ * @param {Object} parsed - Parsed SELECT statement
+ * @param {Object} session - Translator and output format
+ * @param {Object} options - Query options, with the cancelling signal
+ */
+async function streamResults(parsed, session, options) {
+  const startTime = Date.now();
+  const progress = createProgress(session.scripted ? '' : ' (Ctrl-C to cancel)');
+  const writer = new ResultWriter(session.format, text => {
+    progress.clear();
+    process.stdout.write(text);
+  }, {
+    width: process.stdout.isTTY ? process.stdout.columns : Infinity,
+    columns: session.sqlTranslator.columnNames(parsed)
   });
+  
+  let cancelled = false;
+  try {
+    for await (const row of session.sqlTranslator.stream(parsed, options)) {
+      writer.write(row);
+      progress.update(writer.count);
+      
+      // Let a slow pipe or terminal catch up instead of buffering the output
+      if (process.stdout.writableNeedDrain) {
+        await new Promise(resolve => process.stdout.once('drain', resolve));
+      }
+    }
+  } catch (error) {
+    if (!(error instanceof QueryCancelledError)) {
+      throw error;
+    }
+    cancelled = true;
+  } finally {
+    // The rows already written are closed off (JSON array, table rule) even
+    // when the query fails part way
+    progress.clear();
+    writer.end();
+  }
+  
+  if (cancelled) {
+    console.error(`${icon('🛑', process.stderr)}Query cancelled after ${writer.count} row(s).\n`);
+    return;
+  }
+  showSummary(writer.count, Date.now() - startTime, session.format);
+}
+
+/**
+ * Live row counter, redrawn in place on stderr when it is a terminal and
+ * left out otherwise
+ * @param {string} hint - Text shown after the count
+ * @returns {{update: Function, clear: Function}} Counter
+ */
+function createProgress(hint) {
+  let shown = false;
+  // Quick queries finish before the counter first shows
+  let lastUpdate = Date.now();
+  
+  return {
+    update(count) {
+      const now = Date.now();
+      if (!process.stderr.isTTY || now - lastUpdate < PROGRESS_INTERVAL) return;
+      lastUpdate = now;
+      process.stderr.write(`\r\x1b[K${icon('⏳', process.stderr)}${count} row(s) fetched...${hint}`);
+      shown = true;
+    },
+    clear() {
+      if (shown) {
+        process.stderr.write('\r\x1b[K');
+        shown = false;
+      }
+    }
+  };
+}
+
+/**
+ * Display the outcome of a statement according to its type
+ * @param {Object} parsed - Parsed statement
+ * @param {Array|Object|null} results - What the translator returned
+ * @param {number} executionTime - Time taken, in milliseconds
+ * @param {string} format - Output format of result rows
+ */
+function showStatementResult(parsed, results, executionTime, format) {
+  if (parsed.type === 'insert') {
+    console.log(`${icon('✅')}Inserted ${results.length} document(s) into ${parsed.into} in ${executionTime}ms\n`);
+  } else if (parsed.type === 'update') {
+    if (results === null) {
+      console.log(`${icon('🚫')}Update cancelled, no documents were changed.\n`);
+    } else {
+      console.log(`${icon('✅')}Updated ${results.length} document(s) in ${parsed.from} in ${executionTime}ms\n`);
+    }
+  } else if (parsed.type === 'explain') {
+    showPlan(results);
+  } else if (parsed.type === 'delete' && parsed.dryRun) {
+    displayResults(results, executionTime, format);
+    console.log(`${icon('🧪')}Dry run: ${results.length} document(s) would be deleted${parsed.cascade ? ' with their subcollections' : ''}. Nothing was deleted.\n`);
+  } else if (parsed.type === 'delete') {
+    if (results === null) {
+      console.log(`${icon('🚫')}Delete cancelled, no documents were removed.\n`);
+    } else {
+      console.log(`${icon('✅')}Deleted ${results.length} document(s)${parsed.cascade ? ' and their subcollections' : ''} from ${parsed.from} in ${executionTime}ms\n`);
+    }
+  } else {
+    displayResults(results, executionTime, format);
+  }
+}
+
+/**
+ * Emoji prefix for a status line, left out when the stream isn't a terminal
+ * so scripts and log files get plain text
+ * @param {string} emoji - Emoji (with any extra spacing it needs)
+ * @param {NodeJS.WriteStream} [stream] - Stream the line is written to
+ * @returns {string} The emoji and a space, or an empty string
+ */
+function icon(emoji, stream = process.stdout) {
+  return stream.isTTY ? `${emoji} ` : '';
+}
+
+/**
+ * Print a syntax error with the offending query line and a caret under the bad token
+ * @param {string} query - The query that failed to parse
+ * @param {SQLSyntaxError} error - The syntax error
+ */
+function showSyntaxError(query, error) {
+  console.error(`${icon('❌', process.stderr)}Syntax Error:`, error.message);
+
+  const sourceLine = query.split('\n')[error.line - 1];
+  if (sourceLine !== undefined) {
+    const caretLength = Math.min(error.length, Math.max(1, sourceLine.length - error.column + 1));
+    console.error('   ' + sourceLine);
+    console.error('   ' + ' '.repeat(error.column - 1) + '^'.repeat(caretLength));
+  }
+}
+
+/**
+ * Show the documents a write is about to change and ask the user to confirm
+ * @param {readline.Interface} rl - REPL interface to ask on
+ * @param {{action: string, count: number, sample: Array<{id: string, data: Object}>, cascade?: boolean}} preview -
+ *   Preview passed by the translator
+ * @param {AbortSignal} [signal] - Ctrl-C signal; cancelling answers no
+ * @returns {Promise<boolean>} True if the user answered yes
+ */
+function confirmWrite(rl, preview, signal) {
+  console.log(`${icon('🔎')}${preview.count} document(s) match.` +
+    (preview.count > preview.sample.length ? ` First ${preview.sample.length}:` : ''));
+  preview.sample.forEach(doc => {
+    const fields = Object.keys(doc.data).map(key => {
+      const value = doc.data[key];
+      return `${key} = ${value === undefined ? '(missing)' : JSON.stringify(value)}`;
+    });
+    console.log(`   ${doc.id}${fields.length > 0 ? '  ' + fields.join(', ') : ''}`);
+  });
+  
+  return new Promise(resolve => {
+    const scope = preview.cascade ? ' and all their subcollections' : '';
+    const question = `${icon('❓')}${preview.action} ${preview.count} document(s)${scope}? [y/N] `;
+    if (signal) {
+      signal.addEventListener('abort', () => {
+        process.stdout.write('\n');
+        resolve(false);
+      }, { once: true });
+    }
+    rl.question(question, { signal: signal }, answer => {
+      resolve(/^y(es)?$/i.test(answer.trim()));
+    });
+  });
+}
+
+/**
+ * Print the plan of an EXPLAIN / EXPLAIN ANALYZE statement
+ * @param {Object} plan - Plan returned by the translator
+ */
+function showPlan(plan) {
+  console.log(`\n${icon('🧭')}Query plan on ${plan.source}`);
+  
+  plan.queries.forEach((query, index) => {
+    console.log(`\nFirestore query ${index + 1} of ${plan.queries.length}:`);
+    console.log(`  where:      ${query.where || '(none)'}`);
+    if (query.aggregate) console.log(`  aggregate:  ${query.aggregate}`);
+    if (query.orderBy) console.log(`  orderBy:    ${query.orderBy}`);
+    query.cursors.forEach(cursor => console.log(`  cursor:     ${cursor}`));
+    if (query.offset) console.log(`  offset:     ${query.offset}`);
+    if (query.limit !== null) console.log(`  limit:      ${query.limit}`);
+    console.log(`  select:     ${query.select}`);
+    
+    if (query.analysis) {
+      const analysis = query.analysis;
+      console.log(`  ${icon('📈')}Analysis:`);
+      console.log(`     indexes used:       ${analysis.indexesUsed.join('; ') || '(none)'}`);
+      console.log(`     documents scanned:  ${analysis.documentsScanned === null ? 'n/a' : analysis.documentsScanned}`);
+      console.log(`     results returned:   ${analysis.resultsReturned}`);
+      console.log(`     read operations:    ${analysis.readOperations}`);
+      console.log(`     execution time:     ${analysis.executionTime.toFixed(1)}ms`);
+    }
+  });
+  
+  console.log('\nClient-side steps:');
+  if (plan.clientSide.length === 0) {
+    console.log('  (none, Firestore does all the work)');
+  }
+  plan.clientSide.forEach((step, index) => console.log(`  ${index + 1}. ${step}`));
+  console.log('');
+}
+
+/**
+ * Explain a missing-index error and print the index the query needs
+ * @param {MissingIndexError} error - The error, with the worked-out index file
+ */
+function showMissingIndex(error) {
+  console.error(`${icon('❌', process.stderr)}Missing Index:`, error.message);
+  
+  const file = error.indexFile;
+  if (file.indexes.length === 0 && file.fieldOverrides.length === 0) {
+    console.error(`${icon('💡', process.stderr)}The index could not be worked out from the query; follow the link above to create it.\n`);
+    return;
+  }
+  
+  console.error(`${icon('📇', process.stderr)}Add this to firestore.indexes.json, then run: firebase deploy --only firestore:indexes`);
+  console.error(JSON.stringify(file, null, 2));
+  console.error(`${icon('💡', process.stderr)}Use INDEXES to collect the indexes of every query in this session.\n`);
+}
+
+/**
+ * Print or save a firestore.indexes.json file
+ * @param {{indexes: Array, fieldOverrides: Array}} indexFile - Index file content
+ * @param {string} origin - What the indexes were collected from, for the message
+ * @param {string|undefined} outputPath - File to write instead of printing
+ */
+function showIndexFile(indexFile, origin, outputPath) {
+  const count = indexFile.indexes.length + indexFile.fieldOverrides.length;
+  if (count === 0) {
+    console.log(`${icon('📭')}No composite or collection group indexes needed by ${origin}.\n`);
+    return;
+  }
+  
+  const content = JSON.stringify(indexFile, null, 2);
+  if (outputPath) {
+    fs.writeFileSync(outputPath, content + '\n');
+    console.log(`${icon('✅')}Wrote ${count} index definition(s) needed by ${origin} to ${outputPath}`);
+    console.log(`${icon('💡')}Deploy them with: firebase deploy --only firestore:indexes\n`);
+    return;
+  }
+  
+  console.log(`${icon('📇')}Indexes needed by ${origin}:`);
+  console.log(content);
+  console.log('');
+}
+
+/**
+ * Print the session settings and their current values
+ * @param {SQLTranslator} sqlTranslator - Translator holding the settings
+ */
+function showSettings(sqlTranslator) {
+  console.log(`\n${icon('⚙️ ')}Session settings:`);
+  sqlTranslator.describeSettings().forEach(setting => {
+    console.log(`  ${setting.name.padEnd(16)} = ${String(setting.value).padEnd(10)} ${setting.description}`);
+  });
+  console.log(`${icon('💡')}Change a setting with SET <name> = <value>\n`);
 }
 
 function showHelp() {
-  console.log('\n📚 Firestore SQL CLI Commands:');
+  console.log(`\n${icon('📚')}Firestore SQL CLI Commands:`);
   console.log('─'.repeat(50));
   console.log('FSQL Queries:');
   console.log('  SELECT * FROM collection_name');
   console.log('  SELECT field1, field2 FROM collection_name WHERE condition');
   console.log('  SELECT * FROM collection_name WHERE field = "value" AND other > 10');
+  console.log('  SELECT * FROM collection_name WHERE (a = 1 OR b = 2) AND NOT c = 3');
+  console.log('  SELECT * FROM collection_name WHERE status IN ("a", "b") AND tags CONTAINS "x"');
+  console.log('  SELECT * FROM collection_name WHERE roles CONTAINS ANY ("admin", "editor")');
+  console.log('  SELECT * FROM collection_name WHERE email LIKE "%@acme.com" AND deletedAt IS MISSING');
+  console.log('  SELECT * FROM collection_name WHERE LOWER(name) REGEXP "^fr(ank|anck)$"');
   console.log('  SELECT * FROM collection_name ORDER BY field ASC');
   console.log('  SELECT * FROM collection_name WHERE field = "value" ORDER BY field DESC');
   console.log('  SELECT * FROM collection_name ORDER BY field DESC LIMIT 10');
+  console.log('  SELECT * FROM collection_name ORDER BY lastName, firstName LIMIT 10 OFFSET 20');
+  console.log('  SELECT * FROM collection_name ORDER BY createdAt DESC START AFTER (TIMESTAMP "2025-10-01") LIMIT 10');
+  console.log('  SELECT profile.address.city, `first-name` FROM collection_name');
   console.log('  SELECT id, toDate(createdAt) FROM collection_name');
   console.log('  SELECT prettyJson(*) FROM collection_name LIMIT 1');
+  console.log('  SELECT __name__ AS docId, price * qty AS total FROM collection_name');
+  console.log('  SELECT COALESCE(nickname, name), JSON_EXTRACT(meta, "$.tags[0]") FROM collection_name');
+  console.log("  SELECT * FROM collection_name WHERE owner = REF('users/abc')");
+  console.log('  SELECT v.title, u.email FROM videos v JOIN users u ON v.userId = u.id');
   console.log('  SELECT COUNT(*) FROM collection_name');
   console.log('  SELECT COUNT(*) FROM collection_name WHERE field = value');
+  console.log('  SELECT COUNT(*) AS n, SUM(amount) AS total, AVG(rating) FROM collection_name');
+  console.log('  SELECT status, COUNT(*), MAX(amount) FROM collection_name GROUP BY status HAVING COUNT(*) > 10');
+  console.log('  SELECT DISTINCT country FROM collection_name');
+  console.log('  INSERT INTO collection_name (id, name, tags) VALUES ("a1", "Ada", ["x", "y"]), ("a2", "Bob", [])');
+  console.log('  UPDATE collection_name SET plan = "pro", updatedAt = NOW(), logins = INCREMENT(1) WHERE orgId = "x"');
+  console.log('  EXPLAIN SELECT * FROM collection_name WHERE a = 1 OR b = 2 ORDER BY createdAt DESC');
+  console.log('  EXPLAIN ANALYZE SELECT * FROM collection_name WHERE status = "active" LIMIT 10');
+  console.log('  SELECT * FROM collection_name WHERE createdAt >= NOW() - INTERVAL "7 days"');
+  console.log('  DRY RUN DELETE FROM collection_name WHERE expiresAt < DATE "2025-01-01"');
+  console.log('  DELETE FROM collection_name WHERE id = "abc" CASCADE');
+  console.log('  SHOW COLLECTIONS');
+  console.log('  SHOW SUBCOLLECTIONS OF collection_name/documentId');
+  console.log('  DESCRIBE collection_name SAMPLE 500');
   console.log('');
   console.log('Special Commands:');
   console.log('  HELP              - Show this help message');
+  console.log('  NEXT              - Fetch the next page of the last query (uses its LIMIT)');
+  console.log('  INDEXES           - Show the indexes needed by the queries run so far');
+  console.log('  INDEXES FROM f.sql TO firestore.indexes.json - Collect the indexes of a .sql file into a file');
+  console.log('  SETTINGS          - Show session settings');
+  console.log('  SET name = value  - Change a session setting (e.g. SET max_scan = 50000)');
+  console.log(`  \\format [name]    - Show or change the output format (${FORMATS.join(', ')})`);
   console.log('  EXIT/QUIT         - Exit the CLI');
   console.log('');
   console.log('Features:');
-  console.log('  🆔 Document IDs automatically included as "__name__" field');
-  console.log('  🔄 Automatic "id" to "__name__" conversion for user convenience');
-  console.log('  🔓 Admin SDK bypasses all security rules');
-  console.log('  📊 Formatted table output with timing');
-  console.log('  📜 Query history - use ↑/↓ arrows to navigate past queries');
-  console.log('  🎯 Custom SQL parser with support for AND/OR conditions');
-  console.log('  📅 Automatic timestamp parsing and type detection');
-  console.log('  📆 toDate() function for human-readable timestamp formatting');
-  console.log('  🎨 prettyJson() function for formatted JSON output');
-  console.log('  🔢 COUNT(*) aggregation support');
-  console.log('  📊 LIMIT clause support for result pagination');
-  console.log('  📝 Multiline query support - end with semicolon (;) to execute');
+  console.log(`  ${icon('🆔')}Document IDs automatically included as "__name__" field`);
+  console.log(`  ${icon('🔄')}Automatic "id" to "__name__" conversion for user convenience`);
+  console.log(`  ${icon('🔓')}Admin SDK bypasses all security rules`);
+  console.log(`  ${icon('📊')}Formatted table output with timing`);
+  console.log(`  ${icon('🖨️ ')}Vertical, JSON, NDJSON, CSV, TSV and Markdown output with --format or \\format`);
+  console.log(`  ${icon('📜')}Query history - use ↑/↓ arrows to navigate past queries`);
+  console.log(`  ${icon('⌨️ ')}TAB completes keywords, functions, collection paths and field names`);
+  console.log(`  ${icon('🎯')}Custom SQL parser with support for AND/OR/NOT conditions`);
+  console.log(`  ${icon('📅')}TIMESTAMP "...", DATE "..." [AT TIME ZONE "zone"] and NOW() - INTERVAL "7 days" literals`);
+  console.log(`  ${icon('📍')}REF('path'), GEOPOINT(lat, lng) and BYTES(x'...') literals for Firestore types`);
+  console.log(`  ${icon('📆')}toDate() function, formatted with the timezone and date_format settings`);
+  console.log(`  ${icon('🎨')}prettyJson() function for formatted JSON output`);
+  console.log(`  ${icon('🔢')}COUNT(*), SUM() and AVG() aggregation support`);
+  console.log(`  ${icon('📊')}LIMIT clause support for result pagination`);
+  console.log(`  ${icon('✍️ ')}INSERT INTO with batched writes, array [...] and map {...} literals`);
+  console.log(`  ${icon('🛠️ ')}UPDATE with DELETE_FIELD(), INCREMENT(n), ARRAY_UNION(...) and NOW(), a max_update cap and confirmation`);
+  console.log(`  ${icon('🧭')}EXPLAIN [ANALYZE] to see the Firestore queries behind a SELECT`);
+  console.log(`  ${icon('🔗')}JOIN and LEFT JOIN between collections, evaluated client-side`);
+  console.log(`  ${icon('🔎')}LIKE, ILIKE, REGEXP, IS [NOT] NULL / MISSING and functions in WHERE`);
+  console.log(`  ${icon('🧩')}Computed columns, AS aliases and your own functions from ~/.fsql.json`);
+  console.log(`  ${icon('🗂️ ')}SHOW COLLECTIONS, SHOW SUBCOLLECTIONS OF doc and DESCRIBE to explore the schema`);
+  console.log(`  ${icon('🗑️ ')}DELETE with DRY RUN, a max_delete cap, confirmation and CASCADE to subcollections`);
+  console.log(`  ${icon('📝')}Multiline query support - end with semicolon (;) to execute`);
+  console.log(`  ${icon('🌊')}SELECT results stream as they arrive, with a row counter; Ctrl-C cancels the running query`);
+  console.log(`  ${icon('🤖')}Scripts with -e, -f file.sql or piped stdin, with exit codes telling syntax and Firestore errors apart`);
   console.log('');
   console.log('Examples:');
   console.log('  SELECT * FROM challenges WHERE state = "active"');
   console.log('  SELECT id, title, description FROM challenges');
   console.log('  SELECT * FROM users WHERE firstname = "franck"');
-  console.log('  SELECT * FROM videos WHERE userId = "P8RlU12un4UKc0cR1p5DHrtIpdu1" AND createdAt > "10-18-2025"');
+  console.log('  SELECT * FROM videos WHERE userId = "P8RlU12un4UKc0cR1p5DHrtIpdu1" AND createdAt > DATE "2025-10-18"');
   console.log('  SELECT * FROM videos ORDER BY createdAt DESC');
   console.log('  SELECT * FROM users ORDER BY createdAt DESC LIMIT 5');
   console.log('  SELECT id, toDate(createdAt) FROM users');
@@ -261,56 +903,58 @@ function showHelp() {
   console.log('  SELECT COUNT(*) FROM challenges WHERE state = "active"');
   console.log('  SELECT COUNT(*) FROM users/P8RlU12un4UKc0cR1p5DHrtIpdu1/feed WHERE type = "new_public_challenge"');
   console.log('');
-  console.log('💡 Use collection paths directly in FROM clause for subcollections:');
+  console.log(`${icon('💡')}Use collection paths directly in FROM clause for subcollections:`);
   console.log('   SELECT * FROM users/userId/feed');
   console.log('   SELECT COUNT(*) FROM posts/postId/comments');
   console.log('');
-  console.log('💡 Multiline queries - end with semicolon (;) to execute:');
+  console.log(`${icon('💡')}Use COLLECTION_GROUP(id) to query every subcollection with that ID:`);
+  console.log('   SELECT * FROM COLLECTION_GROUP(feed) WHERE type = "new_public_challenge"');
+  console.log('');
+  console.log(`${icon('💡')}Multiline queries - end with semicolon (;) to execute:`);
   console.log('   FSQL> SELECT * FROM users');
   console.log('   ... WHERE age > 25');
   console.log('   ... ORDER BY createdAt DESC;');
+  console.log('');
+  console.log(`${icon('💡')}Run statements without the REPL (scripts, cron jobs):`);
+  console.log('   fsql my-project -e "SELECT COUNT(*) FROM users"');
+  console.log('   fsql my-project -f queries.sql --continue');
+  console.log('   cat queries.sql | fsql my-project --yes');
   console.log('─'.repeat(50));
   console.log('');
 }
 
-function displayResults(results, executionTime) {
-  if (!results || results.length === 0) {
-    console.log('📭 No results found.');
-    console.log(`⏱️  Query executed in ${executionTime}ms\n`);
+/**
+ * Print result rows in the given output format, then their count and timing
+ * @param {Array<Object>} results - Result rows
+ * @param {number} executionTime - Time taken, in milliseconds
+ * @param {string} [format] - One of FORMATS
+ */
+function displayResults(results, executionTime, format = 'table') {
+  const writer = new ResultWriter(format, text => process.stdout.write(text), {
+    width: process.stdout.isTTY ? process.stdout.columns : Infinity
+  });
+  results.forEach(result => writer.write(result));
+  writer.end();
+  showSummary(results.length, executionTime, format);
+}
+
+/**
+ * Print the row count and timing of a query. The machine-readable formats
+ * keep stdout for the data alone, so the summary goes to stderr.
+ * @param {number} count - Number of rows printed
+ * @param {number} executionTime - Time taken, in milliseconds
+ * @param {string} format - One of FORMATS
+ */
+function showSummary(count, executionTime, format) {
+  const machineReadable = MACHINE_FORMATS.includes(format);
+  const status = machineReadable ? console.error : console.log;
+  const statusStream = machineReadable ? process.stderr : process.stdout;
+  
+  if (count === 0) {
+    status(`${icon('📭', statusStream)}No results found.`);
+    status(`${icon('⏱️ ', statusStream)}Query executed in ${executionTime}ms\n`);
     return;
   }
   
-  console.log(`📊 Found ${results.length} result(s) in ${executionTime}ms`);
-  console.log('─'.repeat(80));
-  
-  // Get all unique keys from all results
-  const allKeys = [...new Set(results.flatMap(result => Object.keys(result)))];
-  
-  // Display header
-  const header = allKeys.map(key => key.padEnd(20)).join(' | ');
-  console.log(header);
-  console.log('─'.repeat(header.length));
-  
-  // Display each row
-  results.forEach((result, index) => {
-    const row = allKeys.map(key => {
-      const value = result[key];
-      const displayValue = value === null ? 'null' : 
-                          value === undefined ? 'undefined' : 
-                          typeof value === 'object' ? JSON.stringify(value) : 
-                          String(value);
-      return displayValue.padEnd(20);
-    }).join(' | ');
-    
-    console.log(row);
-    
-    // Limit display to first 100 results to avoid overwhelming output
-    if (index >= 99 && results.length > 100) {
-      console.log(`... and ${results.length - 100} more results`);
-      return;
-    }
-  });
-  
-  console.log('─'.repeat(80));
-  console.log('');
+  status(`${icon('📊', statusStream)}Found ${count} result(s) in ${executionTime}ms\n`);
 }
@@ -0,0 +1,165 @@
+/**
+ * Composite index advice: works out the firestore.indexes.json entries a
+ * Firestore query needs from its filters, ORDER BY and aggregations.
+ *
+ * Follows Firestore's index rules: equality filters (==, IN) come first,
+ * then array-contains, then the ORDER BY fields, then inequality fields
+ * that aren't ordered on explicitly (Firestore orders on them implicitly,
+ * in name order), then fields that are summed or averaged. The document ID
+ * is implicitly the last field of every index. Queries served by the
+ * automatic single-field indexes need no composite index, but collection
+ * group queries need single-field collection group indexes, which are
+ * declared as field overrides.
+ */
+
+// Filters an index serves as equality (IN runs as several equalities)
+const EQUALITY_OPERATORS = ['=', 'IN'];
+
+// Filters served by an array-contains index entry
+const ARRAY_OPERATORS = ['CONTAINS', 'CONTAINS ANY'];
+
+// Filters that make Firestore order on the field
+const INEQUALITY_OPERATORS = ['!=', 'NOT IN', '<', '<=', '>', '>='];
+
+// Single-field index settings Firestore applies by default; a field override
+// replaces them, so they are repeated next to the collection group entry
+const DEFAULT_FIELD_INDEXES = [
+  { order: 'ASCENDING', queryScope: 'COLLECTION' },
+  { order: 'DESCENDING', queryScope: 'COLLECTION' },
+  { arrayConfig: 'CONTAINS', queryScope: 'COLLECTION' }
+];
+
+/**
+ * Error raised when Firestore refuses a query for lack of an index, with the
+ * index definitions worked out from the query
+ */
+class MissingIndexError extends Error {
+  /**
+   * @param {string} message - Firestore's error message (with its console link)
+   * @param {{indexes: Array, fieldOverrides: Array}} indexFile - firestore.indexes.json
+   *   content for the query; empty when the index couldn't be worked out
+   */
+  constructor(message, indexFile) {
+    super(message);
+    this.name = 'MissingIndexError';
+    this.indexFile = indexFile;
+  }
+}
+
+/**
+ * Work out the indexes one Firestore query needs
+ * @param {Object} query - Query shape
+ * @param {string} query.collectionId - ID of the queried collection (last path segment)
+ * @param {boolean} query.collectionGroup - True for a collection group query
+ * @param {Array<Object>} query.conjunction - AND-ed simple conditions the query filters on
+ * @param {Array<{field: string, direction: string}>} [query.orderBy] - Sort keys
+ * @param {Array<string>} [query.aggregateFields] - Fields summed or averaged server-side
+ * @returns {{indexes: Array, fieldOverrides: Array}} firestore.indexes.json content
+ */
+function indexesForQuery({ collectionId, collectionGroup, conjunction, orderBy = [], aggregateFields = [] }) {
+  const fields = [];
+  const add = (fieldPath, settings) => {
+    if (!fields.some(field => field.fieldPath === fieldPath)) {
+      fields.push({ fieldPath: fieldPath, ...settings });
+    }
+  };
+
+  const equalities = conjunction.filter(condition => EQUALITY_OPERATORS.includes(condition.operator));
+  const arrays = conjunction.filter(condition => ARRAY_OPERATORS.includes(condition.operator));
+  const inequalities = conjunction.filter(condition => INEQUALITY_OPERATORS.includes(condition.operator));
+
+  // Sorting on a field fixed by an equality filter doesn't change the order
+  const sortKeys = orderBy.filter(order => !equalities.some(condition => condition.field === order.field));
+  const lastDirection = sortKeys.length > 0 && sortKeys[sortKeys.length - 1].direction === 'DESC' ? 'DESCENDING' : 'ASCENDING';
+
+  equalities.forEach(condition => add(condition.field, { order: 'ASCENDING' }));
+  arrays.forEach(condition => add(condition.field, { arrayConfig: 'CONTAINS' }));
+  sortKeys.forEach(order => add(order.field, { order: order.direction === 'DESC' ? 'DESCENDING' : 'ASCENDING' }));
+  [...new Set(inequalities.map(condition => condition.field))].sort()
+    .forEach(field => add(field, { order: lastDirection }));
+  aggregateFields.forEach(field => add(field, { order: 'ASCENDING' }));
+
+  // The document ID closes every index implicitly
+  while (fields.length > 0 && fields[fields.length - 1].fieldPath === '__name__') {
+    fields.pop();
+  }
+
+  const result = { indexes: [], fieldOverrides: [] };
+
+  // Equality-only filters are answered by merging single-field indexes
+  const equalityOnly = sortKeys.length === 0 && inequalities.length === 0 && aggregateFields.length === 0;
+  if (fields.length <= 1 || equalityOnly) {
+    if (collectionGroup) {
+      result.fieldOverrides = fields
+        .filter(field => field.fieldPath !== '__name__')
+        .map(field => fieldOverride(collectionId, field));
+    }
+    return result;
+  }
+
+  result.indexes.push({
+    collectionGroup: collectionId,
+    queryScope: collectionGroup ? 'COLLECTION_GROUP' : 'COLLECTION',
+    fields: fields
+  });
+  return result;
+}
+
+/**
+ * Field override enabling a single-field collection group index
+ * @param {string} collectionId - Collection group ID
+ * @param {Object} field - Index field ({fieldPath, order} or {fieldPath, arrayConfig})
+ * @returns {Object} Field override
+ */
+function fieldOverride(collectionId, field) {
+  const { fieldPath, ...settings } = field;
+  return {
+    collectionGroup: collectionId,
+    fieldPath: fieldPath,
+    indexes: [...DEFAULT_FIELD_INDEXES, { ...settings, queryScope: 'COLLECTION_GROUP' }]
+  };
+}
+
+/**
+ * Merge index file contents into one deployable firestore.indexes.json,
+ * dropping duplicates and combining the field overrides of the same field
+ * @param {Array<{indexes: Array, fieldOverrides: Array}>} files - Index file contents
+ * @returns {{indexes: Array, fieldOverrides: Array}} Merged content
+ */
+function mergeIndexFiles(files) {
+  const indexes = new Map();
+  const overrides = new Map();
+
+  files.forEach(file => {
+    file.indexes.forEach(index => indexes.set(JSON.stringify(index), index));
+
+    file.fieldOverrides.forEach(override => {
+      const key = `${override.collectionGroup}/${override.fieldPath}`;
+      const existing = overrides.get(key) || { ...override, indexes: [] };
+      override.indexes.forEach(index => {
+        if (!existing.indexes.some(other => JSON.stringify(other) === JSON.stringify(index))) {
+          existing.indexes.push(index);
+        }
+      });
+      overrides.set(key, existing);
+    });
+  });
+
+  return { indexes: [...indexes.values()], fieldOverrides: [...overrides.values()] };
+}
+
+/**
+ * Check whether an error is Firestore refusing a query for lack of an index
+ * @param {Error} error - Error thrown by a Firestore call
+ * @returns {boolean} True for a missing-index FAILED_PRECONDITION error
+ */
+function isMissingIndexError(error) {
+  return Boolean(error) && error.code === 9 && /index/i.test(error.message || '');
+}
+
+module.exports = {
+  MissingIndexError,
+  indexesForQuery,
+  mergeIndexFiles,
+  isMissingIndexError
+};
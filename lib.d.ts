@@ -0,0 +1,380 @@
+// Type declarations for the library entry point (lib.js). The AST types
+// mirror the typedefs of sql-parser.js.
+
+import type { firestore } from 'firebase-admin';
+
+// ---------------------------------------------------------------------------
+// Values and parameters
+// ---------------------------------------------------------------------------
+
+/** A value a query can compare, insert or bind to a placeholder */
+export type SQLValue =
+  | null
+  | boolean
+  | number
+  | string
+  | Date
+  | Buffer
+  | firestore.Timestamp
+  | firestore.DocumentReference
+  | firestore.GeoPoint
+  | SQLValue[]
+  | { [key: string]: SQLValue };
+
+/** Values of ? placeholders, in order, or of :name placeholders, by name */
+export type QueryParams = SQLValue[] | { [name: string]: SQLValue };
+
+/** A result row, by column name */
+export type Row = Record<string, any>;
+
+// ---------------------------------------------------------------------------
+// AST
+// ---------------------------------------------------------------------------
+
+export type Statement =
+  | SelectStatement
+  | ExplainStatement
+  | InsertStatement
+  | UpdateStatement
+  | DeleteStatement
+  | ShowStatement
+  | DescribeStatement;
+
+export interface SelectStatement {
+  type: 'select';
+  distinct: boolean;
+  /** Projected columns, or ['*'] */
+  select: Array<'*' | SelectField>;
+  /** Collection path, or the collection ID of a collection group */
+  from: string;
+  collectionGroup: boolean;
+  alias: string | null;
+  joins: Join[];
+  where: WhereNode | null;
+  groupBy: string[];
+  having: WhereNode | null;
+  orderBy: OrderItem[];
+  start: Cursor | null;
+  end: Cursor | null;
+  limit: number | null;
+  offset: number | null;
+}
+
+export interface Join {
+  type: 'inner' | 'left';
+  from: string;
+  collectionGroup: boolean;
+  alias: string | null;
+  /** The two fields of the ON equality, as written */
+  on: { left: string; right: string };
+}
+
+export interface ExplainStatement {
+  type: 'explain';
+  analyze: boolean;
+  statement: SelectStatement;
+}
+
+export interface InsertStatement {
+  type: 'insert';
+  into: string;
+  /** Canonical field paths ('__name__' for the document ID) */
+  columns: string[];
+  rows: SQLValue[][];
+}
+
+export interface UpdateStatement {
+  type: 'update';
+  from: string;
+  collectionGroup: boolean;
+  set: Assignment[];
+  where: WhereNode | null;
+}
+
+export interface DeleteStatement {
+  type: 'delete';
+  from: string;
+  collectionGroup: boolean;
+  where: WhereNode | null;
+  cascade: boolean;
+  dryRun: boolean;
+}
+
+export interface ShowStatement {
+  type: 'show';
+  what: 'collections' | 'subcollections';
+  path: string | null;
+}
+
+export interface DescribeStatement {
+  type: 'describe';
+  from: string;
+  collectionGroup: boolean;
+  sample: number | null;
+}
+
+export type Assignment =
+  | { field: string; value: SQLValue }
+  | { field: string; function: 'DELETE_FIELD' | 'INCREMENT' | 'ARRAY_UNION' | 'NOW'; args: SQLValue[] };
+
+export interface Cursor {
+  operator: 'AFTER' | 'AT' | 'BEFORE';
+  values: SQLValue[];
+}
+
+export interface Aggregate {
+  function: 'COUNT' | 'SUM' | 'AVG' | 'MIN' | 'MAX';
+  /** Aggregated field, '*' for COUNT(*) */
+  field: string;
+}
+
+export interface OrderItem {
+  field: string;
+  direction: 'ASC' | 'DESC';
+  aggregate?: Aggregate;
+}
+
+export type SelectField =
+  | { type: 'field'; field: string; alias: string | null }
+  | { type: 'expression'; expression: Expression; text: string; alias: string | null }
+  | ({ type: 'aggregation'; alias: string | null } & Aggregate);
+
+export type Expression =
+  | { type: 'field'; field: string }
+  | { type: 'literal'; value: SQLValue; parameter?: string }
+  | { type: 'call'; function: string; args: Expression[] }
+  | { type: 'binary'; operator: '+' | '-' | '*' | '/' | '%'; left: Expression; right: Expression }
+  | { type: 'negate'; operand: Expression };
+
+export type ConditionOperator =
+  | '=' | '!=' | '<' | '<=' | '>' | '>='
+  | 'IN' | 'NOT IN' | 'CONTAINS' | 'CONTAINS ANY'
+  | 'LIKE' | 'NOT LIKE' | 'ILIKE' | 'NOT ILIKE' | 'REGEXP' | 'NOT REGEXP'
+  | 'IS MISSING' | 'IS NOT MISSING';
+
+export interface Condition {
+  type: 'condition';
+  /** Canonical field path, or the text of an aggregate or an expression */
+  field: string;
+  operator: ConditionOperator;
+  value: SQLValue;
+  aggregate?: Aggregate;
+  expression?: Expression;
+}
+
+export type WhereNode =
+  | Condition
+  | { type: 'logical'; operator: 'AND' | 'OR'; left: WhereNode; right: WhereNode }
+  | { type: 'not'; operand: WhereNode };
+
+// ---------------------------------------------------------------------------
+// Parser
+// ---------------------------------------------------------------------------
+
+export interface ParseOptions {
+  /** Read quoted strings that look like dates or numbers as Dates and numbers */
+  guessTypes?: boolean;
+  /** Values of the placeholders */
+  params?: QueryParams | null;
+}
+
+export interface Token {
+  type: 'identifier' | 'quoted_identifier' | 'string' | 'number' | 'operator' | 'punctuation' | 'eof';
+  value: any;
+  text: string;
+  offset: number;
+  line: number;
+  column: number;
+}
+
+export function parse(sql: string, options?: ParseOptions): Statement;
+export function tokenize(sql: string): Token[];
+export function splitStatements(source: string): Array<{ text: string; line: number }>;
+export function formatExpression(expression: Expression): string;
+export function formatFieldPath(segments: string[]): string;
+export function splitFieldPath(field: string): string[];
+
+export class SQLSyntaxError extends Error {
+  constructor(message: string, location: { line: number; column: number; offset: number; length?: number });
+  line: number;
+  column: number;
+  offset: number;
+  length: number;
+}
+
+/** REF() and GEOPOINT() literals, left for the translator to build */
+export class TypedLiteral {
+  constructor(type: 'reference' | 'geopoint', value: any);
+  type: 'reference' | 'geopoint';
+  value: any;
+}
+
+// ---------------------------------------------------------------------------
+// Functions
+// ---------------------------------------------------------------------------
+
+export interface FunctionContext {
+  /** Document the row comes from; null for grouped rows */
+  document: firestore.DocumentSnapshot | null;
+  settings: TranslatorSettings;
+}
+
+export type FunctionDefinition =
+  | ((this: FunctionContext, ...args: any[]) => any)
+  | {
+      apply: (this: FunctionContext, ...args: any[]) => any;
+      /** Number of arguments, or [min, max] (max may be Infinity) */
+      args?: number | [number, number];
+      /** Also call apply when an argument is a missing field */
+      missing?: boolean;
+      /** The result depends on the document rather than on the arguments */
+      document?: boolean;
+      /** Check the argument expressions when a statement is checked; throw to refuse them */
+      validate?: (args: Expression[]) => void;
+    };
+
+export class FunctionRegistry {
+  constructor();
+  register(name: string, definition: FunctionDefinition): void;
+  registerAll(definitions: Record<string, FunctionDefinition>): void;
+  get(name: string): { name: string; minArgs: number; maxArgs: number; missing: boolean; document: boolean; validate: ((args: Expression[]) => void) | null; apply: Function } | undefined;
+  names(): string[];
+  validate(expression: Expression): void;
+  evaluate(expression: Expression, getValue: (node: { type: 'field'; field: string }) => any, context: FunctionContext): any;
+}
+
+// ---------------------------------------------------------------------------
+// Translator
+// ---------------------------------------------------------------------------
+
+export interface TranslatorSettings {
+  max_scan: number;
+  max_delete: number;
+  max_update: number;
+  confirm_writes: boolean;
+  guess_types: boolean;
+  timezone: string;
+  date_format: string;
+}
+
+export interface WritePreview {
+  action: string;
+  count: number;
+  sample: Array<{ id: string; data: Row }>;
+  cascade?: boolean;
+}
+
+export interface QueryOptions {
+  /** Add the document ID as __name__ to SELECT * rows, and to whole documents */
+  includeId?: boolean;
+  /** Called with a message when a query runs client-side, reads many documents, ... */
+  onWarning?: (message: string) => void;
+  /** Resolves to true to go ahead with an UPDATE or DELETE */
+  confirm?: (preview: WritePreview) => boolean | Promise<boolean>;
+  /** Stops the query with a QueryCancelledError */
+  signal?: AbortSignal;
+}
+
+export interface ExplainPlan {
+  source: string;
+  queries: Array<Record<string, any>>;
+  clientSide: string[];
+}
+
+export interface IndexFile {
+  indexes: any[];
+  fieldOverrides: any[];
+}
+
+export class SQLTranslator {
+  constructor(db: firestore.Firestore, settings?: Partial<Record<keyof TranslatorSettings, any>>);
+  db: firestore.Firestore;
+  settings: TranslatorSettings;
+  functions: FunctionRegistry;
+
+  /**
+   * Parse and run one statement: rows for SELECT, SHOW, DESCRIBE and the
+   * writes (null if a write was not confirmed), or the plan of an EXPLAIN.
+   * The result type follows the statement's first keyword when the SQL is a
+   * literal; T types the rows.
+   */
+  query(sql: `${'EXPLAIN' | 'explain'}${WS}${string}`, params?: QueryParams | null, options?: QueryOptions): Promise<ExplainPlan>;
+  query<T extends Row = Row>(sql: `${'UPDATE' | 'update' | 'DELETE' | 'delete'}${WS}${string}`, params?: QueryParams | null, options?: QueryOptions): Promise<T[] | null>;
+  query<T extends Row = Row>(sql: `${ReadKeyword}${WS}${string}`, params?: QueryParams | null, options?: QueryOptions): Promise<T[]>;
+  query<T extends Row = Row>(sql: string, params?: QueryParams | null, options?: QueryOptions): Promise<T[] | ExplainPlan | null>;
+  parseSQL(sql: string, params?: QueryParams | null): Statement;
+  execute(parsed: ExplainStatement, options?: QueryOptions): Promise<ExplainPlan>;
+  execute<T extends Row = Row>(parsed: UpdateStatement | DeleteStatement, options?: QueryOptions): Promise<T[] | null>;
+  execute<T extends Row = Row>(parsed: SelectStatement | InsertStatement | ShowStatement | DescribeStatement, options?: QueryOptions): Promise<T[]>;
+  execute<T extends Row = Row>(parsed: Statement, options?: QueryOptions): Promise<T[] | ExplainPlan | null>;
+  stream<T extends Row = Row>(parsed: SelectStatement, options?: QueryOptions): AsyncGenerator<T>;
+  /** Columns of the result rows when the SELECT list names them, null for SELECT * */
+  columnNames(parsed: SelectStatement): string[] | null;
+  nextPage<T extends Row = Row>(options?: QueryOptions): Promise<T[]>;
+  hasNextPage(): boolean;
+  setSetting(name: keyof TranslatorSettings | string, value: any): void;
+  describeSettings(): Array<{ name: string; value: any; description: string }>;
+  requiredIndexes(parsed: Statement): IndexFile;
+  sessionIndexFile(): IndexFile;
+  scriptIndexFile(source: string, options?: QueryOptions): IndexFile;
+}
+
+/** Whitespace after the first keyword of a statement */
+type WS = ' ' | '\n' | '\t' | '\r';
+
+/** First keywords of the statements that always resolve to rows */
+type ReadKeyword =
+  | 'SELECT' | 'select' | 'INSERT' | 'insert' | 'SHOW' | 'show' | 'DESCRIBE' | 'describe';
+
+export class QueryCancelledError extends Error {}
+
+export class MissingIndexError extends Error {
+  constructor(message: string, indexFile: IndexFile);
+  indexFile: IndexFile;
+}
+
+// ---------------------------------------------------------------------------
+// Formatters
+// ---------------------------------------------------------------------------
+
+export type Format = 'table' | 'vertical' | 'json' | 'ndjson' | 'csv' | 'tsv' | 'markdown';
+
+export interface FormatOptions {
+  /** Terminal width tables fit in (Infinity for no limit) */
+  width?: number;
+  /** Columns of every row, when known before the rows (see SQLTranslator.columnNames()) */
+  columns?: string[];
+}
+
+export const FORMATS: Format[];
+export const MACHINE_FORMATS: Format[];
+export function toPlainValue(value: any): any;
+export function formatCell(value: any): string;
+export function formatValue(value: any, indent?: number): string;
+export function formatResults(results: Row[], format: Format, options?: FormatOptions): string;
+export function resultColumns(results: Row[]): string[];
+
+export class ResultWriter {
+  constructor(format: Format, output: (text: string) => void, options?: FormatOptions);
+  /** Rows written so far */
+  readonly count: number;
+  write(row: Row): void;
+  end(): void;
+}
+
+// ---------------------------------------------------------------------------
+// Query builder
+// ---------------------------------------------------------------------------
+
+export type BuilderOperator = Exclude<ConditionOperator, 'IS MISSING' | 'IS NOT MISSING'>;
+
+export class QueryBuilder {
+  constructor(collection: string, options?: { collectionGroup?: boolean });
+  select(...fields: string[]): this;
+  where(field: string, operator: BuilderOperator | Lowercase<BuilderOperator>, value: SQLValue): this;
+  orderBy(field: string, direction?: 'ASC' | 'DESC' | 'asc' | 'desc'): this;
+  limit(count: number): this;
+  offset(count: number): this;
+  /** The statement, with ? placeholders, and their values for query() */
+  build(): { sql: string; params: SQLValue[] };
+}
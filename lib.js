@@ -0,0 +1,54 @@
+/**
+ * Library entry point: the translator, parser and formatters behind the
+ * firestore-sql CLI, for use from other programs. Requiring it has no side
+ * effects; the caller brings its own Firestore database.
+ *
+ *   const admin = require('firebase-admin');
+ *   const { SQLTranslator } = require('firestore-sql-cli');
+ *
+ *   admin.initializeApp();
+ *   const translator = new SQLTranslator(admin.firestore(), { timezone: 'UTC' });
+ *   const rows = await translator.query(
+ *     'SELECT id, email FROM users WHERE plan = :plan AND createdAt > :since LIMIT 10',
+ *     { plan: 'pro', since: new Date('2025-01-01') }
+ *   );
+ *
+ * Placeholders are bound as typed values (see sql-parser.js), never pasted
+ * into the SQL text; QueryBuilder writes such a statement from method calls.
+ * Types are declared in lib.d.ts.
+ */
+
+const { SQLTranslator, QueryCancelledError } = require('./sql-translator');
+const {
+  parse, tokenize, splitStatements, formatExpression, formatFieldPath, splitFieldPath, SQLSyntaxError, TypedLiteral
+} = require('./sql-parser');
+const { FunctionRegistry } = require('./functions');
+const { MissingIndexError } = require('./indexes');
+const { QueryBuilder } = require('./query-builder');
+const {
+  FORMATS, MACHINE_FORMATS, toPlainValue, formatCell, formatValue, formatResults, resultColumns, ResultWriter
+} = require('./formatters');
+
+module.exports = {
+  SQLTranslator,
+  QueryCancelledError,
+  FunctionRegistry,
+  MissingIndexError,
+  QueryBuilder,
+  parse,
+  tokenize,
+  splitStatements,
+  formatExpression,
+  formatFieldPath,
+  splitFieldPath,
+  SQLSyntaxError,
+  TypedLiteral,
+  FORMATS,
+  MACHINE_FORMATS,
+  toPlainValue,
+  formatCell,
+  formatValue,
+  formatResults,
+  resultColumns,
+  ResultWriter
+};
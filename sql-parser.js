@@ -0,0 +1,2220 @@
+/**
+ * SQL lexer and recursive-descent parser for the Firestore SQL dialect.
+ *
+ * Grammar (keywords are case-insensitive):
+ *
+ *   statement    := (select | explain | insert | update | delete | show | describe) [';'] EOF
+ *   select       := SELECT [DISTINCT] selectList FROM source [[AS] alias] join*
+ *                   [WHERE expression]
+ *                   [GROUP BY field (',' field)*]
+ *                   [HAVING expression]
+ *                   [ORDER BY orderItem (',' orderItem)*]
+ *                   [START (AFTER | AT) list] [END (BEFORE | AT) list]
+ *                   [LIMIT count] [OFFSET count]
+ *   join         := [INNER | LEFT [OUTER]] JOIN source [[AS] alias] ON field '=' field
+ *   explain      := EXPLAIN [ANALYZE] select
+ *   insert       := INSERT INTO path '(' field (',' field)* ')'
+ *                   VALUES list (',' list)*
+ *   update       := UPDATE source SET assignment (',' assignment)* [WHERE expression]
+ *   assignment   := field '=' (value | DELETE_FIELD '(' ')' | NOW '(' ')'
+ *                   | INCREMENT '(' ['-'] number ')' | ARRAY_UNION list)
+ *   delete       := [DRY RUN] DELETE FROM source [WHERE expression] [CASCADE]
+ *   show         := SHOW COLLECTIONS | SHOW SUBCOLLECTIONS OF documentPath
+ *   describe     := DESCRIBE source [SAMPLE integer]
+ *   source       := path | COLLECTION_GROUP '(' collectionId ')'
+ *   orderItem    := (field | aggregate) [ASC | DESC]
+ *   selectList   := '*' | selectItem (',' selectItem)*
+ *   selectItem   := (aggregate | scalar) [AS alias]
+ *   aggregate    := COUNT '(' '*' ')' | (SUM | AVG | MIN | MAX) '(' field ')'
+ *   expression   := andExpr (OR andExpr)*
+ *   andExpr      := notExpr (AND notExpr)*
+ *   notExpr      := NOT notExpr | primary
+ *   primary      := '(' expression ')' | condition
+ *   condition    := target operator value
+ *                 | target [NOT] IN list
+ *                 | target CONTAINS value
+ *                 | target CONTAINS ANY list
+ *                 | target [NOT] (LIKE | ILIKE | REGEXP) string
+ *                 | target IS [NOT] (NULL | MISSING)
+ *   target       := scalar | aggregate (aggregates only in HAVING)
+ *   scalar       := term (('+' | '-') term)*
+ *   term         := factor (('*' | '/' | '%') factor)*
+ *   factor       := value | '-' factor | '(' scalar ')' | call | field
+ *   call         := function '(' [(scalar | '*') (',' (scalar | '*'))*] ')'
+ *   operator     := '=' | '==' | '!=' | '<>' | '<' | '<=' | '>' | '>='
+ *   list         := '(' value (',' value)* ')' | placeholder
+ *   count        := integer | placeholder
+ *   field        := segment ('.' segment)*
+ *   segment      := identifier | '`' quoted identifier '`'
+ *   value        := string | ['-'] number | TRUE | FALSE | NULL | array | map | temporal
+ *                 | REF '(' string ')' | GEOPOINT '(' number ',' number ')'
+ *                 | BYTES '(' (x string | string) ')' | placeholder
+ *   placeholder  := '?' | ':' name
+ *   temporal     := (TIMESTAMP string [AT TIME ZONE string]
+ *                   | DATE string [AT TIME ZONE string] | NOW '(' ')')
+ *                   (('+' | '-') INTERVAL string)*
+ *   array        := '[' [value (',' value)*] ']'
+ *   map          := '{' [key ':' value (',' key ':' value)*] '}'
+ *   key          := identifier | '`' quoted identifier '`' | string
+ *
+ * AND binds tighter than OR, so `a = 1 OR b = 2 AND c = 3` parses as
+ * `a = 1 OR (b = 2 AND c = 3)`.
+ *
+ * Field names are dotted paths into nested maps (`profile.address.city`).
+ * Segments that aren't plain identifiers are quoted with backticks
+ * (`` `first-name` ``, `` `odd.key`.value ``), a backtick inside is doubled.
+ * In the AST, fields are stored in that same canonical form; use
+ * splitFieldPath() to get the individual segments.
+ *
+ * Quoted strings are always strings. Timestamps are written as typed
+ * literals (`TIMESTAMP '2025-10-18T09:00:00Z'`, `DATE '2025-10-18'`) or
+ * relative to the current time (`NOW() - INTERVAL '7 days'`), and become
+ * Dates in the AST; NOW() is read when the statement is parsed. A timestamp
+ * without an offset, and a DATE, is in UTC unless AT TIME ZONE names the
+ * zone its wall-clock time is in. The guessTypes option restores the old
+ * behaviour of reading date-like strings as Dates and numeric strings as
+ * numbers.
+ *
+ * LIKE and ILIKE patterns use % for any run of characters and _ for one
+ * character (a backslash escapes them); REGEXP takes a JavaScript regular
+ * expression and matches anywhere in the string. `IS NULL` and `IS NOT NULL`
+ * are read as `= NULL` and `!= NULL`; `IS MISSING` matches documents
+ * without the field. Function calls in conditions are kept as expression
+ * trees; which functions exist, and how many arguments they take, is up to
+ * the translator. Select items and conditions may compute values with
+ * + - * / % and function calls; a computed column is named after its text as
+ * written (e.g. "price * qty") unless it has an AS alias.
+ *
+ * With JOIN, fields are written `alias.field`; the alias of a source is its
+ * collection ID unless one is given. The parser keeps such fields as they
+ * are written and leaves resolving the aliases to the translator.
+ *
+ * REF('users/abc') and GEOPOINT(lat, lng) need the Firestore SDK (a
+ * reference needs a database), so the parser leaves them as TypedLiteral
+ * values for the translator to build; BYTES(x'0a1b') (hex) or
+ * BYTES('Chs=') (base64) becomes a Buffer.
+ *
+ * Placeholders are bound while parsing, from the params option: `?` takes
+ * the next value of an array, `:name` the value of that key of an object.
+ * The value is used as it is, never read as SQL, so a string stays a string
+ * whatever it contains; a placeholder in place of a list (`IN ?`) takes an
+ * array. In an expression, a placeholder keeps its text (e.g. "price * ?").
+ * Every value must be used: an extra array value, or a key of the object
+ * that names no placeholder, is an error.
+ */
+
+/**
+ * @typedef {Object} Token
+ * @property {string} type - 'identifier', 'quoted_identifier', 'string', 'number', 'operator', 'punctuation' or 'eof'
+ * @property {*} value - Token value (unescaped string, parsed number, operator text)
+ * @property {string} text - Raw source text of the token
+ * @property {number} offset - Zero-based offset in the source
+ * @property {number} line - One-based line number
+ * @property {number} column - One-based column number
+ */
+
+/**
+ * @typedef {Object} SelectStatement
+ * @property {'select'} type
+ * @property {boolean} distinct - SELECT DISTINCT
+ * @property {Array<'*'|SelectField>} select - Projected fields, or ['*']
+ * @property {string} from - Collection path (e.g. "users/abc/feed"), or the
+ *   collection ID of a collection group
+ * @property {boolean} collectionGroup - FROM COLLECTION_GROUP(id): query every
+ *   collection with that ID, wherever it is nested
+ * @property {string|null} alias - Alias given to the FROM source
+ * @property {Array<Join>} joins - Joined collections, in order
+ * @property {WhereNode|null} where - WHERE expression tree
+ * @property {Array<string>} groupBy - GROUP BY fields
+ * @property {WhereNode|null} having - HAVING expression tree
+ * @property {Array<{field: string, direction: 'ASC'|'DESC', aggregate?: Object}>} orderBy - Sort keys, in order
+ * @property {Cursor|null} start - START AFTER / START AT cursor
+ * @property {Cursor|null} end - END BEFORE / END AT cursor
+ * @property {number|null} limit
+ * @property {number|null} offset
+ */
+
+/**
+ * @typedef {Object} Join
+ * @property {'inner'|'left'} type - JOIN (INNER JOIN) or LEFT [OUTER] JOIN
+ * @property {string} from - Collection path, or collection ID of a collection group
+ * @property {boolean} collectionGroup - JOIN COLLECTION_GROUP(id)
+ * @property {string|null} alias - Alias given to the joined source
+ * @property {{left: string, right: string}} on - The two fields of the ON
+ *   equality, as written (e.g. "v.userId" and "u.id")
+ */
+
+/**
+ * @typedef {Object} ExplainStatement
+ * @property {'explain'} type
+ * @property {boolean} analyze - EXPLAIN ANALYZE: also run the query and report its execution statistics
+ * @property {SelectStatement} statement - Query to explain
+ */
+
+/**
+ * @typedef {Object} InsertStatement
+ * @property {'insert'} type
+ * @property {string} into - Collection path
+ * @property {Array<string>} columns - Canonical field paths ('__name__' for the
+ *   id column, which sets the document ID)
+ * @property {Array<Array>} rows - Values of each row, one per column
+ */
+
+/**
+ * @typedef {Object} UpdateStatement
+ * @property {'update'} type
+ * @property {string} from - Collection path, or collection ID of a collection group
+ * @property {boolean} collectionGroup - UPDATE COLLECTION_GROUP(id)
+ * @property {Array<Assignment>} set - Fields to change
+ * @property {WhereNode|null} where - Documents to update (all when null)
+ */
+
+/**
+ * @typedef {Object} DeleteStatement
+ * @property {'delete'} type
+ * @property {string} from - Collection path, or collection ID of a collection group
+ * @property {boolean} collectionGroup - DELETE FROM COLLECTION_GROUP(id)
+ * @property {WhereNode|null} where - Documents to delete (all when null)
+ * @property {boolean} cascade - Also delete the subcollections of each document
+ * @property {boolean} dryRun - DRY RUN: only list the documents that would be deleted
+ */
+
+/**
+ * @typedef {Object} ShowStatement
+ * @property {'show'} type
+ * @property {'collections'|'subcollections'} what - Root collections, or the
+ *   subcollections of a document
+ * @property {string|null} path - Document path (SHOW SUBCOLLECTIONS OF only)
+ */
+
+/**
+ * @typedef {Object} DescribeStatement
+ * @property {'describe'} type
+ * @property {string} from - Collection path, or collection ID of a collection group
+ * @property {boolean} collectionGroup - DESCRIBE COLLECTION_GROUP(id)
+ * @property {number|null} sample - Number of documents to sample (the default when null)
+ */
+
+/**
+ * A SET assignment: either { field, value } for a literal, or
+ * { field, function, args } for DELETE_FIELD(), INCREMENT(n),
+ * ARRAY_UNION(...) and NOW()
+ * @typedef {Object} Assignment
+ */
+
+/**
+ * @typedef {Object} Cursor
+ * @property {'AFTER'|'AT'|'BEFORE'} operator - Cursor position relative to the values
+ * @property {Array} values - One value per ORDER BY field (a prefix is allowed)
+ */
+
+/**
+ * @typedef {Object} SelectField
+ * @property {'field'|'expression'|'aggregation'} type
+ * @property {string} [field] - Canonical field path ('__name__' for the document
+ *   ID), or the aggregated field ('*' for COUNT(*))
+ * @property {string} [function] - Aggregate function: 'COUNT', 'SUM', 'AVG', 'MIN' or 'MAX'
+ * @property {Expression} [expression] - Computed value of an expression column
+ * @property {string} [text] - SQL text of an expression column, e.g. "price * qty"
+ * @property {string|null} alias - Output column name given with AS
+ */
+
+/**
+ * A scalar expression in a select item or a condition. One of:
+ *   { type: 'field', field } - Canonical field path ('*' for the whole
+ *     document, only as a function argument)
+ *   { type: 'literal', value, [parameter] } - parameter is the placeholder
+ *     text ('?' or ':name') when the value was bound to one
+ *   { type: 'call', function, args } - function is the name as written,
+ *     args are Expressions
+ *   { type: 'binary', operator: '+'|'-'|'*'|'/'|'%', left, right }
+ *   { type: 'negate', operand }
+ * @typedef {Object} Expression
+ */
+
+/**
+ * A WHERE expression tree node. One of:
+ *   { type: 'condition', field, operator, value }
+ *     operator is one of '=', '!=', '<', '<=', '>', '>=', 'IN', 'NOT IN',
+ *     'CONTAINS' or 'CONTAINS ANY'; value is an array for the list operators.
+ *     In HAVING, a condition on an aggregate has field set to its column
+ *     name (e.g. "COUNT(*)") and an extra aggregate: { function, field }.
+ *     The operator may also be 'LIKE', 'ILIKE' or 'REGEXP' (value is the
+ *     pattern), their NOT forms, 'IS MISSING' or 'IS NOT MISSING'. A
+ *     condition on an expression has field set to its text (e.g.
+ *     "LOWER(email)") and an extra expression: an Expression tree.
+ *   { type: 'logical', operator: 'AND'|'OR', left, right }
+ *   { type: 'not', operand }
+ * @typedef {Object} WhereNode
+ */
+
+// Words that terminate a clause and therefore cannot be used as bare field names
+const RESERVED_WORDS = new Set([
+  'SELECT', 'FROM', 'WHERE', 'ORDER', 'BY', 'ASC', 'DESC', 'LIMIT', 'AND', 'OR', 'NOT',
+  'IN', 'CONTAINS', 'AS', 'GROUP', 'HAVING', 'DISTINCT'
+]);
+
+// Words that may follow the source of a SELECT, so can't be its alias
+const SOURCE_FOLLOWERS = new Set([
+  'WHERE', 'GROUP', 'HAVING', 'ORDER', 'START', 'END', 'LIMIT', 'OFFSET',
+  'JOIN', 'INNER', 'LEFT', 'ON'
+]);
+
+const AGGREGATE_FUNCTIONS = ['COUNT', 'SUM', 'AVG', 'MIN', 'MAX'];
+
+// Units of an INTERVAL literal, with their length in milliseconds (months
+// and years are calendar units, added with addInterval())
+const INTERVAL_UNITS = {
+  SECOND: 1000,
+  MINUTE: 60 * 1000,
+  HOUR: 60 * 60 * 1000,
+  DAY: 24 * 60 * 60 * 1000,
+  WEEK: 7 * 24 * 60 * 60 * 1000,
+  MONTH: null,
+  YEAR: null
+};
+
+// Functions building a literal of a Firestore type
+const LITERAL_FUNCTIONS = ['REF', 'GEOPOINT', 'BYTES'];
+
+// Pattern matching operators, each also allowed after NOT
+const PATTERN_OPERATORS = ['LIKE', 'ILIKE', 'REGEXP'];
+
+// Functions allowed on the right side of an UPDATE assignment
+const UPDATE_FUNCTIONS = ['DELETE_FIELD', 'INCREMENT', 'ARRAY_UNION', 'NOW'];
+
+const COMPARISON_OPERATORS = {
+  '=': '=',
+  '==': '=',
+  '!=': '!=',
+  '<>': '!=',
+  '<': '<',
+  '<=': '<=',
+  '>': '>',
+  '>=': '>='
+};
+
+/**
+ * A literal of a Firestore type the parser can't build by itself:
+ * { type: 'reference', value: 'users/abc' } for REF('users/abc'), or
+ * { type: 'geopoint', value: { latitude, longitude } } for GEOPOINT(lat, lng)
+ */
+class TypedLiteral {
+  /**
+   * @param {'reference'|'geopoint'} type - Firestore type
+   * @param {*} value - Document path, or {latitude, longitude}
+   */
+  constructor(type, value) {
+    this.type = type;
+    this.value = value;
+  }
+}
+
+/**
+ * Syntax error raised by the lexer or parser, carrying the source location
+ */
+class SQLSyntaxError extends Error {
+  /**
+   * @param {string} message - Error description
+   * @param {{line: number, column: number, offset: number, length?: number}} location
+   */
+  constructor(message, location) {
+    super(`${message} (line ${location.line}, column ${location.column})`);
+    this.name = 'SQLSyntaxError';
+    this.line = location.line;
+    this.column = location.column;
+    this.offset = location.offset;
+    this.length = Math.max(1, location.length || 1);
+  }
+}
+
+/**
+ * Splits SQL source text into tokens
+ */
+class Lexer {
+  constructor(source) {
+    this.source = source;
+    this.offset = 0;
+    this.line = 1;
+    this.column = 1;
+  }
+
+  /**
+   * Tokenize the whole source
+   * @returns {Array<Token>} Tokens, terminated by an 'eof' token
+   */
+  tokenize() {
+    const tokens = [];
+
+    for (;;) {
+      this.skipWhitespaceAndComments();
+
+      if (this.offset >= this.source.length) {
+        tokens.push(this.makeToken('eof', null, this.location()));
+        return tokens;
+      }
+
+      tokens.push(this.nextToken());
+    }
+  }
+
+  location() {
+    return { offset: this.offset, line: this.line, column: this.column };
+  }
+
+  peekChar(ahead = 0) {
+    return this.source[this.offset + ahead];
+  }
+
+  advance() {
+    const char = this.source[this.offset++];
+    if (char === '\n') {
+      this.line++;
+      this.column = 1;
+    } else {
+      this.column++;
+    }
+    return char;
+  }
+
+  makeToken(type, value, start) {
+    return {
+      type: type,
+      value: value,
+      text: this.source.slice(start.offset, this.offset),
+      offset: start.offset,
+      line: start.line,
+      column: start.column
+    };
+  }
+
+  skipWhitespaceAndComments() {
+    while (this.offset < this.source.length) {
+      const char = this.peekChar();
+
+      if (/\s/.test(char)) {
+        this.advance();
+      } else if (char === '-' && this.peekChar(1) === '-') {
+        // Line comment
+        while (this.offset < this.source.length && this.peekChar() !== '\n') {
+          this.advance();
+        }
+      } else if (char === '/' && this.peekChar(1) === '*') {
+        // Block comment
+        const start = this.location();
+        this.advance();
+        this.advance();
+        while (!(this.peekChar() === '*' && this.peekChar(1) === '/')) {
+          if (this.offset >= this.source.length) {
+            throw new SQLSyntaxError('Unterminated comment', { ...start, length: 2 });
+          }
+          this.advance();
+        }
+        this.advance();
+        this.advance();
+      } else {
+        return;
+      }
+    }
+  }
+
+  nextToken() {
+    const start = this.location();
+    const char = this.peekChar();
+
+    if (char === '"' || char === "'") {
+      return this.readString(start);
+    }
+
+    if (char === '`') {
+      return this.readQuotedIdentifier(start);
+    }
+
+    if (/[0-9]/.test(char) || (char === '.' && /[0-9]/.test(this.peekChar(1) || ''))) {
+      return this.readNumber(start);
+    }
+
+    if (/[A-Za-z_$]/.test(char)) {
+      while (this.offset < this.source.length && /[A-Za-z0-9_$]/.test(this.peekChar())) {
+        this.advance();
+      }
+      return this.makeToken('identifier', this.source.slice(start.offset, this.offset), start);
+    }
+
+    const twoChars = this.source.slice(this.offset, this.offset + 2);
+    if (['==', '!=', '<>', '<=', '>='].includes(twoChars)) {
+      this.advance();
+      this.advance();
+      return this.makeToken('operator', twoChars, start);
+    }
+
+    if (char === '=' || char === '<' || char === '>') {
+      this.advance();
+      return this.makeToken('operator', char, start);
+    }
+
+    if ('(),;*/%.-+[]{}:?'.includes(char)) {
+      this.advance();
+      return this.makeToken('punctuation', char, start);
+    }
+
+    throw new SQLSyntaxError(`Unexpected character "${char}"`, start);
+  }
+
+  /**
+   * Read a quoted string. The quote character is escaped either by doubling
+   * it ('it''s') or with a backslash ('it\'s'). As in MySQL, \% and \_ keep
+   * their backslash, for LIKE patterns to match a literal % or _.
+   */
+  readString(start) {
+    const quote = this.advance();
+    let value = '';
+
+    for (;;) {
+      if (this.offset >= this.source.length) {
+        throw new SQLSyntaxError('Unterminated string literal', { ...start, length: 1 });
+      }
+
+      const char = this.advance();
+
+      if (char === '\\' && this.offset < this.source.length) {
+        const escaped = this.advance();
+        value += { n: '\n', t: '\t', r: '\r', '%': '\\%', _: '\\_' }[escaped] || escaped;
+      } else if (char === quote) {
+        if (this.peekChar() === quote) {
+          value += this.advance();
+        } else {
+          return this.makeToken('string', value, start);
+        }
+      } else {
+        value += char;
+      }
+    }
+  }
+
+  /**
+   * Read a backtick-quoted identifier; a backtick inside is written twice
+   */
+  readQuotedIdentifier(start) {
+    this.advance();
+    let value = '';
+
+    for (;;) {
+      if (this.offset >= this.source.length) {
+        throw new SQLSyntaxError('Unterminated quoted identifier', { ...start, length: 1 });
+      }
+
+      const char = this.advance();
+      if (char === '`') {
+        if (this.peekChar() !== '`') break;
+        this.advance();
+      }
+      value += char;
+    }
+
+    if (value === '') {
+      throw new SQLSyntaxError('Empty quoted identifier', { ...start, length: 2 });
+    }
+    return this.makeToken('quoted_identifier', value, start);
+  }
+
+  readNumber(start) {
+    while (this.offset < this.source.length && /[0-9]/.test(this.peekChar())) {
+      this.advance();
+    }
+    if (this.peekChar() === '.' && /[0-9]/.test(this.peekChar(1) || '')) {
+      this.advance();
+      while (this.offset < this.source.length && /[0-9]/.test(this.peekChar())) {
+        this.advance();
+      }
+    }
+    if (/[eE]/.test(this.peekChar() || '') && /[-+0-9]/.test(this.peekChar(1) || '')) {
+      this.advance();
+      if (/[-+]/.test(this.peekChar())) this.advance();
+      while (this.offset < this.source.length && /[0-9]/.test(this.peekChar())) {
+        this.advance();
+      }
+    }
+
+    const text = this.source.slice(start.offset, this.offset);
+    return this.makeToken('number', parseFloat(text), start);
+  }
+}
+
+/**
+ * Recursive-descent parser producing a statement AST (SelectStatement,
+ * ExplainStatement, InsertStatement, UpdateStatement, DeleteStatement,
+ * ShowStatement or DescribeStatement)
+ */
+class Parser {
+  /**
+   * @param {string} source - SQL source
+   * @param {Object} [options] - Parsing options
+   * @param {boolean} [options.guessTypes] - Read quoted strings that look like
+   *   dates or numbers as Dates and numbers
+   * @param {Array|Object} [options.params] - Values of the placeholders: an
+   *   array for ?, an object by name for :name
+   */
+  constructor(source, options = {}) {
+    const params = options.params === undefined ? null : options.params;
+    if (params !== null && (typeof params !== 'object' || (!Array.isArray(params) &&
+        Object.getPrototypeOf(params) !== Object.prototype && Object.getPrototypeOf(params) !== null))) {
+      throw new TypeError('params must be an array of values for ? placeholders, or an object of values for :name placeholders');
+    }
+
+    this.source = source;
+    this.tokens = new Lexer(source).tokenize();
+    this.position = 0;
+    this.allowAggregates = false;
+    this.guessTypes = Boolean(options.guessTypes);
+    this.params = params;
+    this.positionalCount = 0;
+    this.boundNames = new Set();
+  }
+
+  /**
+   * Parse a full statement
+   * @returns {SelectStatement|ExplainStatement|InsertStatement|UpdateStatement|DeleteStatement|ShowStatement|DescribeStatement} Parsed statement
+   */
+  parse() {
+    const statement = this.parseStatement();
+
+    this.matchPunctuation(';');
+    if (this.peek().type !== 'eof') {
+      this.error(`Unexpected ${this.describe(this.peek())}`);
+    }
+    if (Array.isArray(this.params) && this.params.length > this.positionalCount) {
+      this.error(`${this.params.length} parameter values were given for ${this.positionalCount} ? placeholder(s)`);
+    }
+    if (this.params !== null && !Array.isArray(this.params)) {
+      const unused = Object.keys(this.params).filter(name => !this.boundNames.has(name));
+      if (unused.length > 0) {
+        this.error(`No :name placeholder uses the parameter(s) ${unused.join(', ')}`);
+      }
+    }
+
+    return statement;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Token helpers
+  // ---------------------------------------------------------------------------
+
+  peek(ahead = 0) {
+    return this.tokens[Math.min(this.position + ahead, this.tokens.length - 1)];
+  }
+
+  next() {
+    const token = this.peek();
+    if (token.type !== 'eof') {
+      this.position++;
+    }
+    return token;
+  }
+
+  isKeyword(token, keyword) {
+    return token.type === 'identifier' && token.value.toUpperCase() === keyword;
+  }
+
+  isPunctuation(token, char) {
+    return token.type === 'punctuation' && token.value === char;
+  }
+
+  matchKeyword(keyword) {
+    if (this.isKeyword(this.peek(), keyword)) {
+      return this.next();
+    }
+    return null;
+  }
+
+  matchPunctuation(char) {
+    if (this.isPunctuation(this.peek(), char)) {
+      return this.next();
+    }
+    return null;
+  }
+
+  expectKeyword(keyword) {
+    const token = this.matchKeyword(keyword);
+    if (!token) {
+      this.error(`Expected ${keyword} but found ${this.describe(this.peek())}`);
+    }
+    return token;
+  }
+
+  expectPunctuation(char) {
+    const token = this.matchPunctuation(char);
+    if (!token) {
+      this.error(`Expected "${char}" but found ${this.describe(this.peek())}`);
+    }
+    return token;
+  }
+
+  describe(token) {
+    if (token.type === 'eof') return 'end of query';
+    if (token.type === 'string') return `string ${token.text}`;
+    return `"${token.text}"`;
+  }
+
+  /**
+   * Throw a syntax error pointing at a token (the current one by default)
+   */
+  error(message, token = this.peek()) {
+    throw new SQLSyntaxError(message, {
+      line: token.line,
+      column: token.column,
+      offset: token.offset,
+      length: token.text.length
+    });
+  }
+
+  // ---------------------------------------------------------------------------
+  // Statements
+  // ---------------------------------------------------------------------------
+
+  parseStatement() {
+    const token = this.peek();
+
+    if (this.isKeyword(token, 'SELECT')) {
+      return this.parseSelect();
+    }
+    if (this.isKeyword(token, 'EXPLAIN')) {
+      return this.parseExplain();
+    }
+    if (this.isKeyword(token, 'INSERT')) {
+      return this.parseInsert();
+    }
+    if (this.isKeyword(token, 'UPDATE')) {
+      return this.parseUpdate();
+    }
+    if (this.isKeyword(token, 'DELETE')) {
+      return this.parseDelete(false);
+    }
+    if (this.isKeyword(token, 'DRY') && this.isKeyword(this.peek(1), 'RUN')) {
+      this.next();
+      this.next();
+      if (!this.isKeyword(this.peek(), 'DELETE')) {
+        this.error(`DRY RUN is only supported for DELETE, found ${this.describe(this.peek())}`);
+      }
+      return this.parseDelete(true);
+    }
+    if (this.isKeyword(token, 'SHOW')) {
+      return this.parseShow();
+    }
+    if (this.isKeyword(token, 'DESCRIBE')) {
+      return this.parseDescribe();
+    }
+
+    this.error(`Expected SELECT, EXPLAIN, INSERT, UPDATE, DELETE, SHOW or DESCRIBE but found ${this.describe(token)}`);
+  }
+
+  parseSelect() {
+    this.expectKeyword('SELECT');
+    const distinct = Boolean(this.matchKeyword('DISTINCT'));
+    const select = this.parseSelectList();
+
+    this.expectKeyword('FROM');
+    const { from, collectionGroup } = this.parseSource();
+    const alias = this.parseSourceAlias();
+
+    const joins = [];
+    while (this.isKeyword(this.peek(), 'JOIN') || this.isKeyword(this.peek(), 'INNER') ||
+           this.isKeyword(this.peek(), 'LEFT')) {
+      joins.push(this.parseJoin());
+    }
+
+    let where = null;
+    if (this.matchKeyword('WHERE')) {
+      where = this.parseExpression();
+    }
+
+    const groupBy = [];
+    if (this.matchKeyword('GROUP')) {
+      this.expectKeyword('BY');
+      do {
+        groupBy.push(this.parseField());
+      } while (this.matchPunctuation(','));
+    }
+
+    let having = null;
+    if (this.matchKeyword('HAVING')) {
+      this.allowAggregates = true;
+      having = this.parseExpression();
+      this.allowAggregates = false;
+    }
+
+    const orderBy = [];
+    if (this.matchKeyword('ORDER')) {
+      this.expectKeyword('BY');
+      this.allowAggregates = true;
+      do {
+        const target = this.parseTarget();
+        const direction = this.matchKeyword('ASC') || this.matchKeyword('DESC');
+        orderBy.push({ ...target, direction: direction ? direction.value.toUpperCase() : 'ASC' });
+      } while (this.matchPunctuation(','));
+      this.allowAggregates = false;
+    }
+
+    let start = null;
+    if (this.isKeyword(this.peek(), 'START')) {
+      start = this.parseCursor('START', ['AFTER', 'AT'], orderBy);
+    }
+
+    let end = null;
+    if (this.isKeyword(this.peek(), 'END')) {
+      end = this.parseCursor('END', ['BEFORE', 'AT'], orderBy);
+    }
+
+    let limit = null;
+    if (this.matchKeyword('LIMIT')) {
+      limit = this.parseNonNegativeInteger('LIMIT');
+    }
+
+    let offset = null;
+    if (this.matchKeyword('OFFSET')) {
+      offset = this.parseNonNegativeInteger('OFFSET');
+    }
+
+    return {
+      type: 'select',
+      distinct: distinct,
+      select: select,
+      from: from,
+      collectionGroup: collectionGroup,
+      alias: alias,
+      joins: joins,
+      where: where,
+      groupBy: groupBy,
+      having: having,
+      orderBy: orderBy,
+      start: start,
+      end: end,
+      limit: limit,
+      offset: offset
+    };
+  }
+
+  parseExplain() {
+    this.expectKeyword('EXPLAIN');
+    const analyze = Boolean(this.matchKeyword('ANALYZE'));
+
+    if (!this.isKeyword(this.peek(), 'SELECT')) {
+      this.error(`EXPLAIN only supports SELECT queries, found ${this.describe(this.peek())}`);
+    }
+
+    return {
+      type: 'explain',
+      analyze: analyze,
+      statement: this.parseSelect()
+    };
+  }
+
+  parseInsert() {
+    this.expectKeyword('INSERT');
+    this.expectKeyword('INTO');
+    const into = this.parsePath();
+
+    this.expectPunctuation('(');
+    const columns = [];
+    do {
+      const token = this.peek();
+      const column = this.parseField();
+      this.checkFieldClash(columns, column, token);
+      columns.push(column);
+    } while (this.matchPunctuation(','));
+    this.expectPunctuation(')');
+
+    this.expectKeyword('VALUES');
+    const rows = [];
+    do {
+      const token = this.peek();
+      const row = this.parseList();
+      if (row.length !== columns.length) {
+        this.error(`Expected ${columns.length} value(s) to match the column list but found ${row.length}`, token);
+      }
+      rows.push(row);
+    } while (this.matchPunctuation(','));
+
+    return {
+      type: 'insert',
+      into: into,
+      columns: columns,
+      rows: rows
+    };
+  }
+
+  parseUpdate() {
+    this.expectKeyword('UPDATE');
+    const { from, collectionGroup } = this.parseSource();
+
+    this.expectKeyword('SET');
+    const set = [];
+    do {
+      const token = this.peek();
+      const field = this.parseField();
+      if (field === '__name__') {
+        this.error('The document ID cannot be changed with UPDATE', token);
+      }
+      this.checkFieldClash(set.map(assignment => assignment.field), field, token);
+
+      const operator = this.peek();
+      if (operator.type !== 'operator' || operator.value !== '=') {
+        this.error(`Expected "=" but found ${this.describe(operator)}`);
+      }
+      this.next();
+
+      set.push({ field: field, ...this.parseAssignedValue() });
+    } while (this.matchPunctuation(','));
+
+    let where = null;
+    if (this.matchKeyword('WHERE')) {
+      where = this.parseExpression();
+    }
+
+    return {
+      type: 'update',
+      from: from,
+      collectionGroup: collectionGroup,
+      set: set,
+      where: where
+    };
+  }
+
+  parseDelete(dryRun) {
+    this.expectKeyword('DELETE');
+    this.expectKeyword('FROM');
+    const { from, collectionGroup } = this.parseSource();
+
+    let where = null;
+    if (this.matchKeyword('WHERE')) {
+      where = this.parseExpression();
+    }
+
+    const cascade = Boolean(this.matchKeyword('CASCADE'));
+
+    return {
+      type: 'delete',
+      from: from,
+      collectionGroup: collectionGroup,
+      where: where,
+      cascade: cascade,
+      dryRun: dryRun
+    };
+  }
+
+  parseShow() {
+    this.expectKeyword('SHOW');
+
+    if (this.matchKeyword('COLLECTIONS')) {
+      return { type: 'show', what: 'collections', path: null };
+    }
+    if (!this.matchKeyword('SUBCOLLECTIONS')) {
+      this.error(`Expected COLLECTIONS or SUBCOLLECTIONS but found ${this.describe(this.peek())}`);
+    }
+
+    this.expectKeyword('OF');
+    const token = this.peek();
+    const path = this.parsePath();
+    if (path.split('/').length % 2 !== 0) {
+      this.error(`SHOW SUBCOLLECTIONS OF takes a document path (e.g. users/abc), not "${path}"`, token);
+    }
+
+    return { type: 'show', what: 'subcollections', path: path };
+  }
+
+  parseDescribe() {
+    this.expectKeyword('DESCRIBE');
+    const { from, collectionGroup } = this.parseSource();
+
+    let sample = null;
+    if (this.matchKeyword('SAMPLE')) {
+      const token = this.peek();
+      sample = this.parseNonNegativeInteger('SAMPLE');
+      if (sample === 0) {
+        this.error('SAMPLE must be a positive integer', token);
+      }
+    }
+
+    return {
+      type: 'describe',
+      from: from,
+      collectionGroup: collectionGroup,
+      sample: sample
+    };
+  }
+
+  /**
+   * Parse the right side of a SET assignment: a literal value or one of
+   * UPDATE_FUNCTIONS
+   * @returns {{value: *}|{function: string, args: Array}} Assigned value
+   */
+  parseAssignedValue() {
+    const token = this.peek();
+    if (token.type !== 'identifier' || !this.isPunctuation(this.peek(1), '(')) {
+      return { value: this.parseValue() };
+    }
+
+    // NOW() shifted by an INTERVAL is a value; NOW() alone the server timestamp
+    const name = token.value.toUpperCase();
+    if (LITERAL_FUNCTIONS.includes(name) || (name === 'NOW' && this.isPunctuation(this.peek(2), ')') &&
+        (this.isPunctuation(this.peek(3), '+') || this.isPunctuation(this.peek(3), '-')))) {
+      return { value: this.parseValue() };
+    }
+
+    if (!UPDATE_FUNCTIONS.includes(name)) {
+      this.error(`Unknown function ${token.value}(); expected a value or one of ${UPDATE_FUNCTIONS.join(', ')}`, token);
+    }
+    this.next();
+
+    if (name === 'ARRAY_UNION') {
+      const args = this.parseList();
+      if (args.length === 0) {
+        this.error('ARRAY_UNION needs at least one value', token);
+      }
+      return { function: name, args: args };
+    }
+
+    this.expectPunctuation('(');
+    const args = [];
+    if (name === 'INCREMENT') {
+      const argument = this.peek();
+      const value = this.parseValue();
+      if (typeof value !== 'number') {
+        this.error('INCREMENT takes a number', argument);
+      }
+      args.push(value);
+    }
+    this.expectPunctuation(')');
+
+    return { function: name, args: args };
+  }
+
+  /**
+   * Reject a field that repeats or overlaps (is a parent or child of) a
+   * field already listed, which Firestore can't write in one operation
+   * @param {Array<string>} fields - Fields listed so far
+   * @param {string} field - New field
+   * @param {Token} token - First token of the new field, for the error location
+   */
+  checkFieldClash(fields, field, token) {
+    const clash = fields.find(other => {
+      return other === field || other.startsWith(field + '.') || field.startsWith(other + '.');
+    });
+    if (clash) {
+      this.error(clash === field ? `Duplicate column "${token.text}"` : `Column "${field}" overlaps column "${clash}"`, token);
+    }
+  }
+
+  /**
+   * Parse a START AFTER / START AT / END BEFORE / END AT cursor. Firestore
+   * matches cursor values to the ORDER BY fields, so there can't be more
+   * values than sort keys.
+   * @param {string} keyword - 'START' or 'END'
+   * @param {Array<string>} operators - Allowed words after the keyword
+   * @param {Array<Object>} orderBy - Parsed ORDER BY clause
+   * @returns {Cursor} Parsed cursor
+   */
+  parseCursor(keyword, operators, orderBy) {
+    const keywordToken = this.next();
+
+    const operator = operators.find(word => this.matchKeyword(word));
+    if (!operator) {
+      this.error(`Expected ${operators.join(' or ')} after ${keyword} but found ${this.describe(this.peek())}`);
+    }
+
+    const values = this.parseList();
+
+    if (orderBy.length === 0) {
+      this.error(`${keyword} ${operator} requires an ORDER BY clause`, keywordToken);
+    }
+    if (values.length === 0) {
+      this.error(`${keyword} ${operator} needs at least one value`, keywordToken);
+    }
+    if (values.length > orderBy.length) {
+      this.error(`${keyword} ${operator} takes at most ${orderBy.length} value(s), one per ORDER BY field`, keywordToken);
+    }
+
+    return { operator: operator, values: values };
+  }
+
+  parseSelectList() {
+    if (this.matchPunctuation('*')) {
+      return ['*'];
+    }
+
+    const fields = [];
+    do {
+      fields.push(this.parseSelectItem());
+    } while (this.matchPunctuation(','));
+
+    return fields;
+  }
+
+  parseSelectItem() {
+    const token = this.peek();
+
+    if (token.type === 'identifier' && this.isPunctuation(this.peek(1), '(') &&
+        AGGREGATE_FUNCTIONS.includes(token.value.toUpperCase())) {
+      const aggregate = this.parseAggregate();
+      return { type: 'aggregation', ...aggregate, alias: this.parseAlias() };
+    }
+
+    const expression = this.parseScalar();
+    if (expression.type === 'field') {
+      return { type: 'field', field: expression.field, alias: this.parseAlias() };
+    }
+    return { type: 'expression', expression: expression, text: formatExpression(expression), alias: this.parseAlias() };
+  }
+
+  /**
+   * Parse an aggregate call such as COUNT(*) or SUM(amount)
+   * @returns {{function: string, field: string}} Aggregate function and field
+   */
+  parseAggregate() {
+    const name = this.next().value.toUpperCase();
+    this.expectPunctuation('(');
+
+    let field = '*';
+    if (name === 'COUNT') {
+      this.expectPunctuation('*');
+    } else {
+      field = this.parseField();
+    }
+
+    this.expectPunctuation(')');
+    return { function: name, field: field };
+  }
+
+  /**
+   * Parse the left side of a condition or an ORDER BY key: a field, or an
+   * aggregate where aggregates are allowed (HAVING and ORDER BY)
+   * @returns {{field: string, aggregate?: Object}} Target field
+   */
+  parseTarget() {
+    const token = this.peek();
+
+    if (token.type === 'identifier' && this.isPunctuation(this.peek(1), '(') &&
+        AGGREGATE_FUNCTIONS.includes(token.value.toUpperCase())) {
+      if (!this.allowAggregates) {
+        this.error(`Aggregate ${token.value.toUpperCase()}() is only allowed in SELECT, HAVING and ORDER BY`);
+      }
+      const aggregate = this.parseAggregate();
+      return { field: `${aggregate.function}(${aggregate.field})`, aggregate: aggregate };
+    }
+
+    return { field: this.parseField() };
+  }
+
+  /**
+   * Parse an optional `AS alias` after a select item
+   * @returns {string|null} Alias, or null if there is none
+   */
+  parseAlias() {
+    if (!this.matchKeyword('AS')) {
+      return null;
+    }
+
+    const token = this.peek();
+    if ((token.type !== 'identifier' && token.type !== 'quoted_identifier') ||
+        (token.type === 'identifier' && RESERVED_WORDS.has(token.value.toUpperCase()))) {
+      this.error(`Expected alias after AS but found ${this.describe(token)}`);
+    }
+
+    this.next();
+    return token.value;
+  }
+
+  /**
+   * Parse the FROM source: a collection path, or COLLECTION_GROUP(id)
+   * @returns {{from: string, collectionGroup: boolean}} Parsed source
+   */
+  parseSource() {
+    if (this.isKeyword(this.peek(), 'COLLECTION_GROUP') && this.isPunctuation(this.peek(1), '(')) {
+      this.next();
+      this.next();
+
+      const token = this.peek();
+      const collectionId = this.parsePath();
+      if (collectionId.includes('/')) {
+        this.error(`COLLECTION_GROUP takes a collection ID, not a path: "${collectionId}"`, token);
+      }
+
+      this.expectPunctuation(')');
+      return { from: collectionId, collectionGroup: true };
+    }
+
+    return { from: this.parsePath(), collectionGroup: false };
+  }
+
+  /**
+   * Parse the optional alias after a SELECT source, with or without AS
+   * @returns {string|null} Alias, or null if there is none
+   */
+  parseSourceAlias() {
+    const explicit = Boolean(this.matchKeyword('AS'));
+    const token = this.peek();
+
+    if (token.type === 'identifier' && !RESERVED_WORDS.has(token.value.toUpperCase()) &&
+        !SOURCE_FOLLOWERS.has(token.value.toUpperCase())) {
+      this.next();
+      return token.value;
+    }
+    if (explicit) {
+      this.error(`Expected alias after AS but found ${this.describe(token)}`);
+    }
+    return null;
+  }
+
+  /**
+   * Parse a JOIN clause: the joined source, its alias and the ON equality
+   * @returns {Join} Parsed join
+   */
+  parseJoin() {
+    let type = 'inner';
+    if (this.matchKeyword('LEFT')) {
+      type = 'left';
+      this.matchKeyword('OUTER');
+    } else {
+      this.matchKeyword('INNER');
+    }
+    this.expectKeyword('JOIN');
+
+    const { from, collectionGroup } = this.parseSource();
+    const alias = this.parseSourceAlias();
+
+    this.expectKeyword('ON');
+    const left = this.parseField();
+    const operator = this.peek();
+    if (operator.type !== 'operator' || COMPARISON_OPERATORS[operator.value] !== '=') {
+      this.error(`JOIN ... ON only supports an equality between two fields, found ${this.describe(operator)}`);
+    }
+    this.next();
+    const right = this.parseField();
+
+    return {
+      type: type,
+      from: from,
+      collectionGroup: collectionGroup,
+      alias: alias,
+      on: { left: left, right: right }
+    };
+  }
+
+  /**
+   * Parse a collection path such as `users/abc-123/feed`. Path segments are
+   * made of every token written without whitespace in between, so document
+   * IDs may contain characters that are not valid in identifiers. A quoted
+   * string is also accepted for paths containing spaces.
+   */
+  parsePath() {
+    const first = this.peek();
+
+    if (first.type === 'string') {
+      this.next();
+      return first.value;
+    }
+
+    if (first.type !== 'identifier' && first.type !== 'number') {
+      this.error(`Expected collection path but found ${this.describe(first)}`);
+    }
+
+    let end = first.offset;
+    while (this.peek().type !== 'eof' && this.peek().offset === end &&
+           !this.isPunctuation(this.peek(), ';') && !this.isPunctuation(this.peek(), ',') &&
+           !this.isPunctuation(this.peek(), '(') && !this.isPunctuation(this.peek(), ')')) {
+      const token = this.next();
+      end = token.offset + token.text.length;
+    }
+
+    const path = this.source.slice(first.offset, end);
+    if (path.startsWith('/') || path.endsWith('/') || path.includes('//')) {
+      this.error(`Invalid collection path "${path}"`, first);
+    }
+
+    return path;
+  }
+
+  /**
+   * Parse a (possibly dotted) field path, converting a bare `id` to
+   * Firestore's `__name__`. A quoted `` `id` `` refers to a field named id.
+   * @returns {string} Canonical field path
+   */
+  parseField() {
+    const first = this.peek();
+
+    if (first.type === 'identifier' && RESERVED_WORDS.has(first.value.toUpperCase())) {
+      this.error(`Expected field name but found keyword ${first.value.toUpperCase()}`);
+    }
+
+    const segments = [this.parseFieldSegment()];
+    while (this.matchPunctuation('.')) {
+      segments.push(this.parseFieldSegment());
+    }
+
+    if (segments.length === 1 && first.type === 'identifier') {
+      return convertIdToName(first.value);
+    }
+    return formatFieldPath(segments);
+  }
+
+  parseFieldSegment() {
+    const token = this.peek();
+    if (token.type !== 'identifier' && token.type !== 'quoted_identifier') {
+      this.error(`Expected field name but found ${this.describe(token)}`);
+    }
+    this.next();
+    return token.value;
+  }
+
+  parseNonNegativeInteger(clause) {
+    const token = this.peek();
+    let value;
+    if (this.isPlaceholder()) {
+      value = this.parsePlaceholder().value;
+    } else if (token.type === 'number') {
+      value = this.next().value;
+    }
+    if (!Number.isInteger(value) || value < 0) {
+      this.error(`${clause} must be a positive integer`, token);
+    }
+    return value;
+  }
+
+  // ---------------------------------------------------------------------------
+  // WHERE expressions
+  // ---------------------------------------------------------------------------
+
+  parseExpression() {
+    let left = this.parseAndExpression();
+
+    while (this.matchKeyword('OR')) {
+      const right = this.parseAndExpression();
+      left = { type: 'logical', operator: 'OR', left: left, right: right };
+    }
+
+    return left;
+  }
+
+  parseAndExpression() {
+    let left = this.parseNotExpression();
+
+    while (this.matchKeyword('AND')) {
+      const right = this.parseNotExpression();
+      left = { type: 'logical', operator: 'AND', left: left, right: right };
+    }
+
+    return left;
+  }
+
+  parseNotExpression() {
+    if (this.matchKeyword('NOT')) {
+      return { type: 'not', operand: this.parseNotExpression() };
+    }
+    return this.parsePrimaryExpression();
+  }
+
+  parsePrimaryExpression() {
+    if (this.matchPunctuation('(')) {
+      const expression = this.parseExpression();
+      this.expectPunctuation(')');
+      return expression;
+    }
+    return this.parseCondition();
+  }
+
+  parseCondition() {
+    const token = this.peek();
+    const target = token.type === 'identifier' && this.isPunctuation(this.peek(1), '(') &&
+      AGGREGATE_FUNCTIONS.includes(token.value.toUpperCase()) ?
+      this.parseTarget() :
+      this.parseScalarTarget();
+
+    const pattern = PATTERN_OPERATORS.find(word => this.isKeyword(this.peek(), word) ||
+      (this.isKeyword(this.peek(), 'NOT') && this.isKeyword(this.peek(1), word)));
+    if (pattern) {
+      const negated = Boolean(this.matchKeyword('NOT'));
+      this.next();
+      return { type: 'condition', ...target, operator: negated ? `NOT ${pattern}` : pattern, value: this.parsePattern(pattern) };
+    }
+
+    if (this.matchKeyword('IS')) {
+      const negated = Boolean(this.matchKeyword('NOT'));
+      if (this.matchKeyword('NULL')) {
+        return { type: 'condition', ...target, operator: negated ? '!=' : '=', value: null };
+      }
+      if (this.matchKeyword('MISSING')) {
+        return { type: 'condition', ...target, operator: negated ? 'IS NOT MISSING' : 'IS MISSING', value: null };
+      }
+      this.error(`Expected NULL or MISSING after IS${negated ? ' NOT' : ''} but found ${this.describe(this.peek())}`);
+    }
+
+    if (this.isKeyword(this.peek(), 'NOT') && this.isKeyword(this.peek(1), 'IN')) {
+      this.next();
+      this.next();
+      return { type: 'condition', ...target, operator: 'NOT IN', value: this.parseList() };
+    }
+
+    if (this.matchKeyword('IN')) {
+      return { type: 'condition', ...target, operator: 'IN', value: this.parseList() };
+    }
+
+    if (this.matchKeyword('CONTAINS')) {
+      if (this.matchKeyword('ANY')) {
+        return { type: 'condition', ...target, operator: 'CONTAINS ANY', value: this.parseList() };
+      }
+      return { type: 'condition', ...target, operator: 'CONTAINS', value: this.parseValue() };
+    }
+
+    const operatorToken = this.peek();
+    if (operatorToken.type !== 'operator') {
+      this.error(`Expected comparison operator but found ${this.describe(operatorToken)}`);
+    }
+    this.next();
+
+    return {
+      type: 'condition',
+      ...target,
+      operator: COMPARISON_OPERATORS[operatorToken.value],
+      value: this.parseValue()
+    };
+  }
+
+  /**
+   * Parse the left side of a condition that isn't an aggregate: a field, or
+   * an expression such as LOWER(email) or price * qty
+   * @returns {{field: string, expression?: Expression}} Target; an expression
+   *   target is named after its text
+   */
+  parseScalarTarget() {
+    const token = this.peek();
+    const expression = this.parseScalar();
+
+    if (expression.type === 'field') {
+      return { field: expression.field };
+    }
+    if (expression.type === 'literal') {
+      this.error(`Expected a field or an expression but found ${this.describe(token)}`, token);
+    }
+    return { field: formatExpression(expression), expression: expression };
+  }
+
+  /**
+   * Parse a scalar expression: sums and differences of terms
+   * @returns {Expression} Expression
+   */
+  parseScalar() {
+    let expression = this.parseTerm();
+    while (this.isPunctuation(this.peek(), '+') || this.isPunctuation(this.peek(), '-')) {
+      const operator = this.next().value;
+      expression = { type: 'binary', operator: operator, left: expression, right: this.parseTerm() };
+    }
+    return expression;
+  }
+
+  /**
+   * Parse products, quotients and remainders of factors
+   * @returns {Expression} Expression
+   */
+  parseTerm() {
+    let expression = this.parseFactor();
+    while (['*', '/', '%'].some(operator => this.isPunctuation(this.peek(), operator))) {
+      const operator = this.next().value;
+      expression = { type: 'binary', operator: operator, left: expression, right: this.parseFactor() };
+    }
+    return expression;
+  }
+
+  /**
+   * Parse a literal value, a negation, a parenthesized expression, a function
+   * call or a field
+   * @returns {Expression} Expression
+   */
+  parseFactor() {
+    if (this.isPlaceholder()) {
+      const placeholder = this.parsePlaceholder();
+      return { type: 'literal', value: placeholder.value, parameter: placeholder.text };
+    }
+    if (this.isValueStart()) {
+      return { type: 'literal', value: this.parseValue() };
+    }
+    if (this.matchPunctuation('-')) {
+      return { type: 'negate', operand: this.parseFactor() };
+    }
+    if (this.matchPunctuation('(')) {
+      const expression = this.parseScalar();
+      this.expectPunctuation(')');
+      return expression;
+    }
+
+    const token = this.peek();
+    if (token.type === 'identifier' && this.isPunctuation(this.peek(1), '(')) {
+      return this.parseCall();
+    }
+    return { type: 'field', field: this.parseField() };
+  }
+
+  /**
+   * Parse a scalar function call such as LOWER(email) or prettyJson(*); '*'
+   * stands for the whole document
+   * @returns {Expression} Call expression
+   */
+  parseCall() {
+    const token = this.next();
+    if (AGGREGATE_FUNCTIONS.includes(token.value.toUpperCase())) {
+      this.error(`Aggregate ${token.value.toUpperCase()}() can't be used inside an expression`, token);
+    }
+    this.expectPunctuation('(');
+
+    const args = [];
+    if (!this.isPunctuation(this.peek(), ')')) {
+      do {
+        args.push(this.matchPunctuation('*') ? { type: 'field', field: '*' } : this.parseScalar());
+      } while (this.matchPunctuation(','));
+    }
+
+    this.expectPunctuation(')');
+    return { type: 'call', function: token.value, args: args };
+  }
+
+  /**
+   * Check whether the next tokens start a literal value rather than a field,
+   * a function call or a negation
+   * @returns {boolean} True if parseValue() should be used
+   */
+  isValueStart() {
+    const token = this.peek();
+
+    if (token.type === 'string' || token.type === 'number' || this.isPlaceholder() ||
+        this.isPunctuation(token, '[') || this.isPunctuation(token, '{')) {
+      return true;
+    }
+    if (this.isPunctuation(token, '-')) {
+      return this.peek(1).type === 'number';
+    }
+    if (token.type !== 'identifier') {
+      return false;
+    }
+
+    const keyword = token.value.toUpperCase();
+    return keyword === 'TRUE' || keyword === 'FALSE' || keyword === 'NULL' ||
+      ((keyword === 'TIMESTAMP' || keyword === 'DATE') && this.peek(1).type === 'string') ||
+      ((keyword === 'NOW' || LITERAL_FUNCTIONS.includes(keyword)) && this.isPunctuation(this.peek(1), '('));
+  }
+
+  /**
+   * Parse the quoted pattern of LIKE, ILIKE or REGEXP, checking a regular
+   * expression compiles
+   * @param {string} operator - 'LIKE', 'ILIKE' or 'REGEXP'
+   * @returns {string} Pattern
+   */
+  parsePattern(operator) {
+    const token = this.peek();
+    let pattern;
+    if (this.isPlaceholder()) {
+      pattern = this.parsePlaceholder().value;
+      if (typeof pattern !== 'string') {
+        this.error(`${operator} needs a string pattern, but ${token.text} is bound to ${describeValue(pattern)}`, token);
+      }
+    } else if (token.type === 'string') {
+      pattern = this.next().value;
+    } else {
+      this.error(`${operator} needs a quoted pattern but found ${this.describe(token)}`);
+    }
+
+    if (operator === 'REGEXP') {
+      try {
+        new RegExp(pattern);
+      } catch (error) {
+        this.error(error.message, token);
+      }
+    }
+    return pattern;
+  }
+
+  /**
+   * Parse a parenthesized list literal such as ('a', 'b', 3), or a
+   * placeholder bound to an array
+   * @returns {Array} List values
+   */
+  parseList() {
+    if (this.isPlaceholder()) {
+      const token = this.peek();
+      const values = this.parsePlaceholder().value;
+      if (!Array.isArray(values)) {
+        this.error(`${token.text} stands for a list, so it must be bound to an array, not ${describeValue(values)}`, token);
+      }
+      return values;
+    }
+
+    this.expectPunctuation('(');
+
+    const values = [];
+    if (!this.isPunctuation(this.peek(), ')')) {
+      do {
+        values.push(this.parseValue());
+      } while (this.matchPunctuation(','));
+    }
+
+    this.expectPunctuation(')');
+    return values;
+  }
+
+  parseValue() {
+    const token = this.peek();
+
+    if (this.isPlaceholder()) {
+      return this.parsePlaceholder().value;
+    }
+
+    if (token.type === 'string') {
+      this.next();
+      return this.guessTypes ? coerceStringLiteral(token.value) : token.value;
+    }
+
+    if (this.isPunctuation(token, '-') && this.peek(1).type === 'number') {
+      this.next();
+      return -this.next().value;
+    }
+
+    if (token.type === 'number') {
+      this.next();
+      return token.value;
+    }
+
+    if (token.type === 'identifier') {
+      const keyword = token.value.toUpperCase();
+      if (keyword === 'TRUE' || keyword === 'FALSE' || keyword === 'NULL') {
+        this.next();
+        return keyword === 'NULL' ? null : keyword === 'TRUE';
+      }
+      if (((keyword === 'TIMESTAMP' || keyword === 'DATE') && this.peek(1).type === 'string') ||
+          (keyword === 'NOW' && this.isPunctuation(this.peek(1), '('))) {
+        return this.parseTemporal();
+      }
+      if (LITERAL_FUNCTIONS.includes(keyword) && this.isPunctuation(this.peek(1), '(')) {
+        return this.parseTypedLiteral();
+      }
+    }
+
+    if (this.isPunctuation(token, '[')) {
+      return this.parseArray();
+    }
+
+    if (this.isPunctuation(token, '{')) {
+      return this.parseMap();
+    }
+
+    this.error(`Expected a value but found ${this.describe(token)}`);
+  }
+
+  /**
+   * Check whether the next tokens are a placeholder: ? or :name (with no
+   * space after the colon)
+   * @returns {boolean} True if parsePlaceholder() should be used
+   */
+  isPlaceholder() {
+    const token = this.peek();
+    if (this.isPunctuation(token, '?')) {
+      return true;
+    }
+    const name = this.peek(1);
+    return this.isPunctuation(token, ':') && name.type === 'identifier' && name.offset === token.offset + 1;
+  }
+
+  /**
+   * Parse a placeholder and look up its value in the params option
+   * @returns {{value: *, text: string}} Bound value, and the placeholder as written
+   */
+  parsePlaceholder() {
+    const token = this.next();
+    const named = token.value === ':';
+    const text = named ? `:${this.next().value}` : '?';
+
+    if (this.params === null) {
+      this.error(`No value for the placeholder ${text}; pass the parameters along with the query`, token);
+    }
+    if (named === Array.isArray(this.params)) {
+      this.error(named ?
+        `${text} is a named placeholder, so the parameters must be an object` :
+        'A ? placeholder takes the next value of an array of parameters, not of an object', token);
+    }
+
+    let value;
+    if (named) {
+      const name = text.slice(1);
+      if (!Object.prototype.hasOwnProperty.call(this.params, name)) {
+        this.error(`No value for the placeholder ${text}`, token);
+      }
+      value = this.params[name];
+      this.boundNames.add(name);
+    } else {
+      if (this.positionalCount >= this.params.length) {
+        this.error(`No value for ? placeholder number ${this.positionalCount + 1}; ` +
+          `${this.params.length} parameter value(s) were given`, token);
+      }
+      value = this.params[this.positionalCount++];
+    }
+
+    if (value === undefined || typeof value === 'function' || typeof value === 'symbol' || typeof value === 'bigint') {
+      this.error(`The placeholder ${text} can't be bound to ${describeValue(value)}`, token);
+    }
+    return { value: value, text: text };
+  }
+
+  /**
+   * Parse REF('path'), GEOPOINT(lat, lng) or BYTES(x'hex' | 'base64')
+   * @returns {TypedLiteral|Buffer} Literal value
+   */
+  parseTypedLiteral() {
+    const name = this.next().value.toUpperCase();
+    this.expectPunctuation('(');
+    let value;
+
+    if (name === 'REF') {
+      const token = this.peek();
+      if (token.type !== 'string') {
+        this.error(`REF takes a quoted document path, e.g. REF('users/abc'), but found ${this.describe(token)}`);
+      }
+      this.next();
+      const path = token.value.replace(/^\/+|\/+$/g, '');
+      if (path === '' || path.includes('//') || path.split('/').length % 2 !== 0) {
+        this.error(`REF takes a document path (collection/document), not '${token.value}'`, token);
+      }
+      value = new TypedLiteral('reference', path);
+    } else if (name === 'GEOPOINT') {
+      const latitude = this.parseCoordinate('latitude', 90);
+      this.expectPunctuation(',');
+      const longitude = this.parseCoordinate('longitude', 180);
+      value = new TypedLiteral('geopoint', { latitude: latitude, longitude: longitude });
+    } else {
+      value = this.parseBytes();
+    }
+
+    this.expectPunctuation(')');
+    return value;
+  }
+
+  parseCoordinate(name, limit) {
+    const token = this.peek();
+    const value = this.parseValue();
+    if (typeof value !== 'number' || Math.abs(value) > limit) {
+      this.error(`GEOPOINT ${name} must be a number between -${limit} and ${limit}`, token);
+    }
+    return value;
+  }
+
+  parseBytes() {
+    const token = this.peek();
+    const hex = (this.isKeyword(token, 'X') && this.peek(1).type === 'string' &&
+      this.peek(1).offset === token.offset + 1);
+
+    if (hex) {
+      this.next();
+      const literal = this.next();
+      if (!/^([0-9a-f]{2})*$/i.test(literal.value)) {
+        this.error(`Invalid hex bytes x'${literal.value}'; expected pairs of hex digits`, literal);
+      }
+      return Buffer.from(literal.value, 'hex');
+    }
+
+    if (token.type !== 'string' || !/^[A-Za-z0-9+/]*={0,2}$/.test(token.value) || token.value.length % 4 !== 0) {
+      this.error(`BYTES takes x'hex digits' or a base64 string, but found ${this.describe(token)}`);
+    }
+    this.next();
+    return Buffer.from(token.value, 'base64');
+  }
+
+  /**
+   * Parse a point in time: TIMESTAMP '...', DATE '...' or NOW(), shifted by
+   * any number of INTERVALs, e.g. NOW() - INTERVAL '7 days'
+   * @returns {Date} The instant
+   */
+  parseTemporal() {
+    let date = this.parseTemporalBase();
+
+    while ((this.isPunctuation(this.peek(), '+') || this.isPunctuation(this.peek(), '-')) &&
+           this.isKeyword(this.peek(1), 'INTERVAL')) {
+      const sign = this.next().value === '-' ? -1 : 1;
+      this.next();
+
+      const token = this.peek();
+      if (token.type !== 'string') {
+        this.error(`Expected an interval such as '7 days' but found ${this.describe(token)}`);
+      }
+      this.next();
+
+      const interval = parseInterval(token.value);
+      if (!interval) {
+        this.error(`Invalid interval '${token.value}'; expected a number and a unit, e.g. '7 days' or '1 hour 30 minutes'`, token);
+      }
+      date = addInterval(date, interval, sign);
+    }
+
+    return date;
+  }
+
+  parseTemporalBase() {
+    const keyword = this.next().value.toUpperCase();
+    if (keyword === 'NOW') {
+      this.expectPunctuation('(');
+      this.expectPunctuation(')');
+      return new Date();
+    }
+
+    const literal = this.next();
+    const fields = keyword === 'DATE' ? parseDateLiteral(literal.value) : parseTimestampLiteral(literal.value);
+    if (!fields) {
+      const expected = keyword === 'DATE' ? "'YYYY-MM-DD'" : "'YYYY-MM-DD[THH:MM[:SS[.fff]]][Z|±HH:MM]'";
+      this.error(`Invalid ${keyword} '${literal.value}'; expected ${expected}`, literal);
+    }
+
+    if (!this.isKeyword(this.peek(), 'AT') || !this.isKeyword(this.peek(1), 'TIME')) {
+      return new Date(Date.UTC(...fields.parts) - fields.offset * 60 * 1000);
+    }
+
+    const at = this.next();
+    this.next();
+    this.expectKeyword('ZONE');
+    const zone = this.peek();
+    if (zone.type !== 'string') {
+      this.error(`Expected a time zone name such as 'Europe/Paris' but found ${this.describe(zone)}`);
+    }
+    this.next();
+
+    if (fields.hasOffset) {
+      this.error('A TIMESTAMP with an offset can\'t also have AT TIME ZONE', at);
+    }
+    if (!isTimeZone(zone.value)) {
+      this.error(`Unknown time zone '${zone.value}'; use an IANA name such as 'Europe/Paris'`, zone);
+    }
+    return zonedTime(fields.parts, zone.value);
+  }
+
+  /**
+   * Parse an array literal such as ['a', 1, {b: true}]
+   * @returns {Array} Array value
+   */
+  parseArray() {
+    this.expectPunctuation('[');
+
+    const values = [];
+    if (!this.isPunctuation(this.peek(), ']')) {
+      do {
+        values.push(this.parseValue());
+      } while (this.matchPunctuation(','));
+    }
+
+    this.expectPunctuation(']');
+    return values;
+  }
+
+  /**
+   * Parse a map literal such as {city: 'Paris', `zip-code`: '75001'}. Keys
+   * are identifiers, backtick-quoted identifiers or strings.
+   * @returns {Object} Map value
+   */
+  parseMap() {
+    this.expectPunctuation('{');
+
+    const map = {};
+    if (!this.isPunctuation(this.peek(), '}')) {
+      do {
+        const token = this.peek();
+        if (token.type !== 'identifier' && token.type !== 'quoted_identifier' && token.type !== 'string') {
+          this.error(`Expected map key but found ${this.describe(token)}`);
+        }
+        this.next();
+        if (Object.prototype.hasOwnProperty.call(map, token.value)) {
+          this.error(`Duplicate map key "${token.value}"`, token);
+        }
+
+        this.expectPunctuation(':');
+        map[token.value] = this.parseValue();
+      } while (this.matchPunctuation(','));
+    }
+
+    this.expectPunctuation('}');
+    return map;
+  }
+}
+
+/**
+ * Convert 'id' field references to '__name__' for Firestore compatibility
+ * @param {string} fieldName - Field name to potentially convert
+ * @returns {string} Converted field name
+ */
+function convertIdToName(fieldName) {
+  return fieldName === 'id' ? '__name__' : fieldName;
+}
+
+/**
+ * Format field path segments in canonical form, quoting segments that are
+ * not plain identifiers with backticks
+ * @param {Array<string>} segments - Field path segments
+ * @returns {string} Canonical field path
+ */
+function formatFieldPath(segments) {
+  return segments.map(segment => {
+    return /^[A-Za-z_][A-Za-z0-9_]*$/.test(segment) ? segment : '`' + segment.replace(/`/g, '``') + '`';
+  }).join('.');
+}
+
+/**
+ * Write an expression as SQL text, e.g. "LOWER(email)" or "price * (1 - discount)",
+ * with parentheses only where precedence needs them
+ * @param {Expression} expression - Expression tree
+ * @returns {string} SQL text
+ */
+function formatExpression(expression) {
+  if (expression.type === 'field') {
+    return expression.field;
+  }
+  if (expression.type === 'call') {
+    return `${expression.function}(${expression.args.map(formatExpression).join(', ')})`;
+  }
+  if (expression.parameter) {
+    return expression.parameter;
+  }
+  if (expression.type === 'negate') {
+    const operand = formatExpression(expression.operand);
+    return expression.operand.type === 'binary' ? `-(${operand})` : `-${operand}`;
+  }
+  if (expression.type === 'binary') {
+    const precedence = operator => (operator === '+' || operator === '-' ? 1 : 2);
+    const side = (operand, right) => {
+      const text = formatExpression(operand);
+      if (operand.type !== 'binary') return text;
+      const difference = precedence(operand.operator) - precedence(expression.operator);
+      return difference > 0 || (difference === 0 && !right) ? text : `(${text})`;
+    };
+    return `${side(expression.left, false)} ${expression.operator} ${side(expression.right, true)}`;
+  }
+
+  const value = expression.value;
+  if (typeof value === 'string') return `'${value.replace(/'/g, "''")}'`;
+  if (value instanceof Date) return `TIMESTAMP '${value.toISOString()}'`;
+  if (value instanceof TypedLiteral) return `${value.type.toUpperCase()}(${JSON.stringify(value.value)})`;
+  return Buffer.isBuffer(value) ? `BYTES('${value.toString('base64')}')` : JSON.stringify(value);
+}
+
+/**
+ * Describe a bound parameter value for an error message
+ * @param {*} value - Parameter value
+ * @returns {string} e.g. "a number" or "undefined"
+ */
+function describeValue(value) {
+  if (value === null || value === undefined) return String(value);
+  if (Array.isArray(value)) return 'an array';
+  if (typeof value !== 'object') return `a ${typeof value}`;
+  const prototype = Object.getPrototypeOf(value);
+  return prototype === Object.prototype || prototype === null ? 'a map' : `a ${prototype.constructor.name}`;
+}
+
+/**
+ * Split a canonical field path into its segments
+ * @param {string} field - Canonical field path (e.g. "profile.`first-name`")
+ * @returns {Array<string>} Field path segments
+ */
+function splitFieldPath(field) {
+  const segments = [];
+  let current = '';
+  let quoted = false;
+
+  for (let i = 0; i < field.length; i++) {
+    const char = field[i];
+
+    if (char === '`') {
+      if (quoted && field[i + 1] === '`') {
+        current += '`';
+        i++;
+      } else {
+        quoted = !quoted;
+      }
+    } else if (char === '.' && !quoted) {
+      segments.push(current);
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+
+  segments.push(current);
+  return segments;
+}
+
+/**
+ * Parse the content of a DATE literal
+ * @param {string} text - Literal content, 'YYYY-MM-DD'
+ * @returns {{parts: Array<number>, offset: number, hasOffset: boolean}|null}
+ *   Date.UTC() arguments, or null if the date is invalid
+ */
+function parseDateLiteral(text) {
+  const match = text.trim().match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  if (!match) return null;
+  return checkDateParts([Number(match[1]), Number(match[2]) - 1, Number(match[3]), 0, 0, 0, 0], 0, false);
+}
+
+/**
+ * Parse the content of a TIMESTAMP literal: an ISO 8601 date and time (the
+ * time, seconds and fraction are optional; a space may replace the T) with
+ * an optional Z or ±HH:MM offset
+ * @param {string} text - Literal content
+ * @returns {{parts: Array<number>, offset: number, hasOffset: boolean}|null}
+ *   Date.UTC() arguments and the offset in minutes, or null if invalid
+ */
+function parseTimestampLiteral(text) {
+  const match = text.trim().match(
+    /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2})(?:\.(\d{1,9}))?)?)?\s*(Z|[+-]\d{2}:?\d{2})?$/i
+  );
+  if (!match) return null;
+
+  const milliseconds = match[7] ? Math.floor(Number(`0.${match[7]}`) * 1000) : 0;
+  const parts = [Number(match[1]), Number(match[2]) - 1, Number(match[3]),
+    Number(match[4] || 0), Number(match[5] || 0), Number(match[6] || 0), milliseconds];
+
+  let offset = 0;
+  if (match[8] && match[8].toUpperCase() !== 'Z') {
+    const digits = match[8].replace(':', '');
+    offset = (digits[0] === '-' ? -1 : 1) * (Number(digits.slice(1, 3)) * 60 + Number(digits.slice(3, 5)));
+  }
+  return checkDateParts(parts, offset, Boolean(match[8]));
+}
+
+// Reject dates and times that Date.UTC() would roll over, like February 30
+function checkDateParts(parts, offset, hasOffset) {
+  const date = new Date(Date.UTC(...parts));
+  const valid = date.getUTCFullYear() === parts[0] && date.getUTCMonth() === parts[1] &&
+    date.getUTCDate() === parts[2] && date.getUTCHours() === parts[3] &&
+    date.getUTCMinutes() === parts[4] && date.getUTCSeconds() === parts[5];
+  return valid ? { parts: parts, offset: offset, hasOffset: hasOffset } : null;
+}
+
+/**
+ * Check that a time zone name is known to Intl
+ * @param {string} zone - IANA time zone name (e.g. 'Europe/Paris')
+ * @returns {boolean} True if the zone exists
+ */
+function isTimeZone(zone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: zone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * The instant at which the clocks of a time zone show a given date and time
+ * @param {Array<number>} parts - Date.UTC() arguments of the wall-clock time
+ * @param {string} zone - IANA time zone name
+ * @returns {Date} The instant
+ */
+function zonedTime(parts, zone) {
+  const wallClock = Date.UTC(...parts);
+  const offset = zoneOffset(wallClock, zone);
+  let time = wallClock - offset;
+
+  // Across a DST change the offset at the result can differ from the first guess
+  const actualOffset = zoneOffset(time, zone);
+  if (actualOffset !== offset) {
+    time = wallClock - actualOffset;
+  }
+  return new Date(time);
+}
+
+/**
+ * Offset of a time zone from UTC at an instant
+ * @param {number} time - Instant, in milliseconds since the epoch
+ * @param {string} zone - IANA time zone name
+ * @returns {number} Offset in milliseconds (positive east of UTC)
+ */
+function zoneOffset(time, zone) {
+  const formatter = new Intl.DateTimeFormat('en-US', {
+    timeZone: zone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    second: 'numeric'
+  });
+  const parts = {};
+  formatter.formatToParts(new Date(time)).forEach(part => {
+    parts[part.type] = Number(part.value);
+  });
+
+  const wholeSeconds = time - (((time % 1000) + 1000) % 1000);
+  return Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second) - wholeSeconds;
+}
+
+/**
+ * Parse the content of an INTERVAL literal, e.g. '7 days' or '1 hour 30 minutes'
+ * @param {string} text - Literal content
+ * @returns {Array<{amount: number, unit: string}>|null} Interval parts, or
+ *   null if the text isn't an interval
+ */
+function parseInterval(text) {
+  const pattern = /(\d+(?:\.\d+)?)\s*([a-z]+)/gi;
+  const parts = [];
+  let end = 0;
+  let match;
+
+  while ((match = pattern.exec(text)) !== null) {
+    if (text.slice(end, match.index).trim() !== '') return null;
+
+    const unit = match[2].toUpperCase().replace(/S$/, '');
+    const amount = Number(match[1]);
+    if (!Object.prototype.hasOwnProperty.call(INTERVAL_UNITS, unit)) return null;
+    if (INTERVAL_UNITS[unit] === null && !Number.isInteger(amount)) return null;
+
+    parts.push({ amount: amount, unit: unit });
+    end = pattern.lastIndex;
+  }
+
+  return parts.length > 0 && text.slice(end).trim() === '' ? parts : null;
+}
+
+/**
+ * Add (or subtract) an interval to a date. Months and years move the UTC
+ * calendar date, keeping the day of the month where it exists (January 31
+ * plus a month is the last day of February); other units are fixed lengths.
+ * @param {Date} date - Start date
+ * @param {Array<{amount: number, unit: string}>} interval - Parts from parseInterval()
+ * @param {number} sign - 1 to add, -1 to subtract
+ * @returns {Date} New date
+ */
+function addInterval(date, interval, sign) {
+  let time = date.getTime();
+
+  interval.forEach(({ amount, unit }) => {
+    if (INTERVAL_UNITS[unit] !== null) {
+      time += sign * amount * INTERVAL_UNITS[unit];
+      return;
+    }
+
+    const current = new Date(time);
+    const months = sign * amount * (unit === 'YEAR' ? 12 : 1);
+    const target = new Date(Date.UTC(current.getUTCFullYear(), current.getUTCMonth() + months, 1));
+    const lastDay = new Date(Date.UTC(target.getUTCFullYear(), target.getUTCMonth() + 1, 0)).getUTCDate();
+    target.setUTCDate(Math.min(current.getUTCDate(), lastDay));
+    target.setUTCHours(current.getUTCHours(), current.getUTCMinutes(), current.getUTCSeconds(), current.getUTCMilliseconds());
+    time = target.getTime();
+  });
+
+  return new Date(time);
+}
+
+/**
+ * Interpret the content of a quoted string literal the way older versions
+ * did (the guessTypes option). Strings that look like timestamps become
+ * Dates and numeric strings become numbers.
+ * @param {string} value - Unescaped string content
+ * @returns {*} Coerced value
+ */
+function coerceStringLiteral(value) {
+  const timestamp = parseTimestamp(value);
+  if (timestamp !== null) {
+    return timestamp;
+  }
+
+  if (!isNaN(value) && value.trim() !== '') {
+    return parseFloat(value);
+  }
+
+  return value;
+}
+
+/**
+ * Parse timestamp string into Date object
+ * @param {string} timestampStr - Timestamp string
+ * @returns {Date|null} Parsed date or null if not a valid timestamp
+ */
+function parseTimestamp(timestampStr) {
+  // Try various timestamp formats
+  const formats = [
+    // ISO format
+    /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d{3})?Z?$/,
+    // Date format
+    /^\d{4}-\d{2}-\d{2}$/,
+    // MM-DD-YYYY format
+    /^\d{2}-\d{2}-\d{4}$/,
+    // Natural language dates
+    /^(January|February|March|April|May|June|July|August|September|October|November|December)\s+\d{1,2},?\s+\d{4}$/i
+  ];
+
+  for (const format of formats) {
+    if (format.test(timestampStr)) {
+      const date = new Date(timestampStr);
+      if (!isNaN(date.getTime())) {
+        return date;
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Tokenize SQL source text
+ * @param {string} sql - SQL source
+ * @returns {Array<Token>} Tokens
+ */
+function tokenize(sql) {
+  return new Lexer(sql).tokenize();
+}
+
+/**
+ * Split a script into statements on semicolons. Comments are skipped, and
+ * semicolons inside strings or quoted identifiers don't split.
+ * @param {string} source - Script source
+ * @returns {Array<{text: string, line: number}>} Statements (without their
+ *   semicolon) and the line each one starts on
+ * @throws {SQLSyntaxError} If the script can't be tokenized
+ */
+function splitStatements(source) {
+  const statements = [];
+  let first = null;
+
+  tokenize(source).forEach(token => {
+    if (token.type === 'eof' || (token.type === 'punctuation' && token.value === ';')) {
+      if (first) {
+        statements.push({ text: source.slice(first.offset, token.offset).trim(), line: first.line });
+      }
+      first = null;
+    } else if (!first) {
+      first = token;
+    }
+  });
+
+  return statements;
+}
+
+/**
+ * Parse a SQL statement into an AST
+ * @param {string} sql - SQL source
+ * @param {Object} [options] - Parsing options (see Parser)
+ * @returns {SelectStatement|ExplainStatement|InsertStatement|UpdateStatement|DeleteStatement|ShowStatement|DescribeStatement} Parsed statement
+ */
+function parse(sql, options = {}) {
+  return new Parser(sql, options).parse();
+}
+
+module.exports = {
+  Lexer,
+  Parser,
+  SQLSyntaxError,
+  TypedLiteral,
+  tokenize,
+  splitStatements,
+  parse,
+  convertIdToName,
+  formatFieldPath,
+  formatExpression,
+  splitFieldPath,
+  parseTimestamp,
+  isTimeZone,
+  AGGREGATE_FUNCTIONS,
+  UPDATE_FUNCTIONS,
+  LITERAL_FUNCTIONS
+};
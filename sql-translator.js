@@ -1,423 +1,681 @@
 const admin = require('firebase-admin');
+const { parse, formatFieldPath, splitFieldPath, splitStatements, TypedLiteral, SQLSyntaxError, isTimeZone } = require('./sql-parser');
+const { compareValues, comparePaths, computeAggregate, matchesConditions, parseLikePattern, groupKey } = require('./client-side');
+const { FunctionRegistry, expressionFields, formatToDate } = require('./functions');
+const { MissingIndexError, indexesForQuery, mergeIndexFiles, isMissingIndexError } = require('./indexes');
+const { formatCell, formatValue } = require('./formatters');
+
+const { Filter, FieldPath, FieldValue, AggregateField } = admin.firestore;
+
+// Firestore rejects queries whose filters expand to more disjunctions than this
+const MAX_DISJUNCTIONS = 30;
+
+// Firestore caps the number of values in a not-in list
+const MAX_NOT_IN_VALUES = 10;
+
+// Documents a JOIN looks up by ID in one getAll() call
+const JOIN_LOOKUP_BATCH_SIZE = 100;
+
+// Upper bound on the sub-queries run when a WHERE tree is split client-side
+const MAX_SUBQUERIES = 100;
+
+// Operator used for each comparison when it appears under NOT
+const NEGATED_OPERATORS = {
+  '=': '!=',
+  '!=': '=',
+  '<': '>=',
+  '<=': '>',
+  '>': '<=',
+  '>=': '<',
+  'IN': 'NOT IN',
+  'NOT IN': 'IN',
+  'LIKE': 'NOT LIKE',
+  'NOT LIKE': 'LIKE',
+  'ILIKE': 'NOT ILIKE',
+  'NOT ILIKE': 'ILIKE',
+  'REGEXP': 'NOT REGEXP',
+  'NOT REGEXP': 'REGEXP',
+  'IS MISSING': 'IS NOT MISSING',
+  'IS NOT MISSING': 'IS MISSING'
+};
+
+// Firestore operator for each SQL operator; the others only run client-side
+const FIRESTORE_OPERATORS = {
+  '=': '==',
+  '!=': '!=',
+  '>': '>',
+  '>=': '>=',
+  '<': '<',
+  '<=': '<=',
+  'IN': 'in',
+  'NOT IN': 'not-in',
+  'CONTAINS': 'array-contains',
+  'CONTAINS ANY': 'array-contains-any'
+};
+
+// Operators whose value is a list
+const LIST_OPERATORS = ['IN', 'NOT IN', 'CONTAINS ANY'];
+
+// Firestore runs at most this many aggregations in one aggregate() call
+const MAX_AGGREGATIONS = 5;
+
+// Aggregate functions Firestore can compute server-side
+const SERVER_AGGREGATIONS = ['COUNT', 'SUM', 'AVG'];
+
+// COUNT(*) run before a client-side scan to check it fits the max_scan budget
+const COUNT_ALL = { type: 'aggregation', function: 'COUNT', field: '*', alias: 'count' };
+
+// Firestore commits at most this many writes in one batch
+const MAX_BATCH_SIZE = 500;
+
+// Number of matching documents shown before a write is confirmed
+const PREVIEW_SAMPLE_SIZE = 5;
+
+// Documents read by DESCRIBE when no SAMPLE is given
+const DESCRIBE_SAMPLE_SIZE = 100;
+
+// Distinct example values DESCRIBE shows per field, and their maximum length
+const DESCRIBE_EXAMPLES = 3;
+const DESCRIBE_EXAMPLE_WIDTH = 30;
+
+// Options query() takes; an object of only these in place of the params, that
+// the statement does not use, is the older query(sql, options) call
+const QUERY_OPTIONS = ['includeId', 'onWarning', 'confirm', 'signal'];
+
+// Session settings, changed with SET <name> = <value> in the REPL
+const SETTINGS = {
+  max_scan: {
+    default: 10000,
+    description: 'Maximum documents read for client-side GROUP BY, HAVING, DISTINCT, JOIN (per collection), aggregates and merged OR queries',
+    parse: parsePositiveInteger
+  },
+  max_delete: {
+    default: 100,
+    description: 'Maximum documents a single DELETE may remove',
+    parse: parsePositiveInteger
+  },
+  max_update: {
+    default: 1000,
+    description: 'Maximum documents a single UPDATE may change',
+    parse: parsePositiveInteger
+  },
+  confirm_writes: {
+    default: true,
+    description: 'Show matching documents and ask before UPDATE or DELETE changes them',
+    parse: parseBoolean
+  },
+  guess_types: {
+    default: false,
+    description: 'Read quoted strings that look like dates or numbers as timestamps and numbers',
+    parse: parseBoolean
+  },
+  timezone: {
+    default: Intl.DateTimeFormat().resolvedOptions().timeZone,
+    description: 'Time zone toDate() shows dates in (an IANA name such as Europe/Paris)',
+    parse: parseTimeZone
+  },
+  date_format: {
+    default: 'MM/DD/YY HH:mm:ss',
+    description: 'Format of toDate(): YYYY, YY, MM, DD, HH, hh, mm, ss, SSS, A, Z and [text]',
+    parse: parseDateFormat
+  }
+};
+
+/**
+ * Error raised when a running query is cancelled through its AbortSignal
+ */
+class QueryCancelledError extends Error {
+  constructor() {
+    super('Query cancelled');
+    this.name = 'QueryCancelledError';
+  }
+}
 
 /**
  * Custom SQL to Firestore Query Translator
- * Supports: SELECT, WHERE, ORDER BY, AND, OR, parentheses, different field types
+ * Supports: SELECT, WHERE, ORDER BY, AND, OR, NOT, parentheses, different field types
  */
 class SQLTranslator {
-  constructor(db) {
+  /**
+   * @param {Object} db - Firestore database
+   * @param {Object} settings - Initial session settings (see SETTINGS)
+   */
+  constructor(db, settings = {}) {
     this.db = db;
+    this.lastPage = null;
+    this.sessionIndexes = [];
+    this.settings = {};
+    this.functions = new FunctionRegistry();
+    
+    Object.keys(SETTINGS).forEach(name => {
+      this.settings[name] = SETTINGS[name].default;
+    });
+    Object.keys(settings).forEach(name => {
+      if (settings[name] !== undefined) {
+        this.setSetting(name, settings[name]);
+      }
+    });
   }
 
   /**
-   * Parse and execute a SQL SELECT query
-   * @param {string} sql - SQL query string
-   * @param {Object} options - Query options (includeId, etc.)
-   * @returns {Promise<Array>} Query results
+   * Change a session setting
+   * @param {string} name - Setting name (e.g. 'max_scan')
+   * @param {*} value - New value, parsed and validated for the setting
+   * @throws {Error} If the setting doesn't exist or the value is invalid
    */
-  async query(sql, options = {}) {
-    const parsed = this.parseSQL(sql);
-    const results = await this.executeQuery(parsed, options);
+  setSetting(name, value) {
+    const setting = SETTINGS[name.toLowerCase()];
+    if (!setting) {
+      throw new Error(`Unknown setting "${name}". Available settings: ${Object.keys(SETTINGS).join(', ')}`);
+    }
+    this.settings[name.toLowerCase()] = setting.parse(value, name);
+  }
+
+  /**
+   * Describe the session settings and their current values
+   * @returns {Array<{name: string, value: *, description: string}>} Settings
+   */
+  describeSettings() {
+    return Object.keys(SETTINGS).map(name => ({
+      name: name,
+      value: this.settings[name],
+      description: SETTINGS[name].description
+    }));
+  }
+
+  /**
+   * Parse and execute a SQL statement
+   * @param {string} sql - SQL statement string, with ? or :name placeholders
+   * @param {Array|Object|null} params - Values of the placeholders (see parseSQL())
+   * @param {Object} options - Query options (see execute())
+   * @returns {Promise<Array|Object|null>} Query results, one row per written
+   *   document (null if a write was not confirmed), or the plan of an EXPLAIN
+   * @throws {TypeError} If params holds query options the statement has no
+   *   placeholders for, as in the older query(sql, options) form
+   */
+  async query(sql, params = null, options = {}) {
+    let parsed;
+    try {
+      parsed = this.parseSQL(sql, params);
+    } catch (error) {
+      if (error instanceof SQLSyntaxError && isLegacyOptions(params)) {
+        throw new TypeError('query() takes its options as the third argument, after the placeholder ' +
+          'values: query(sql, null, { ' + Object.keys(params).join(', ') + ' })');
+      }
+      throw error;
+    }
+    const results = await this.execute(parsed, options);
     return results;
   }
 
   /**
-   * Parse SQL query into structured object
-   * @param {string} sql - SQL query string
-   * @returns {Object} Parsed query object
+   * Execute a statement returned by parseSQL()
+   * @param {Object} parsed - Parsed statement
+   * @param {Object} options - Query options: includeId, onWarning, and
+   *   confirm(preview) which resolves to true to go ahead with an UPDATE or DELETE
+   * @returns {Promise<Array|Object|null>} Query results, one row per written
+   *   document (null if a write was not confirmed), or the plan of an EXPLAIN
    */
-  parseSQL(sql) {
-    // Remove extra whitespace and normalize
-    const normalizedSQL = sql.trim().replace(/\s+/g, ' ');
+  async execute(parsed, options = {}) {
+    const indexFile = this.recordIndexes(parsed);
     
-    // Basic SQL structure validation
-    if (!normalizedSQL.toUpperCase().startsWith('SELECT')) {
-      throw new Error('Only SELECT queries are supported');
+    try {
+      switch (parsed.type) {
+        case 'insert':
+          return await this.executeInsert(parsed);
+        case 'update':
+          return await this.executeUpdate(parsed, options);
+        case 'delete':
+          return await this.executeDelete(parsed, options);
+        case 'explain':
+          return await this.executeExplain(parsed);
+        case 'show':
+          return await this.executeShow(parsed);
+        case 'describe':
+          return await this.executeDescribe(parsed);
+        default:
+          return await this.executeQuery(parsed, options);
+      }
+    } catch (error) {
+      throw withIndexAdvice(error, indexFile);
     }
+  }
 
-    // Parse SELECT clause
-    const selectMatch = normalizedSQL.match(/^SELECT\s+(.+?)\s+FROM\s+/i);
-    if (!selectMatch) {
-      throw new Error('Invalid SELECT syntax');
+  /**
+   * Execute a SELECT statement returned by parseSQL(), yielding its rows as
+   * Firestore returns them rather than collecting them in memory. Plain
+   * queries are streamed; queries merged from several sub-queries, JOINs,
+   * grouped and client-side aggregate queries are computed first, then
+   * yielded: they are held to the max_scan budget (per collection for a
+   * JOIN), unless a LIMIT already bounds what each Firestore query returns.
+   * The signal stops any of them while documents are being read.
+   * @param {Object} parsed - Parsed SELECT statement
+   * @param {Object} options - Query options (see execute()), plus signal: an
+   *   AbortSignal that stops the query with a QueryCancelledError
+   * @returns {AsyncGenerator<Object>} Result rows
+   */
+  async *stream(parsed, options = {}) {
+    if (parsed.type !== 'select') {
+      throw new Error(`Only SELECT statements can be streamed, not ${parsed.type.toUpperCase()}`);
+    }
+    
+    const indexFile = this.recordIndexes(parsed);
+    
+    try {
+      yield* this.streamQuery(parsed, options);
+    } catch (error) {
+      throw withIndexAdvice(error, indexFile);
     }
+  }
 
-    const selectFields = this.parseSelectFields(selectMatch[1]);
+  /**
+   * Remember the indexes a statement needs, for sessionIndexFile()
+   * @param {Object} parsed - Parsed statement
+   * @returns {{indexes: Array, fieldOverrides: Array}} The statement's indexes
+   */
+  recordIndexes(parsed) {
+    const indexFile = this.requiredIndexes(parsed);
+    if (indexFile.indexes.length > 0 || indexFile.fieldOverrides.length > 0) {
+      this.sessionIndexes.push(indexFile);
+    }
+    return indexFile;
+  }
 
-    // Parse FROM clause
-    const fromMatch = normalizedSQL.match(/FROM\s+([^\s]+(?:\s+[^\s]+)*?)(?:\s+WHERE|\s+ORDER\s+BY|\s+LIMIT|\s*$)/i);
-    if (!fromMatch) {
-      throw new Error('Invalid FROM syntax');
+  /**
+   * Work out the composite indexes (and collection group field overrides) a
+   * statement's Firestore queries need, one per query when the WHERE clause
+   * is split into several
+   * @param {Object} parsed - Parsed statement
+   * @returns {{indexes: Array, fieldOverrides: Array}} firestore.indexes.json content
+   */
+  requiredIndexes(parsed) {
+    if (parsed.type === 'explain') {
+      return this.requiredIndexes(parsed.statement);
+    }
+    if (parsed.type === 'insert' || parsed.type === 'show' || parsed.type === 'describe') {
+      return mergeIndexFiles([]);
+    }
+    
+    // A JOIN queries the FROM collection, then the joined collections with IN
+    // filters unless their documents are looked up by ID
+    if (isJoinQuery(parsed)) {
+      const plan = this.planJoin(parsed);
+      return mergeIndexFiles([
+        this.requiredIndexes(plan.base),
+        ...plan.joins.filter(join => !join.lookup).map(join => indexesForQuery({
+          collectionId: join.from.split('/').pop(),
+          collectionGroup: join.collectionGroup,
+          conjunction: [{ type: 'condition', field: join.field, operator: 'IN', value: [] }]
+        }))
+      ]);
+    }
+    
+    // Conditions checked client-side need no index
+    const { pushed, residual } = this.planFilters(parsed.where);
+    const conjunctions = pushed ? this.toDisjunctiveNormalForm(pushed) : [[]];
+    
+    // Grouped queries, UPDATE and DELETE read their matches unordered;
+    // aggregations only index the summed fields when computed server-side
+    let orderBy = [];
+    let aggregateFields = [];
+    if (parsed.type === 'select' && !isGroupedQuery(parsed)) {
+      if (parsed.select.every(field => field.type === 'aggregation')) {
+        if (!residual && (!pushed || this.canUseCompositeFilter(pushed))) {
+          aggregateFields = parsed.select.filter(field => field.field !== '*').map(field => field.field);
+        }
+      } else {
+        orderBy = parsed.orderBy;
+      }
     }
+    
+    const collectionId = parsed.from.split('/').pop();
+    return mergeIndexFiles(conjunctions.map(conjunction => indexesForQuery({
+      collectionId: collectionId,
+      collectionGroup: parsed.collectionGroup,
+      conjunction: conjunction,
+      orderBy: orderBy,
+      aggregateFields: aggregateFields
+    })));
+  }
+
+  /**
+   * Indexes needed by every statement run in this session, as one
+   * deployable firestore.indexes.json
+   * @returns {{indexes: Array, fieldOverrides: Array}} firestore.indexes.json content
+   */
+  sessionIndexFile() {
+    return mergeIndexFiles(this.sessionIndexes);
+  }
 
-    const collectionPath = fromMatch[1].trim();
+  /**
+   * Indexes needed by the statements of a SQL script, as one deployable
+   * firestore.indexes.json. Statements that don't parse are skipped with a
+   * warning.
+   * @param {string} source - Script source, statements separated by semicolons
+   * @param {Object} options - Query options (onWarning)
+   * @returns {{indexes: Array, fieldOverrides: Array}} firestore.indexes.json content
+   */
+  scriptIndexFile(source, options = {}) {
+    const files = [];
+    splitStatements(source).forEach(statement => {
+      try {
+        files.push(this.requiredIndexes(this.parseSQL(statement.text)));
+      } catch (error) {
+        warn(options, `Skipping the statement on line ${statement.line}: ${error.message}`);
+      }
+    });
+    return mergeIndexFiles(files);
+  }
 
-    // Parse WHERE clause
-    let whereConditions = null;
-    const whereMatch = normalizedSQL.match(/WHERE\s+(.+?)(?:\s+ORDER\s+BY|\s+LIMIT|\s*$)/i);
-    if (whereMatch) {
-      whereConditions = this.parseWhereConditions(whereMatch[1]);
+  /**
+   * Fetch the page following the last SELECT query, starting after its last document
+   * @param {Object} options - Query options (includeId, etc.)
+   * @returns {Promise<Array>} Query results, empty when there are no more pages
+   */
+  async nextPage(options = {}) {
+    if (!this.lastPage) {
+      throw new Error('No previous query to continue; run a SELECT with a LIMIT first');
+    }
+    
+    const { parsed, lastDocument, hasMore } = this.lastPage;
+    if (!hasMore) {
+      return [];
     }
+    
+    return this.executeQuery({
+      ...parsed,
+      start: { operator: 'AFTER', values: [], document: lastDocument },
+      offset: null
+    }, options);
+  }
 
-    // Parse ORDER BY clause
-    let orderBy = null;
-    const orderByMatch = normalizedSQL.match(/ORDER\s+BY\s+([^\s]+)\s+(ASC|DESC)(?:\s+LIMIT|\s*$)/i);
-    if (orderByMatch) {
-      orderBy = {
-        field: this.convertIdToName(orderByMatch[1]),
-        direction: orderByMatch[2].toUpperCase()
-      };
+  /**
+   * Check whether the last SELECT query may have more results for nextPage()
+   * @returns {boolean} True if there may be another page
+   */
+  hasNextPage() {
+    return Boolean(this.lastPage && this.lastPage.hasMore);
+  }
+
+  /**
+   * Parse SQL query into structured object
+   * @param {string} sql - SQL query string
+   * @param {Array|Object|null} [params] - Values of its placeholders: an array
+   *   for ?, an object by name for :name. They are bound as they are, so
+   *   pass Dates, Timestamps, DocumentReferences and so on for those types.
+   * @returns {Object} Parsed query object (see the statement types in sql-parser.js)
+   * @throws {SQLSyntaxError} If the query is not valid SQL, or a placeholder has no value
+   */
+  parseSQL(sql, params = null) {
+    const options = { guessTypes: this.settings.guess_types, params: params };
+    const parsed = this.prepareExpressions(this.resolveLiterals(parse(sql, options)));
+
+    if (parsed.type === 'insert') {
+      this.validateInsert(parsed);
+      return parsed;
     }
 
-    // Parse LIMIT clause
-    let limit = null;
-    const limitMatch = normalizedSQL.match(/LIMIT\s+(\d+)/i);
-    if (limitMatch) {
-      limit = parseInt(limitMatch[1], 10);
-      if (isNaN(limit) || limit < 0) {
-        throw new Error('LIMIT must be a positive integer');
-      }
+    if (parsed.type === 'update' || parsed.type === 'delete') {
+      this.validateConditions(parsed.where);
+      return parsed;
     }
 
-    // Validate COUNT(*) queries
-    const isCountQuery = selectFields.length === 1 && 
-                        selectFields[0].type === 'aggregation' && 
-                        selectFields[0].function === 'COUNT';
-    
-    if (isCountQuery) {
-      // COUNT(*) queries cannot have ORDER BY
-      if (orderBy) {
-        throw new Error('ORDER BY is not supported with COUNT(*) queries');
-      }
+    if (parsed.type === 'show' || parsed.type === 'describe') {
+      return parsed;
     }
 
-    return {
-      select: selectFields,
-      from: collectionPath,
-      where: whereConditions,
-      orderBy: orderBy,
-      limit: limit
-    };
+    this.validateSelect(parsed.type === 'explain' ? parsed.statement : parsed);
+    return parsed;
   }
 
   /**
-   * Convert 'id' field references to '__name__' for Firestore compatibility
-   * @param {string} fieldName - Field name to potentially convert
-   * @returns {string} Converted field name
+   * Replace the REF() and GEOPOINT() literals of a parsed statement, at any
+   * depth, with the DocumentReference and GeoPoint they stand for
+   * @param {*} node - Parsed statement, or a part of it
+   * @returns {*} The node with its literals built
    */
-  convertIdToName(fieldName) {
-    return fieldName === 'id' ? '__name__' : fieldName;
+  resolveLiterals(node) {
+    if (node instanceof TypedLiteral) {
+      return node.type === 'reference' ?
+        this.db.doc(node.value) :
+        new admin.firestore.GeoPoint(node.value.latitude, node.value.longitude);
+    }
+    if (Array.isArray(node)) {
+      return node.map(item => this.resolveLiterals(item));
+    }
+    if (node !== null && typeof node === 'object' && Object.getPrototypeOf(node) === Object.prototype) {
+      const result = {};
+      Object.keys(node).forEach(key => {
+        result[key] = this.resolveLiterals(node[key]);
+      });
+      return result;
+    }
+    return node;
   }
 
   /**
-   * Parse SELECT fields
-   * @param {string} fieldsStr - Fields string (e.g., "*" or "field1, field2" or "toDate(field)" or "COUNT(*)")
-   * @returns {Array} Array of field objects with name and formatting info
+   * Check the function calls of a statement's expressions against the
+   * function registry, and point ORDER BY at the fields behind the column
+   * aliases it names (or at the computed columns of a grouped query)
+   * @param {Object} parsed - Parsed statement
+   * @returns {Object} The statement, with ORDER BY aliases resolved
+   * @throws {Error} If a function is unknown or misused, a condition reads
+   *   the whole document, or ORDER BY names a computed column
    */
-  parseSelectFields(fieldsStr) {
-    const trimmed = fieldsStr.trim();
-    
-    // Check for COUNT(*) aggregation
-    const countMatch = trimmed.match(/^COUNT\(\*\)$/i);
-    if (countMatch) {
-      return [{
-        type: 'aggregation',
-        function: 'COUNT',
-        field: '*'
-      }];
+  prepareExpressions(parsed) {
+    if (parsed.type === 'explain') {
+      return { ...parsed, statement: this.prepareExpressions(parsed.statement) };
     }
     
-    if (trimmed === '*') {
-      return ['*'];
+    [parsed.where, parsed.having]
+      .filter(Boolean)
+      .forEach(conditions => collectConditions(conditions)
+        .filter(condition => condition.expression)
+        .forEach(condition => {
+          this.functions.validate(condition.expression);
+          if (expressionFields(condition.expression).some(node => node.field === '*')) {
+            throw new Error(`${condition.field} reads the whole document, which only a selected column can do`);
+          }
+        }));
+    if (parsed.type !== 'select') {
+      return parsed;
     }
     
-    return fieldsStr.split(',').map(field => {
-      const trimmed = field.trim();
-      
-      // Check for toDate() function
-      const toDateMatch = trimmed.match(/^toDate\(([^)]+)\)$/i);
-      if (toDateMatch) {
-        return {
-          type: 'function',
-          function: 'toDate',
-          field: this.convertIdToName(toDateMatch[1].trim())
-        };
+    parsed.select
+      .filter(field => field.type === 'expression')
+      .forEach(field => this.functions.validate(field.expression));
+    
+    const orderBy = parsed.orderBy.map(order => {
+      const column = !order.aggregate && parsed.select.find(field => field.type !== 'aggregation' && field.alias === order.field);
+      if (!column) {
+        return order;
       }
-      
-      // Check for prettyJson() function
-      const prettyJsonMatch = trimmed.match(/^prettyJson\(([^)]+)\)$/i);
-      if (prettyJsonMatch) {
-        return {
-          type: 'function',
-          function: 'prettyJson',
-          field: this.convertIdToName(prettyJsonMatch[1].trim())
-        };
+      if (column.type === 'expression' && isGroupedQuery(parsed)) {
+        return { ...order, field: column.text };
       }
-      
-      // Regular field
-      return {
-        type: 'field',
-        field: this.convertIdToName(trimmed)
-      };
+      if (column.type === 'expression') {
+        throw new Error(`ORDER BY "${order.field}" can't sort on the computed column ${column.text}; ` +
+          'Firestore only sorts on stored fields');
+      }
+      return { ...order, field: column.field };
     });
+    return { ...parsed, orderBy: orderBy };
   }
 
   /**
-   * Parse WHERE conditions with support for AND, OR, parentheses
-   * @param {string} whereStr - WHERE clause string
-   * @returns {Object} Parsed conditions tree
+   * Check a SELECT query can run against Firestore
+   * @param {Object} parsed - Parsed SELECT statement
+   * @throws {Error} If the query is not supported
    */
-  parseWhereConditions(whereStr) {
-    // This is a simplified parser - in a production system you'd want a proper recursive descent parser
-    // For now, we'll handle basic AND/OR combinations without complex nesting
+  validateSelect(parsed) {
+    if (isJoinQuery(parsed)) {
+      this.validateJoin(parsed);
+      return;
+    }
     
-    // Split by AND/OR while preserving the operators
-    const tokens = this.tokenizeWhereClause(whereStr);
-    return this.parseConditionTokens(tokens);
-  }
-
-  /**
-   * Tokenize WHERE clause into condition tokens
-   * @param {string} whereStr - WHERE clause string
-   * @returns {Array} Array of tokens
-   */
-  tokenizeWhereClause(whereStr) {
-    const tokens = [];
-    let current = '';
-    let inQuotes = false;
-    let quoteChar = '';
+    this.validateConditions(parsed.where);
     
-    for (let i = 0; i < whereStr.length; i++) {
-      const char = whereStr[i];
-      
-      if (!inQuotes && (char === '"' || char === "'")) {
-        inQuotes = true;
-        quoteChar = char;
-        current += char;
-      } else if (inQuotes && char === quoteChar) {
-        inQuotes = false;
-        quoteChar = '';
-        current += char;
-      } else if (!inQuotes && (char === ' ' || char === '\t')) {
-        if (current.trim()) {
-          tokens.push(current.trim());
-          current = '';
-        }
-      } else {
-        current += char;
-      }
+    if (isGroupedQuery(parsed)) {
+      this.validateGroupedQuery(parsed);
+      return;
     }
     
-    if (current.trim()) {
-      tokens.push(current.trim());
+    if (parsed.orderBy.some(order => order.aggregate)) {
+      throw new Error('ORDER BY an aggregate requires GROUP BY');
     }
+
+    // Validate aggregation queries
+    const aggregations = parsed.select.filter(field => field.type === 'aggregation');
     
-    // Post-process tokens to split field names from operators
-    const processedTokens = [];
-    for (let i = 0; i < tokens.length; i++) {
-      const token = tokens[i];
+    if (aggregations.length > 0) {
+      // Aggregations produce a single row, so they can't be mixed with document fields
+      if (aggregations.length !== parsed.select.length) {
+        throw new Error('Aggregate functions cannot be combined with other fields unless those fields are in GROUP BY');
+      }
       
-      // Check if token contains an operator directly attached to a field name
-      const operatorMatch = token.match(/^([a-zA-Z_][a-zA-Z0-9_]*)([=!<>]+)(.*)$/);
-      if (operatorMatch) {
-        processedTokens.push(operatorMatch[1]); // field name
-        processedTokens.push(operatorMatch[2]); // operator
-        if (operatorMatch[3]) {
-          processedTokens.push(operatorMatch[3]); // value
-        }
-      } else {
-        processedTokens.push(token);
+      if (aggregations.length > MAX_AGGREGATIONS) {
+        throw new Error(`Firestore runs at most ${MAX_AGGREGATIONS} aggregations per query`);
+      }
+      
+      const names = aggregations.map(aggregationName);
+      const duplicate = names.find((name, index) => names.indexOf(name) !== index);
+      if (duplicate) {
+        throw new Error(`Duplicate aggregation column "${duplicate}"; use AS to give each one a distinct name`);
+      }
+      
+      // Aggregation queries cannot have ORDER BY
+      if (parsed.orderBy.length > 0) {
+        throw new Error('ORDER BY is not supported with aggregation queries');
       }
     }
-    
-    return processedTokens;
   }
 
   /**
-   * Parse condition tokens into condition tree
-   * @param {Array} tokens - Array of tokens
-   * @returns {Object} Parsed conditions
+   * Check a GROUP BY / HAVING / DISTINCT query, which is evaluated client-side
+   * @param {Object} parsed - Parsed query object
+   * @throws {Error} If the query can't be grouped
    */
-  parseConditionTokens(tokens) {
-    if (tokens.length === 0) return null;
-    
-    // Handle simple case: single condition
-    if (tokens.length === 3) {
-      return this.parseSimpleCondition(tokens);
+  validateGroupedQuery(parsed) {
+    if (parsed.select.includes('*')) {
+      throw new Error('SELECT * cannot be used with GROUP BY or DISTINCT; list the columns');
     }
     
-    // Find AND/OR operators and split the tokens
-    const logicalOperators = ['AND', 'OR'];
-    let operatorIndex = -1;
-    let operator = null;
-    
-    for (let i = 1; i < tokens.length - 1; i++) {
-      if (logicalOperators.includes(tokens[i].toUpperCase())) {
-        operatorIndex = i;
-        operator = tokens[i].toUpperCase();
-        break;
-      }
+    if (parsed.start || parsed.end) {
+      throw new Error('START/END cursors cannot be used with GROUP BY or DISTINCT');
     }
     
-    if (operatorIndex === -1) {
-      // No logical operator found, treat as single condition
-      if (tokens.length === 3) {
-        return this.parseSimpleCondition(tokens);
-      } else {
-        throw new Error('Invalid condition format - expected field operator value');
-      }
+    const aggregations = parsed.select.filter(field => field.type === 'aggregation');
+    if (parsed.distinct && aggregations.length > 0 && parsed.groupBy.length === 0) {
+      throw new Error('SELECT DISTINCT cannot be combined with aggregates; use GROUP BY instead');
     }
     
-    // Split tokens around the logical operator
-    const leftTokens = tokens.slice(0, operatorIndex);
-    const rightTokens = tokens.slice(operatorIndex + 1);
+    const names = parsed.select.map(columnName);
+    const duplicate = names.find((name, index) => names.indexOf(name) !== index);
+    if (duplicate) {
+      throw new Error(`Duplicate column "${duplicate}"; use AS to give each one a distinct name`);
+    }
     
-    // Parse left and right sides
-    const leftCondition = this.parseConditionTokens(leftTokens);
-    const rightCondition = this.parseConditionTokens(rightTokens);
+    // Every plain column, and every field a computed column reads, must be
+    // one of the grouping keys; groups have no document to call DOC_PATH() on
+    if (!parsed.distinct || parsed.groupBy.length > 0) {
+      parsed.select
+        .filter(field => field.type !== 'aggregation')
+        .flatMap(field => field.type === 'expression' ? expressionFields(field.expression) : [field])
+        .filter(field => !parsed.groupBy.includes(field.field))
+        .forEach(field => {
+          throw new Error(`Column "${field.field}" must appear in GROUP BY or be used in an aggregate function`);
+        });
+      parsed.select
+        .filter(field => field.type === 'expression' && this.functions.readsDocument(field.expression))
+        .forEach(field => {
+          throw new Error(`${field.text} reads the document, which a group doesn't have; use it without GROUP BY`);
+        });
+    }
+    if (parsed.having) {
+      collectConditions(parsed.having)
+        .filter(condition => condition.expression && this.functions.readsDocument(condition.expression))
+        .forEach(condition => {
+          throw new Error(`HAVING ${condition.field} reads the document, which a group doesn't have; use WHERE instead`);
+        });
+    }
     
-    return {
-      type: 'logical',
-      operator: operator,
-      left: leftCondition,
-      right: rightCondition
-    };
+    const keys = groupingKeys(parsed);
+    parsed.orderBy
+      .filter(order => !order.aggregate && !keys.some(key => key.field === order.field) && !names.includes(order.field) &&
+        !parsed.select.some(field => field.type === 'expression' && field.text === order.field))
+      .forEach(order => {
+        throw new Error(`ORDER BY "${order.field}" must be a grouping column, a column alias or an aggregate`);
+      });
   }
 
   /**
-   * Parse a simple condition (field operator value)
-   * @param {Array} tokens - Three tokens: [field, operator, value]
-   * @returns {Object} Simple condition object
+   * Check a JOIN query, which is joined client-side (see planJoin())
+   * @param {Object} parsed - Parsed SELECT statement with joins
+   * @throws {Error} If the query can't be joined
    */
-  parseSimpleCondition(tokens) {
-    if (tokens.length < 3) {
-      throw new Error('Invalid condition format');
+  validateJoin(parsed) {
+    if (isGroupedQuery(parsed) || parsed.select.some(field => field.type === 'aggregation')) {
+      throw new Error('JOIN cannot be combined with GROUP BY, HAVING, DISTINCT or aggregate functions');
     }
     
-    const field = this.convertIdToName(tokens[0]);
-    const operator = tokens[1];
-    const value = this.parseValue(tokens[2]);
+    if (parsed.start || parsed.end) {
+      throw new Error('START/END cursors cannot be used with JOIN');
+    }
     
-    return {
-      type: 'condition',
-      field: field,
-      operator: operator,
-      value: value
-    };
+    this.validateConditions(this.planJoin(parsed).base.where);
   }
 
   /**
-   * Parse a value string into appropriate type
-   * @param {string} valueStr - Value string (may be quoted)
-   * @returns {*} Parsed value
+   * Check the conditions a statement sends to Firestore against its query
+   * limits (list sizes, one NOT IN per query, the number of sub-queries), so
+   * that a query Firestore would refuse is rejected before anything runs
+   * @param {Object|null} conditions - Parsed WHERE conditions
+   * @throws {Error} If Firestore can't run the conditions, even split into
+   *   several queries
    */
-  parseValue(valueStr) {
-    // Remove quotes if present
-    const trimmed = valueStr.trim();
-    
-    if ((trimmed.startsWith('"') && trimmed.endsWith('"')) || 
-        (trimmed.startsWith("'") && trimmed.endsWith("'"))) {
-      const unquoted = trimmed.slice(1, -1);
-      
-      // Try to parse as timestamp
-      const timestamp = this.parseTimestamp(unquoted);
-      if (timestamp !== null) {
-        return timestamp;
-      }
-      
-      // Try to parse as number
-      if (!isNaN(unquoted) && unquoted !== '') {
-        return parseFloat(unquoted);
-      }
-      
-      // Return as string
-      return unquoted;
+  validateConditions(conditions) {
+    const { pushed } = this.planFilters(conditions);
+    if (pushed) {
+      this.canUseCompositeFilter(pushed);
     }
-    
-    // Try to parse as number
-    if (!isNaN(trimmed) && trimmed !== '') {
-      return parseFloat(trimmed);
-    }
-    
-    // Try to parse as boolean
-    if (trimmed.toLowerCase() === 'true') return true;
-    if (trimmed.toLowerCase() === 'false') return false;
-    if (trimmed.toLowerCase() === 'null') return null;
-    
-    // Return as string
-    return trimmed;
   }
 
   /**
-   * Parse timestamp string into Date object
-   * @param {string} timestampStr - Timestamp string
-   * @returns {Date|null} Parsed date or null if not a valid timestamp
+   * Check an INSERT statement: the target must be a collection and document
+   * IDs must be unique, non-empty and free of slashes
+   * @param {Object} parsed - Parsed INSERT statement
+   * @throws {Error} If the rows can't be inserted
    */
-  parseTimestamp(timestampStr) {
-    // Try various timestamp formats
-    const formats = [
-      // ISO format
-      /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d{3})?Z?$/,
-      // Date format
-      /^\d{4}-\d{2}-\d{2}$/,
-      // MM-DD-YYYY format
-      /^\d{2}-\d{2}-\d{4}$/,
-      // Natural language dates
-      /^(January|February|March|April|May|June|July|August|September|October|November|December)\s+\d{1,2},?\s+\d{4}$/i
-    ];
-    
-    for (const format of formats) {
-      if (format.test(timestampStr)) {
-        const date = new Date(timestampStr);
-        if (!isNaN(date.getTime())) {
-          return date;
-        }
+  validateInsert(parsed) {
+    if (parsed.into.split('/').length % 2 === 0) {
+      throw new Error(`INSERT INTO needs a collection path, but "${parsed.into}" is a document path`);
+    }
+
+    const idIndex = parsed.columns.indexOf('__name__');
+    if (idIndex === -1) return;
+
+    const ids = parsed.rows.map(row => row[idIndex]);
+    ids.forEach(id => {
+      if ((typeof id !== 'string' && !Number.isInteger(id)) || String(id) === '' || String(id).includes('/')) {
+        throw new Error(`Invalid document ID ${JSON.stringify(id)}: IDs must be non-empty strings without "/"`);
       }
+    });
+
+    const keys = ids.map(String);
+    const duplicate = keys.find((id, index) => keys.indexOf(id) !== index);
+    if (duplicate) {
+      throw new Error(`Document ID "${duplicate}" appears more than once`);
     }
-    
-    return null;
   }
 
   /**
-   * Format a date/timestamp value to MM/DD/YY hh:mm:ss format
+   * Format a date/timestamp value for toDate(), with the date_format and
+   * timezone settings (MM/DD/YY HH:mm:ss in the local time zone by default)
    * @param {*} value - The value to format (Date, Firestore Timestamp, string, etc.)
    * @returns {string} Formatted date string or original value if not a date
    */
   formatToDate(value) {
-    if (!value) return value;
-    
-    let date;
-    
-    // Handle different timestamp types
-    if (value instanceof Date) {
-      date = value;
-    } else if (value && typeof value === 'object' && value.toDate) {
-      // Firestore Timestamp
-      date = value.toDate();
-    } else if (typeof value === 'string') {
-      // Try to parse string as date
-      date = new Date(value);
-      if (isNaN(date.getTime())) {
-        return value; // Return original if not a valid date
-      }
-    } else if (typeof value === 'number') {
-      // Unix timestamp (seconds or milliseconds)
-      date = new Date(value > 1000000000000 ? value : value * 1000);
-      if (isNaN(date.getTime())) {
-        return value; // Return original if not a valid date
-      }
-    } else {
-      return value; // Return original value if not a date type
-    }
-    
-    // Format as MM/DD/YY hh:mm:ss (using local time)
-    const month = String(date.getMonth() + 1).padStart(2, '0');
-    const day = String(date.getDate()).padStart(2, '0');
-    const year = String(date.getFullYear()).slice(-2);
-    const hours = String(date.getHours()).padStart(2, '0');
-    const minutes = String(date.getMinutes()).padStart(2, '0');
-    const seconds = String(date.getSeconds()).padStart(2, '0');
-    
-    return `${month}/${day}/${year} ${hours}:${minutes}:${seconds}`;
+    return formatToDate(value, this.settings.date_format, this.settings.timezone);
   }
 
   /**
@@ -427,193 +685,2447 @@ class SQLTranslator {
    * @returns {Promise<Array>} Query results
    */
   async executeQuery(parsed, options = {}) {
-    let query;
+    const results = [];
+    for await (const row of this.streamQuery(parsed, options)) {
+      results.push(row);
+    }
+    return results;
+  }
+
+  /**
+   * Run a parsed SELECT and yield its result rows (see stream())
+   * @param {Object} parsed - Parsed query object
+   * @param {Object} options - Query options
+   * @returns {AsyncGenerator<Object>} Result rows
+   */
+  async *streamQuery(parsed, options = {}) {
+    // Only a plain query that runs to the end leaves a page to continue
+    this.lastPage = null;
     
-    // Create Firestore collection reference
-    query = this.db.collection(parsed.from);
+    // JOINs are evaluated client-side
+    if (isJoinQuery(parsed)) {
+      const rows = await this.executeJoinQuery(parsed, options);
+      throwIfCancelled(options.signal);
+      yield* rows;
+      return;
+    }
     
-    // Check if this is a COUNT(*) query
-    const isCountQuery = parsed.select.length === 1 && 
-                        parsed.select[0].type === 'aggregation' && 
-                        parsed.select[0].function === 'COUNT';
+    // Create Firestore collection reference (or collection group query)
+    const query = this.getSource(parsed);
     
-    if (isCountQuery) {
-      // Handle COUNT(*) aggregation
-      return await this.executeCountQuery(query, parsed.where);
+    // GROUP BY, HAVING and DISTINCT are evaluated client-side
+    if (isGroupedQuery(parsed)) {
+      const rows = await this.executeGroupedQuery(query, parsed, options);
+      throwIfCancelled(options.signal);
+      yield* rows;
+      return;
     }
     
-    // Apply WHERE conditions
-    if (parsed.where) {
-      query = this.applyWhereConditions(query, parsed.where);
+    // Check if this is an aggregation query (COUNT, SUM, AVG)
+    const isAggregationQuery = parsed.select.length > 0 &&
+                               parsed.select.every(field => field.type === 'aggregation');
+    
+    if (isAggregationQuery) {
+      const rows = await this.executeAggregateQuery(query, parsed.where, parsed.select, options);
+      throwIfCancelled(options.signal);
+      yield* rows;
+      return;
     }
     
-    // Apply ORDER BY
-    if (parsed.orderBy) {
-      query = query.orderBy(parsed.orderBy.field, parsed.orderBy.direction.toLowerCase());
+    // Stream matching documents, or merge sub-queries when the WHERE tree
+    // needs it; conditions Firestore can't run are checked on each document
+    const plan = this.planDocumentQueries(query, parsed);
+    if (plan.residual) {
+      warn(options, residualWarning(plan.residual));
     }
     
-    // Apply LIMIT
-    if (parsed.limit) {
-      query = query.limit(parsed.limit);
+    let documents;
+    if (plan.merged) {
+      documents = await this.fetchMergedDocuments(plan, parsed, options);
+      throwIfCancelled(options.signal);
+    } else {
+      documents = streamDocuments(plan.queries[0].query, options.signal);
+      if (plan.residual) {
+        documents = filterDocuments(documents, doc => this.matchesDocument(doc, plan.residual), parsed);
+      }
     }
     
-    // Execute query
-    const snapshot = await query.get();
+    let lastDocument = null;
+    let count = 0;
     
-    // Process results
-    const results = [];
-    snapshot.forEach(doc => {
-      const data = doc.data();
-      
-      // Include document ID if requested
-      if (options.includeId) {
-        data.__name__ = doc.id;
-      }
-      
-      // Filter fields if not SELECT *
-      if (!parsed.select.includes('*')) {
-        const filteredData = {};
-        parsed.select.forEach(fieldObj => {
-          if (typeof fieldObj === 'string') {
-            // Handle legacy string format for backward compatibility
-            if (fieldObj === '__name__' && options.includeId) {
-              filteredData[fieldObj] = doc.id;
-            } else if (data.hasOwnProperty(fieldObj)) {
-              filteredData[fieldObj] = data[fieldObj];
-            }
-          } else if (fieldObj.type === 'field') {
-            // Regular field
-            if (fieldObj.field === '__name__' && options.includeId) {
-              filteredData[fieldObj.field] = doc.id;
-            } else if (data.hasOwnProperty(fieldObj.field)) {
-              filteredData[fieldObj.field] = data[fieldObj.field];
-            }
-          } else if (fieldObj.type === 'function' && fieldObj.function === 'toDate') {
-            // toDate() function
-            const fieldName = fieldObj.field;
-            const displayName = `toDate(${fieldName})`;
-            
-            if (fieldName === '__name__' && options.includeId) {
-              // Document ID is not a date, so just return it as is
-              filteredData[displayName] = doc.id;
-            } else if (data.hasOwnProperty(fieldName)) {
-              // Format the field value as a date
-              filteredData[displayName] = this.formatToDate(data[fieldName]);
-            } else {
-              // Field doesn't exist, return null
-              filteredData[displayName] = null;
-            }
-          } else if (fieldObj.type === 'function' && fieldObj.function === 'prettyJson') {
-            // prettyJson() function
-            const fieldName = fieldObj.field;
-            const displayName = `prettyJson(${fieldName})`;
-            
-            if (fieldName === '*' || fieldName === '__name__') {
-              // For prettyJson(*), format the entire document
-              const fullDoc = { ...data };
-              if (options.includeId) {
-                fullDoc.id = doc.id;
-              }
-              filteredData[displayName] = JSON.stringify(fullDoc, null, 2);
-            } else if (data.hasOwnProperty(fieldName)) {
-              // Format the specific field value as JSON
-              filteredData[displayName] = JSON.stringify(data[fieldName], null, 2);
-            } else {
-              // Field doesn't exist, return null
-              filteredData[displayName] = null;
-            }
-          }
-        });
-        results.push(filteredData);
-      } else {
-        results.push(data);
-      }
-    });
+    for await (const doc of documents) {
+      lastDocument = doc;
+      count++;
+      yield this.documentToRow(doc, parsed, options);
+    }
     
-    return results;
+    // Remember where this page ended so nextPage() can continue from there
+    this.lastPage = {
+      parsed: parsed,
+      lastDocument: lastDocument,
+      hasMore: Boolean(parsed.limit) && count === parsed.limit
+    };
   }
 
   /**
-   * Execute COUNT(*) query against Firestore
-   * @param {Object} query - Firestore query object
-   * @param {Object} whereConditions - Parsed WHERE conditions
-   * @returns {Promise<Array>} Query results with count
+   * Columns of the result rows of a SELECT, in order, when the statement
+   * names them. A row leaves out a plain column whose field is missing, so
+   * output with a header takes its columns from here rather than from the
+   * first rows. SELECT * takes its columns from the documents read.
+   * @param {Object} parsed - Parsed SELECT statement
+   * @returns {Array<string>|null} Column names, or null for SELECT *
    */
-  async executeCountQuery(query, whereConditions) {
-    // Apply WHERE conditions
-    if (whereConditions) {
-      query = this.applyWhereConditions(query, whereConditions);
+  columnNames(parsed) {
+    if (parsed.select.includes('*')) {
+      return null;
     }
     
-    // Execute count aggregation
-    const aggregateQuery = query.aggregate({
-      count: admin.firestore.AggregateField.count()
-    });
+    const columns = parsed.select.map(columnName);
+    const documentRows = !isJoinQuery(parsed) && !isGroupedQuery(parsed) &&
+      !parsed.select.every(field => field.type === 'aggregation');
+    return parsed.collectionGroup && documentRows ? [...columns, '__path__', '__parent__'] : columns;
+  }
+
+  /**
+   * Build the result row of a document: its selected fields and function
+   * columns, or all of its data for SELECT *
+   * @param {Object} doc - Document snapshot
+   * @param {Object} parsed - Parsed query object
+   * @param {Object} options - Query options (includeId)
+   * @returns {Object} Result row
+   */
+  documentToRow(doc, parsed, options = {}) {
+    const data = doc.data();
     
-    const snapshot = await aggregateQuery.get();
-    const count = snapshot.data().count;
+    // Include document ID if requested
+    if (options.includeId) {
+      data.__name__ = doc.id;
+    }
     
-    // Return result in the same format as regular queries
-    return [{
-      'COUNT(*)': count
-    }];
+    // Documents of a collection group come from many parents, so also
+    // identify them by full path and parent document ID
+    const location = parsed.collectionGroup ? documentLocation(doc) : {};
+    
+    // Pick the selected columns if not SELECT *; a computed column is null
+    // where a field it reads is missing, a plain column left out
+    if (!parsed.select.includes('*')) {
+      const row = {};
+      parsed.select.forEach(field => {
+        const value = this.documentValue(doc, field, options);
+        if (field.type === 'expression') {
+          row[columnName(field)] = value === undefined ? null : value;
+        } else if (value !== undefined) {
+          row[columnName(field)] = value;
+        }
+      });
+      return { ...row, ...location };
+    }
+    return { ...data, ...location };
   }
 
   /**
-   * Apply WHERE conditions to Firestore query
-   * @param {Object} query - Firestore query object
-   * @param {Object} conditions - Parsed conditions
-   * @returns {Object} Modified query
+   * Value of a field or an expression for a document
+   * @param {Object} doc - Document snapshot
+   * @param {Object} node - Select item, condition or expression field node:
+   *   its expression is computed with the function registry, or else its
+   *   field read ('__name__' for the ID, '*' for the whole document)
+   * @param {Object} options - Query options (includeId adds the ID to a whole document)
+   * @returns {*} Value, or undefined if missing
    */
-  applyWhereConditions(query, conditions) {
-    if (!conditions) return query;
+  documentValue(doc, node, options = {}) {
+    if (node.expression) {
+      return this.functions.evaluate(node.expression, field => this.documentValue(doc, field, options),
+        { document: doc, settings: this.settings });
+    }
+    if (node.field === '*') {
+      return options.includeId ? { ...doc.data(), id: doc.id } : doc.data();
+    }
+    return getDocumentValue(doc, node.field);
+  }
+
+  /**
+   * Check a document against conditions evaluated client-side
+   * @param {Object} doc - Document snapshot
+   * @param {Object} conditions - Conditions tree
+   * @returns {boolean} True if the document matches
+   */
+  matchesDocument(doc, conditions) {
+    return matchesConditions(conditions, condition => this.documentValue(doc, condition));
+  }
+
+  /**
+   * Get the Firestore collection reference or collection group query a
+   * parsed query reads from
+   * @param {Object} parsed - Parsed query object
+   * @returns {Object} Firestore query
+   */
+  getSource(parsed) {
+    return parsed.collectionGroup ? this.db.collectionGroup(parsed.from) : this.db.collection(parsed.from);
+  }
+
+  /**
+   * Fetch the documents matching a parsed query, with ORDER BY and LIMIT applied
+   * @param {Object} collection - Firestore collection reference
+   * @param {Object} parsed - Parsed query object
+   * @param {Object} options - Query options (see fetchMergedDocuments())
+   * @returns {Promise<Array>} Document snapshots
+   */
+  async fetchDocuments(collection, parsed, options = {}) {
+    const plan = this.planDocumentQueries(collection, parsed);
     
-    if (conditions.type === 'condition') {
-      return this.applySimpleCondition(query, conditions);
-    } else if (conditions.type === 'logical') {
-      // For AND/OR operations, we need to handle them differently
-      // Firestore doesn't support complex OR operations directly
-      // For now, we'll handle simple AND cases
-      if (conditions.operator === 'AND') {
-        query = this.applyWhereConditions(query, conditions.left);
-        query = this.applyWhereConditions(query, conditions.right);
-        return query;
-      } else if (conditions.operator === 'OR') {
-        // For OR operations, we'll need to execute multiple queries and combine results
-        // This is a limitation - in production you might want to handle this differently
-        throw new Error('OR operations are not yet supported in this implementation');
-      }
+    if (plan.merged) {
+      return this.fetchMergedDocuments(plan, parsed, options);
     }
     
-    return query;
+    if (!plan.residual) {
+      return collectDocuments(plan.queries[0].query, options.signal);
+    }
+    
+    // Read until enough documents pass the client-side conditions
+    const documents = [];
+    for await (const doc of filterDocuments(streamDocuments(plan.queries[0].query, options.signal), doc => this.matchesDocument(doc, plan.residual), parsed)) {
+      documents.push(doc);
+    }
+    return documents;
   }
 
   /**
-   * Apply a simple condition to Firestore query
-   * @param {Object} query - Firestore query object
-   * @param {Object} condition - Simple condition object
-   * @returns {Object} Modified query
+   * Run the sub-queries of a merged plan and combine their documents,
+   * re-applying the client-side conditions, ORDER BY, OFFSET and LIMIT.
+   * The documents are held in memory to be merged, so when the sub-queries
+   * aren't capped by a LIMIT they are first counted against max_scan.
+   * @param {{queries: Array<{query: Object, where: Object|null}>, residual: Object|null}} plan - Plan from planDocumentQueries()
+   * @param {Object} parsed - Parsed query object
+   * @param {Object} options - Query options (onWarning, signal), plus
+   *   scanChecked when the caller has already counted the documents against max_scan
+   * @returns {Promise<Array>} Document snapshots
+   * @throws {Error} If the sub-queries would read more than max_scan documents
    */
-  applySimpleCondition(query, condition) {
-    const { field, operator, value } = condition;
-    
-    switch (operator) {
-      case '=':
-        return query.where(field, '==', value);
-      case '!=':
-        return query.where(field, '!=', value);
-      case '>':
-        return query.where(field, '>', value);
-      case '>=':
-        return query.where(field, '>=', value);
-      case '<':
-        return query.where(field, '<', value);
-      case '<=':
-        return query.where(field, '<=', value);
-      default:
-        throw new Error(`Unsupported operator: ${operator}`);
+  async fetchMergedDocuments(plan, parsed, options = {}) {
+    // Sub-queries only get a LIMIT when no condition is left to the client (see applyOrderAndLimit())
+    if ((!parsed.limit || plan.residual) && !options.scanChecked) {
+      await this.checkScanBudget(this.getSource(parsed), plan.queries.map(entry => entry.where),
+        `The WHERE clause is run as ${plan.queries.length} Firestore quer${plan.queries.length > 1 ? 'ies' : 'y'} merged client-side`, options);
+    }
+
+    const lists = await Promise.all(plan.queries.map(entry => collectDocuments(entry.query, options.signal)));
+    let documents = this.mergeDocuments(lists, parsed.orderBy);
+    if (plan.residual) {
+      documents = documents.filter(doc => this.matchesDocument(doc, plan.residual));
     }
+    const offset = parsed.offset || 0;
+    return parsed.limit ? documents.slice(offset, offset + parsed.limit) : documents.slice(offset);
   }
+
+  /**
+   * Count, with one server-side count() per query, the documents a
+   * client-side scan would read, and refuse the scan when they are more than
+   * the max_scan setting allows. A document matched by several sub-queries
+   * is counted once for each, so the count is an upper bound.
+   * @param {Object} collection - Firestore collection reference
+   * @param {Array<Object|null>} filters - Conditions of each query the scan runs
+   * @param {string} subject - What reads the documents, for messages, e.g.
+   *   "GROUP BY is evaluated client-side"
+   * @param {Object} options - Query options (onWarning, signal)
+   * @returns {Promise<number>} Documents the scan reads
+   * @throws {Error} If the scan would read more than max_scan documents
+   */
+  async checkScanBudget(collection, filters, subject, options = {}) {
+    const budget = this.settings.max_scan;
+    const snapshots = await Promise.all(this.planScanCount(collection, filters).map(entry => entry.query.get()));
+    throwIfCancelled(options.signal);
+    const count = snapshots.reduce((total, snapshot) => total + snapshot.data().count, 0);
+
+    if (count > budget) {
+      throw new Error(`${subject} and would read ${count} documents, ` +
+        `more than the max_scan budget of ${budget}. Add WHERE filters or raise it with SET max_scan = ${count}`);
+    }
+
+    warn(options, `${subject}: reading ${count} document(s), costing ${count} read(s)`);
+    return count;
+  }
+
+  /**
+   * Build the count() queries checkScanBudget() runs
+   * @param {Object} collection - Firestore collection reference
+   * @param {Array<Object|null>} filters - Conditions of each query the scan runs
+   * @returns {Array<{query: Object, where: Object|null}>} Aggregate queries, one per filter
+   */
+  planScanCount(collection, filters) {
+    return filters.map(where => ({
+      query: (where ? collection.where(this.buildFilter(where)) : collection).count(),
+      where: where
+    }));
+  }
+
+  /**
+   * Build the Firestore queries fetching the documents of a parsed query:
+   * a single query, or when Firestore can't run the WHERE tree as one query,
+   * one query per disjunct whose results are merged, deduped and re-sorted
+   * client-side, with OFFSET and LIMIT re-applied. Conditions Firestore
+   * can't run at all are left as residual, to check on each document.
+   * @param {Object} collection - Firestore collection reference
+   * @param {Object} parsed - Parsed query object
+   * @returns {{merged: boolean, residual: Object|null, queries: Array<{query: Object, where: Object|null}>}}
+   *   Queries to run, with the normalized conditions each one filters on,
+   *   and the conditions left to check client-side (see planFilters())
+   */
+  planDocumentQueries(collection, parsed) {
+    const { pushed, residual } = this.planFilters(parsed.where);
+    
+    if (!pushed || this.canUseCompositeFilter(pushed)) {
+      const query = pushed ? collection.where(this.buildFilter(pushed)) : collection;
+      return {
+        merged: false,
+        residual: residual,
+        queries: [{ query: this.applyOrderAndLimit(query, parsed, { residual }), where: pushed }]
+      };
+    }
+    
+    const queries = this.toDisjunctiveNormalForm(pushed).map(conjunction => {
+      const disjunct = this.combineConditions('AND', conjunction);
+      const query = collection.where(this.buildFilter(disjunct));
+      return { query: this.applyOrderAndLimit(query, parsed, { merged: true, residual }), where: disjunct };
+    });
+    return { merged: true, residual: residual, queries: queries };
+  }
+
+  /**
+   * Fetch the documents matched by the WHERE clause of an UPDATE or DELETE statement
+   * @param {Object} parsed - Parsed statement with from, collectionGroup and where
+   * @param {number|null} limit - Maximum documents to fetch, or null for all
+   * @param {Object} options - Query options (onWarning, signal)
+   * @returns {Promise<Array>} Document snapshots
+   */
+  async fetchMatchingDocuments(parsed, limit = null, options = {}) {
+    const { residual } = this.planFilters(parsed.where);
+    if (residual) {
+      warn(options, residualWarning(residual));
+    }
+    return this.fetchDocuments(this.getSource(parsed), unorderedScan(parsed, limit), options);
+  }
+
+  /**
+   * Apply the field mask, ORDER BY, cursors, OFFSET and LIMIT clauses to a
+   * Firestore query
+   * @param {Object} query - Firestore query object
+   * @param {Object} parsed - Parsed query object
+   * @param {Object} options - Set merged to build a sub-query whose results
+   *   are merged client-side: OFFSET is then applied after the merge; and
+   *   residual to the conditions checked client-side on the documents, which
+   *   leaves OFFSET and LIMIT to the client too
+   * @returns {Object} Modified query
+   */
+  applyOrderAndLimit(query, parsed, { merged = false, residual = null } = {}) {
+    // Only download the fields the query reads
+    const fields = projectedFields(parsed, residual);
+    if (fields) {
+      query = query.select(...fields.map(toFieldPath));
+    }
+    
+    parsed.orderBy.forEach(order => {
+      query = query.orderBy(toFieldPath(order.field), order.direction.toLowerCase());
+    });
+    
+    if (parsed.start) {
+      const args = parsed.start.document ? [parsed.start.document] : parsed.start.values;
+      query = parsed.start.operator === 'AFTER' ? query.startAfter(...args) : query.startAt(...args);
+    }
+    
+    if (parsed.end) {
+      query = parsed.end.operator === 'BEFORE' ? query.endBefore(...parsed.end.values) : query.endAt(...parsed.end.values);
+    }
+    
+    // Firestore can't tell how many documents the client will filter out
+    if (residual) {
+      return query;
+    }
+    
+    if (merged) {
+      // Each sub-query must return enough rows to fill the page after merging
+      if (parsed.limit) {
+        query = query.limit(parsed.limit + (parsed.offset || 0));
+      }
+      return query;
+    }
+    
+    if (parsed.offset) {
+      query = query.offset(parsed.offset);
+    }
+    
+    if (parsed.limit) {
+      query = query.limit(parsed.limit);
+    }
+    
+    return query;
+  }
+
+  /**
+   * Merge the documents of several sub-queries, dropping duplicates by
+   * document path and sorting the way Firestore would
+   * @param {Array<Array>} documentLists - Document snapshots of each sub-query
+   * @param {Array<Object>} orderBy - Parsed ORDER BY clause
+   * @returns {Array} Merged document snapshots
+   */
+  mergeDocuments(documentLists, orderBy) {
+    const byPath = new Map();
+    documentLists.forEach(documents => {
+      documents.forEach(doc => byPath.set(doc.ref.path, doc));
+    });
+    
+    return [...byPath.values()].sort((a, b) => {
+      for (const order of orderBy) {
+        const direction = order.direction === 'DESC' ? -1 : 1;
+        const result = order.field === '__name__' ?
+          comparePaths(a.ref.path, b.ref.path) :
+          compareValues(a.get(toFieldPath(order.field)), b.get(toFieldPath(order.field)));
+        if (result !== 0) return direction * result;
+      }
+      
+      // Firestore breaks ties (and orders by default) on the document path,
+      // in the direction of the last sort key
+      const last = orderBy[orderBy.length - 1];
+      return (last && last.direction === 'DESC' ? -1 : 1) * comparePaths(a.ref.path, b.ref.path);
+    });
+  }
+
+  /**
+   * Execute an aggregation query (COUNT, SUM, AVG) against Firestore. All
+   * aggregations run server-side in a single aggregate() call, unless the
+   * WHERE clause must be split or checked client-side (see planAggregateQueries()).
+   * Documents fetched to be aggregated client-side are first counted against max_scan.
+   * @param {Object} query - Firestore query object
+   * @param {Object} whereConditions - Parsed WHERE conditions
+   * @param {Array<Object>} aggregations - Parsed aggregation select items
+   * @param {Object} options - Query options (onWarning, signal)
+   * @returns {Promise<Array>} A single row keyed by alias or aggregation name
+   */
+  async executeAggregateQuery(query, whereConditions, aggregations, options = {}) {
+    const plan = this.planAggregateQueries(query, whereConditions, aggregations);
+    let values;
+    
+    if (!plan.merged && !plan.residual) {
+      const snapshot = await plan.queries[0].query.get();
+      const data = snapshot.data();
+      values = aggregations.map((aggregation, index) => data[`a${index}`]);
+    } else {
+      if (plan.residual) {
+        warn(options, residualWarning(plan.residual));
+      }
+      await this.checkScanBudget(query, plan.queries.map(entry => entry.where),
+        `${aggregations.map(aggregationName).join(', ')} is evaluated client-side`, options);
+
+      const lists = await Promise.all(plan.queries.map(entry => collectDocuments(entry.query, options.signal)));
+      let documents = this.mergeDocuments(lists, []);
+      if (plan.residual) {
+        documents = documents.filter(doc => this.matchesDocument(doc, plan.residual));
+      }
+      values = aggregations.map(aggregation => computeAggregate(
+        aggregation.function,
+        aggregation.field === '*' ? documents : documents.map(doc => doc.get(toFieldPath(aggregation.field)))
+      ));
+    }
+    
+    // Return result in the same format as regular queries
+    const row = {};
+    aggregations.forEach((aggregation, index) => {
+      row[aggregationName(aggregation)] = values[index];
+    });
+    return [row];
+  }
+
+  /**
+   * Build the Firestore queries computing aggregations: a single aggregate()
+   * query, or when the WHERE tree must be split, one query per disjunct
+   * fetching only the fields being summed or averaged, whose distinct
+   * documents are aggregated client-side. Conditions Firestore can't run
+   * also make the documents be fetched (with the fields those conditions
+   * read) and aggregated client-side.
+   * @param {Object} query - Firestore query object
+   * @param {Object} whereConditions - Parsed WHERE conditions
+   * @param {Array<Object>} aggregations - Parsed aggregation select items
+   * @returns {{merged: boolean, residual: Object|null, queries: Array<{query: Object, where: Object|null}>,
+   *   fields: Array<string>}} Queries to run, the conditions left to check
+   *   client-side, and the fields fetched when aggregating client-side
+   */
+  planAggregateQueries(query, whereConditions, aggregations) {
+    const { pushed, residual } = this.planFilters(whereConditions);
+    const single = !pushed || this.canUseCompositeFilter(pushed);
+    
+    if (single && !residual) {
+      // Firestore aggregation aliases must be plain identifiers, so use
+      // positional keys and map them back to column names afterwards
+      const spec = {};
+      aggregations.forEach((aggregation, index) => {
+        spec[`a${index}`] = this.buildAggregateField(aggregation);
+      });
+      
+      const filtered = pushed ? query.where(this.buildFilter(pushed)) : query;
+      return { merged: false, residual: null, queries: [{ query: filtered.aggregate(spec), where: pushed }], fields: [] };
+    }
+    
+    const fields = [...new Set([
+      ...aggregations.filter(a => a.field !== '*').map(a => a.field),
+      ...(residual ? fieldNodes(residual).map(node => node.field) : [])
+    ])].filter(field => field !== '__name__');
+    const disjuncts = single ?
+      [pushed] :
+      this.toDisjunctiveNormalForm(pushed).map(conjunction => this.combineConditions('AND', conjunction));
+    const queries = disjuncts.map(disjunct => {
+      const filtered = disjunct ? query.where(this.buildFilter(disjunct)) : query;
+      return { query: filtered.select(...fields.map(toFieldPath)), where: disjunct };
+    });
+    return { merged: !single, residual: residual, queries: queries, fields: fields };
+  }
+
+  /**
+   * Execute a GROUP BY / HAVING / DISTINCT query. Firestore can't group, so
+   * every matching document is read and grouped client-side. Server-side
+   * counts run first so the query can be refused when it would read more
+   * documents than the max_scan setting allows (see checkScanBudget()); they
+   * count the documents Firestore returns, before any client-side WHERE conditions.
+   * @param {Object} collection - Firestore collection reference
+   * @param {Object} parsed - Parsed query object
+   * @param {Object} options - Query options (onWarning, etc.)
+   * @returns {Promise<Array>} One row per group
+   */
+  async executeGroupedQuery(collection, parsed, options) {
+    const label = groupedQueryLabel(parsed);
+    const budget = this.settings.max_scan;
+    
+    const scan = unorderedScan(parsed, budget);
+    const plan = this.planDocumentQueries(collection, scan);
+    await this.checkScanBudget(collection, plan.queries.map(entry => entry.where), `${label} is evaluated client-side`, options);
+    if (plan.residual) {
+      warn(options, residualWarning(plan.residual));
+    }
+    
+    const documents = await this.fetchDocuments(collection, scan, { ...options, scanChecked: true });
+    
+    // Group documents on the grouping keys
+    const keys = groupingKeys(parsed);
+    const groups = new Map();
+    documents.forEach(doc => {
+      const values = keys.map(key => this.documentValue(doc, key));
+      const key = groupKey(values);
+      if (!groups.has(key)) {
+        groups.set(key, { values: values, documents: [] });
+      }
+      groups.get(key).documents.push(doc);
+    });
+    
+    // Without grouping keys, aggregates cover a single group, even when empty
+    if (keys.length === 0 && groups.size === 0) {
+      groups.set('', { values: [], documents: [] });
+    }
+    
+    const aggregates = groupAggregates(parsed);
+    
+    // Rows hold each grouping key by field path (or by text for a computed
+    // DISTINCT column), and the computed columns over them
+    const compute = (row, expression) => this.functions.evaluate(expression, node => row[node.field],
+      { document: null, settings: this.settings });
+    let rows = [...groups.values()].map(group => {
+      const row = {};
+      keys.forEach((key, index) => {
+        row[keyName(key)] = group.values[index];
+      });
+      parsed.select
+        .filter(field => field.type === 'expression' && !(field.text in row))
+        .forEach(field => {
+          row[field.text] = compute(row, field.expression);
+        });
+      aggregates.forEach(aggregate => {
+        const values = aggregate.field === '*' ?
+          group.documents :
+          group.documents.map(doc => getDocumentValue(doc, aggregate.field));
+        const value = computeAggregate(aggregate.function, values);
+        row[`${aggregate.function}(${aggregate.field})`] = value;
+        if (aggregate.alias) {
+          row[aggregate.alias] = value;
+        }
+      });
+      return row;
+    });
+    
+    if (parsed.having) {
+      rows = rows.filter(row => matchesConditions(parsed.having, condition => {
+        return condition.expression ? compute(row, condition.expression) : row[condition.field];
+      }));
+    }
+    
+    if (parsed.orderBy.length > 0) {
+      rows.sort((a, b) => {
+        for (const order of parsed.orderBy) {
+          const result = compareValues(a[order.field], b[order.field]);
+          if (result !== 0) return order.direction === 'DESC' ? -result : result;
+        }
+        return 0;
+      });
+    }
+    
+    const offset = parsed.offset || 0;
+    rows = parsed.limit ? rows.slice(offset, offset + parsed.limit) : rows.slice(offset);
+    
+    // Project the selected columns, in SELECT order
+    return rows.map(row => {
+      const result = {};
+      parsed.select.forEach(field => {
+        const value = field.type === 'aggregation' ? row[aggregationName(field)] : row[keyName(field)];
+        result[columnName(field)] = value === undefined ? null : value;
+      });
+      return result;
+    });
+  }
+
+  /**
+   * Plan a JOIN query. The FROM collection is queried with the WHERE
+   * conditions and ORDER BY keys that only involve it. Each joined
+   * collection is then fetched for the rows joined so far: looked up by
+   * document ID with getAll() when the ON compares its `id`, or else queried
+   * with IN filters on the joined field. The rest of the WHERE clause, and
+   * sorting on joined fields, are applied to the joined rows.
+   * @param {Object} parsed - Parsed SELECT statement with joins
+   * @returns {{sources: Array<{alias: string, from: string, collectionGroup: boolean}>,
+   *   base: Object, joins: Array<Object>, select: Array<Object>|null, where: Object|null,
+   *   orderBy: Array<Object>, limit: number|null, offset: number|null, paged: boolean}}
+   *   Join plan: base is the query on the FROM collection; select, where and
+   *   orderBy are what is left to do client-side, their fields resolved to a
+   *   source (see resolveJoinField()); paged is set when the FROM collection
+   *   can be read a page at a time until the LIMIT is filled
+   * @throws {Error} If an alias is unknown or used twice, or an ON doesn't
+   *   compare the joined collection with one joined before it
+   */
+  planJoin(parsed) {
+    const sources = [parsed, ...parsed.joins].map(source => ({
+      alias: source.alias || source.from.split('/').pop(),
+      from: source.from,
+      collectionGroup: source.collectionGroup
+    }));
+    const aliases = sources.map(source => source.alias);
+    const duplicate = aliases.find((alias, index) => aliases.indexOf(alias) !== index);
+    if (duplicate) {
+      throw new Error(`Alias "${duplicate}" names two collections; give each one a distinct alias`);
+    }
+    
+    const base = aliases[0];
+    const resolveField = field => {
+      const source = resolveJoinField(field, aliases);
+      if (source.field === '*') {
+        throw new Error(`"${field}" is a collection alias, not a field`);
+      }
+      return source;
+    };
+    
+    const joins = parsed.joins.map((join, index) => {
+      const alias = aliases[index + 1];
+      const sides = [resolveField(join.on.left), resolveField(join.on.right)];
+      const own = sides.find(side => side.alias === alias);
+      const key = sides.find(side => side !== own);
+      if (!own || aliases.indexOf(key.alias) > index) {
+        throw new Error(`The ON of JOIN ${join.from} must compare a field of ${alias} with a field of a collection joined before it`);
+      }
+      return {
+        ...sources[index + 1],
+        type: join.type,
+        on: `${join.on.left} = ${join.on.right}`,
+        field: own.field,
+        key: key,
+        lookup: own.field === '__name__'
+      };
+    });
+    
+    // Fields of computed columns are resolved too; '*' in a function call,
+    // as in prettyJson(*), stands for the whole joined row
+    const select = parsed.select.includes('*') ? null : parsed.select.map(field => field.type === 'expression' ?
+      {
+        ...field,
+        expression: mapExpressionFields(field.expression, node => ({
+          ...node,
+          source: node.field === '*' ? null : resolveJoinField(node.field, aliases)
+        }))
+      } :
+      { ...field, source: resolveJoinField(field.field, aliases) });
+    
+    // WHERE conditions ANDed at the top level that only read the FROM
+    // collection are run by Firestore, when it can run them
+    const resolveCondition = condition => condition.expression ?
+      { ...condition, expression: mapExpressionFields(condition.expression, node => ({ ...node, source: resolveField(node.field) })) } :
+      { ...condition, source: resolveField(condition.field) };
+    const pushed = [];
+    const residual = [];
+    (parsed.where ? splitConjunction(parsed.where) : []).forEach(conjunct => {
+      const resolved = mapConditions(conjunct, resolveCondition);
+      if (!fieldNodes(resolved).every(node => node.source.alias === base)) {
+        residual.push(resolved);
+        return;
+      }
+      
+      const filters = this.planFilters(resolved);
+      if (filters.pushed) {
+        pushed.push(mapConditions(filters.pushed, ({ source, ...condition }) => ({ ...condition, field: source.field })));
+      }
+      if (filters.residual) {
+        residual.push(filters.residual);
+      }
+    });
+    
+    const orderBy = parsed.orderBy.map(order => ({ ...order, source: resolveField(order.field) }));
+    const sortedByBase = orderBy.every(order => order.source.alias === base);
+    
+    // Fields read from each collection, or null for whole documents
+    const masks = new Map(aliases.map(alias => [alias, new Set()]));
+    const use = source => {
+      if (!masks.get(source.alias)) return;
+      if (source.field === '*') {
+        masks.set(source.alias, null);
+      } else {
+        masks.get(source.alias).add(source.field);
+      }
+    };
+    const selected = select && select.flatMap(field => field.expression ? expressionFields(field.expression) : [field]);
+    if (!selected || selected.some(field => !field.source)) {
+      aliases.forEach(alias => masks.set(alias, null));
+    } else {
+      selected.forEach(field => use(field.source));
+    }
+    residual.forEach(conjunct => fieldNodes(conjunct).forEach(node => use(node.source)));
+    orderBy.forEach(order => use(order.source));
+    joins.forEach(join => {
+      use(join.key);
+      use({ alias: join.alias, field: join.field });
+    });
+    const mask = alias => masks.get(alias) && [...masks.get(alias)].filter(field => field !== '__name__');
+    
+    const baseFields = mask(base);
+    return {
+      sources: sources,
+      base: {
+        type: 'select',
+        distinct: false,
+        select: baseFields ? baseFields.map(field => ({ type: 'field', field: field })) : ['*'],
+        from: sources[0].from,
+        collectionGroup: sources[0].collectionGroup,
+        alias: null,
+        joins: [],
+        where: pushed.length > 0 ? this.combineConditions('AND', pushed) : null,
+        groupBy: [],
+        having: null,
+        orderBy: sortedByBase ? orderBy.map(({ source, ...order }) => ({ ...order, field: source.field })) : [],
+        start: null,
+        end: null,
+        limit: null,
+        offset: null
+      },
+      joins: joins.map(join => ({ ...join, fields: mask(join.alias) })),
+      select: select,
+      where: residual.length > 0 ? this.combineConditions('AND', residual) : null,
+      orderBy: sortedByBase ? [] : orderBy,
+      limit: parsed.limit,
+      offset: parsed.offset,
+      paged: parsed.limit !== null && sortedByBase
+    };
+  }
+
+  /**
+   * Execute a JOIN query client-side (see planJoin()). With a LIMIT and no
+   * sorting on joined fields, the FROM collection is read a page at a time
+   * until the LIMIT is filled; otherwise all of its matching documents are
+   * read and the rows sorted and paged afterwards. The query is refused as
+   * soon as it would read more than max_scan documents from one collection,
+   * and a warning reports the documents read from each.
+   * @param {Object} parsed - Parsed SELECT statement with joins
+   * @param {Object} options - Query options (includeId, onWarning, signal)
+   * @returns {Promise<Array>} Result rows
+   */
+  async executeJoinQuery(parsed, options = {}) {
+    const plan = this.planJoin(parsed);
+    const budget = this.settings.max_scan;
+    const reads = new Map(plan.sources.map(source => [source.alias, 0]));
+    const baseSource = plan.sources[0];
+    const collection = this.getSource(plan.base);
+    const wanted = plan.limit === null ? null : plan.limit + (plan.offset || 0);
+    let rows = [];
+    
+    if (plan.paged && !this.planDocumentQueries(collection, plan.base).merged) {
+      let last = null;
+      let full = true;
+      while (full && rows.length < wanted) {
+        if (reads.get(baseSource.alias) >= budget) {
+          throw joinBudgetError(baseSource, budget);
+        }
+        
+        const size = Math.min(wanted, budget - reads.get(baseSource.alias));
+        const page = this.planDocumentQueries(collection, {
+          ...plan.base,
+          start: last ? { operator: 'AFTER', values: [], document: last } : null,
+          limit: size
+        });
+        const documents = await collectDocuments(page.queries[0].query, options.signal);
+        
+        reads.set(baseSource.alias, reads.get(baseSource.alias) + documents.length);
+        rows.push(...await this.joinDocuments(plan, documents, reads, options));
+        last = documents[documents.length - 1];
+        full = documents.length === size;
+      }
+    } else {
+      const documents = await this.fetchDocuments(collection, { ...plan.base, limit: budget + 1 }, options);
+      throwIfCancelled(options.signal);
+      if (documents.length > budget) {
+        throw joinBudgetError(baseSource, budget);
+      }
+      
+      reads.set(baseSource.alias, documents.length);
+      rows = await this.joinDocuments(plan, documents, reads, options);
+      
+      if (plan.orderBy.length > 0) {
+        rows.sort((a, b) => {
+          for (const order of plan.orderBy) {
+            const result = compareValues(joinedValue(a, order.source), joinedValue(b, order.source));
+            if (result !== 0) return order.direction === 'DESC' ? -result : result;
+          }
+          return 0;
+        });
+      }
+    }
+    
+    const offset = plan.offset || 0;
+    rows = wanted === null ? rows.slice(offset) : rows.slice(offset, wanted);
+    
+    const counts = plan.sources.map(source => `${reads.get(source.alias)} from ${source.from}`);
+    warn(options, `JOIN is evaluated client-side: read document(s) ${counts.join(', ')} ` +
+      `(at most ${budget} per collection, see max_scan)`);
+    
+    return rows.map(row => this.joinedRowToResult(plan, row, options));
+  }
+
+  /**
+   * Join documents of the FROM collection with the joined collections, and
+   * keep the rows matching the client-side WHERE conditions
+   * @param {Object} plan - Plan from planJoin()
+   * @param {Array} documents - Document snapshots of the FROM collection
+   * @param {Map<string, number>} reads - Documents read so far from each
+   *   source, by alias; updated with the documents fetched
+   * @param {Object} options - Query options (onWarning, signal)
+   * @returns {Promise<Array<Map>>} Joined rows: the document of each source
+   *   by alias, null where a LEFT JOIN found no match
+   */
+  async joinDocuments(plan, documents, reads, options) {
+    let rows = documents.map(doc => new Map([[plan.sources[0].alias, doc]]));
+    
+    for (const join of plan.joins) {
+      const fetched = await this.fetchJoinedDocuments(join, rows, reads, options);
+      throwIfCancelled(options.signal);
+      
+      const byKey = new Map();
+      fetched.forEach(doc => {
+        joinValues(doc, join.field).forEach(value => {
+          const key = groupKey([value]);
+          if (!byKey.has(key)) byKey.set(key, new Map());
+          byKey.get(key).set(doc.ref.path, doc);
+        });
+      });
+      
+      rows = rows.flatMap(row => {
+        const matches = new Map();
+        joinValues(row.get(join.key.alias), join.key.field).forEach(value => {
+          (byKey.get(groupKey([value])) || new Map()).forEach((doc, path) => matches.set(path, doc));
+        });
+        
+        if (matches.size === 0) {
+          return join.type === 'left' ? [new Map([...row, [join.alias, null]])] : [];
+        }
+        return [...matches.values()].map(doc => new Map([...row, [join.alias, doc]]));
+      });
+    }
+    
+    if (plan.where) {
+      rows = rows.filter(row => matchesConditions(plan.where, condition => this.joinedRowValue(row, condition, options)));
+    }
+    return rows;
+  }
+
+  /**
+   * Fetch the documents of a joined collection that may match some rows:
+   * by document reference with getAll() for a join on its `id`, or with IN
+   * queries on the joined field, MAX_DISJUNCTIONS values at a time
+   * @param {Object} join - Join from planJoin()
+   * @param {Array<Map>} rows - Rows joined so far
+   * @param {Map<string, number>} reads - Documents read from each source, by alias
+   * @param {Object} options - Query options (onWarning, signal)
+   * @returns {Promise<Array>} Document snapshots
+   */
+  async fetchJoinedDocuments(join, rows, reads, options) {
+    const budget = this.settings.max_scan;
+    const values = new Map();
+    rows.forEach(row => {
+      joinValues(row.get(join.key.alias), join.key.field).forEach(value => values.set(groupKey([value]), value));
+    });
+    
+    if (join.lookup) {
+      // Document IDs are looked up in the collection; a collection group
+      // has no single collection to look them up in, so only references work
+      const refs = new Map();
+      let unresolved = 0;
+      values.forEach(value => {
+        if (value instanceof admin.firestore.DocumentReference) {
+          if (join.collectionGroup ? value.parent.id === join.from : value.parent.path === join.from) {
+            refs.set(value.path, value);
+          }
+        } else if (typeof value === 'string' && value !== '' && !value.includes('/')) {
+          if (join.collectionGroup) {
+            unresolved++;
+          } else {
+            const ref = this.db.collection(join.from).doc(value);
+            refs.set(ref.path, ref);
+          }
+        }
+      });
+      if (unresolved > 0) {
+        warn(options, `${unresolved} ID(s) can't be looked up in collection group ${join.from} and match nothing; ` +
+          'join on a reference field instead');
+      }
+      
+      if (reads.get(join.alias) + refs.size > budget) {
+        throw joinBudgetError(join, budget);
+      }
+      reads.set(join.alias, reads.get(join.alias) + refs.size);
+      
+      const readOptions = join.fields ? [{ fieldMask: join.fields.map(toFieldPath) }] : [];
+      const all = [...refs.values()];
+      const documents = [];
+      for (let i = 0; i < all.length; i += JOIN_LOOKUP_BATCH_SIZE) {
+        throwIfCancelled(options.signal);
+        const snapshots = await this.db.getAll(...all.slice(i, i + JOIN_LOOKUP_BATCH_SIZE), ...readOptions);
+        documents.push(...snapshots.filter(snapshot => snapshot.exists));
+      }
+      return documents;
+    }
+    
+    const source = this.getSource(join);
+    const all = [...values.values()];
+    const documents = new Map();
+    for (let i = 0; i < all.length; i += MAX_DISJUNCTIONS) {
+      let query = source.where(toFieldPath(join.field), 'in', all.slice(i, i + MAX_DISJUNCTIONS));
+      if (join.fields) {
+        query = query.select(...join.fields.map(toFieldPath));
+      }
+      const fetched = await collectDocuments(query.limit(budget - reads.get(join.alias) + 1), options.signal);
+      
+      reads.set(join.alias, reads.get(join.alias) + fetched.length);
+      if (reads.get(join.alias) > budget) {
+        throw joinBudgetError(join, budget);
+      }
+      fetched.forEach(doc => documents.set(doc.ref.path, doc));
+    }
+    return [...documents.values()];
+  }
+
+  /**
+   * Build the result row of a joined row: the selected columns, named as
+   * written (e.g. "u.email"), or for SELECT * every field of every document
+   * as "alias.field", led by "alias.id"
+   * @param {Object} plan - Plan from planJoin()
+   * @param {Map} row - Joined row
+   * @param {Object} options - Query options (includeId)
+   * @returns {Object} Result row
+   */
+  joinedRowToResult(plan, row, options = {}) {
+    const result = {};
+    
+    if (!plan.select) {
+      plan.sources.forEach(source => {
+        const doc = row.get(source.alias);
+        if (!doc) return;
+        if (options.includeId) {
+          result[`${source.alias}.id`] = doc.id;
+        }
+        const data = doc.data();
+        Object.keys(data).forEach(key => {
+          result[formatFieldPath([source.alias, key])] = data[key];
+        });
+      });
+      return result;
+    }
+    
+    plan.select.forEach(field => {
+      const value = this.joinedRowValue(row, field, options);
+      if (field.type === 'expression') {
+        result[columnName(field)] = value === undefined ? null : value;
+      } else if (value !== undefined) {
+        result[columnName(field)] = value;
+      }
+    });
+    return result;
+  }
+
+  /**
+   * Value of a resolved field or an expression for a joined row. Functions
+   * reading the document, such as DOC_PATH(), see the FROM document.
+   * @param {Map} row - Joined row
+   * @param {Object} node - Select item, condition or field node from
+   *   planJoin(); a field node without source stands for the whole row
+   * @param {Object} options - Query options (includeId)
+   * @returns {*} Value, or undefined if missing
+   */
+  joinedRowValue(row, node, options = {}) {
+    if (node.expression) {
+      return this.functions.evaluate(node.expression, field => this.joinedRowValue(row, field, options),
+        { document: row.values().next().value, settings: this.settings });
+    }
+    if (!node.source) {
+      // Every document of the row, by alias
+      const documents = {};
+      row.forEach((doc, alias) => {
+        documents[alias] = doc && (options.includeId ? { ...doc.data(), id: doc.id } : doc.data());
+      });
+      return documents;
+    }
+    return joinedValue(row, node.source);
+  }
+
+  /**
+   * Create one document per row of an INSERT statement. Rows are written
+   * with batched writes of up to MAX_BATCH_SIZE documents; each batch is
+   * atomic and fails if one of its documents already exists.
+   * @param {Object} parsed - Parsed INSERT statement
+   * @returns {Promise<Array<{__name__: string}>>} ID of each created document
+   */
+  async executeInsert(parsed) {
+    const collection = this.db.collection(parsed.into);
+    const idIndex = parsed.columns.indexOf('__name__');
+
+    const writes = parsed.rows.map(row => ({
+      ref: idIndex === -1 ? collection.doc() : collection.doc(String(row[idIndex])),
+      data: buildDocument(parsed.columns, row)
+    }));
+
+    await this.commitInBatches(writes, (batch, write) => batch.create(write.ref, write.data), 'inserted');
+    return writes.map(write => ({ __name__: write.ref.id }));
+  }
+
+  /**
+   * Apply the SET assignments of an UPDATE statement to every matching
+   * document, in batches of up to MAX_BATCH_SIZE writes. At most max_update
+   * documents are read: if there are more matches, nothing is updated.
+   * Unless the confirm_writes setting is off, the number of matches and a
+   * sample of their current values are passed to options.confirm() first.
+   * @param {Object} parsed - Parsed UPDATE statement
+   * @param {Object} options - Query options, with confirm(preview)
+   * @returns {Promise<Array|null>} One row per updated document, or null if
+   *   the update was not confirmed
+   * @throws {Error} If more than max_update documents match
+   */
+  async executeUpdate(parsed, options = {}) {
+    const maxUpdate = this.settings.max_update;
+    const documents = await this.fetchMatchingDocuments(parsed, maxUpdate + 1, options);
+    
+    if (documents.length > maxUpdate) {
+      throw new Error(`UPDATE matches more than ${maxUpdate} documents (the max_update cap), nothing was updated. ` +
+        `Narrow the WHERE clause, or raise the cap on purpose with SET max_update = <n>`);
+    }
+    if (documents.length === 0) {
+      return [];
+    }
+
+    const fields = parsed.set.map(assignment => assignment.field);
+    const confirmed = await this.confirmWrite({
+      action: 'UPDATE',
+      count: documents.length,
+      sample: documents.slice(0, PREVIEW_SAMPLE_SIZE).map(doc => ({
+        id: parsed.collectionGroup ? doc.ref.path : doc.id,
+        data: Object.fromEntries(fields.map(field => [field, getFieldValue(doc.data(), field)]))
+      }))
+    }, options);
+    if (!confirmed) {
+      return null;
+    }
+
+    // update() takes alternating field paths and values
+    const updates = parsed.set.flatMap(assignment => [toFieldPath(assignment.field), assignedValue(assignment)]);
+    await this.commitInBatches(documents, (batch, doc) => batch.update(doc.ref, ...updates), 'updated');
+
+    return documents.map(doc => ({
+      __name__: doc.id,
+      ...(parsed.collectionGroup ? documentLocation(doc) : {})
+    }));
+  }
+
+  /**
+   * Delete the documents matching a DELETE statement, in batches of up to
+   * MAX_BATCH_SIZE deletes, or with recursiveDelete() for CASCADE. At most
+   * max_delete documents are read: if there are more matches, nothing is
+   * deleted. A DRY RUN returns the documents without deleting them;
+   * otherwise options.confirm() is asked first, as for UPDATE.
+   * @param {Object} parsed - Parsed DELETE statement
+   * @param {Object} options - Query options, with confirm(preview)
+   * @returns {Promise<Array|null>} One row per (to be) deleted document, or
+   *   null if the delete was not confirmed
+   * @throws {Error} If more than max_delete documents match
+   */
+  async executeDelete(parsed, options = {}) {
+    const maxDelete = this.settings.max_delete;
+    const documents = await this.fetchMatchingDocuments(parsed, maxDelete + 1, options);
+    
+    if (documents.length > maxDelete) {
+      throw new Error(`DELETE matches more than ${maxDelete} documents (the max_delete cap), nothing was deleted. ` +
+        `Narrow the WHERE clause, or raise the cap on purpose with SET max_delete = <n>`);
+    }
+    
+    const rows = documents.map(doc => ({
+      __name__: doc.id,
+      ...(parsed.collectionGroup ? documentLocation(doc) : {})
+    }));
+    
+    if (parsed.dryRun) {
+      if (parsed.cascade) {
+        // Show which subcollections CASCADE would remove along with each document
+        const subcollections = await Promise.all(documents.map(doc => doc.ref.listCollections()));
+        rows.forEach((row, index) => {
+          row.subcollections = subcollections[index].map(collection => collection.id).join(', ');
+        });
+      }
+      return rows;
+    }
+    
+    if (documents.length === 0) {
+      return [];
+    }
+    
+    const confirmed = await this.confirmWrite({
+      action: 'DELETE',
+      count: documents.length,
+      cascade: parsed.cascade,
+      sample: documents.slice(0, PREVIEW_SAMPLE_SIZE).map(doc => ({
+        id: parsed.collectionGroup ? doc.ref.path : doc.id,
+        data: doc.data()
+      }))
+    }, options);
+    if (!confirmed) {
+      return null;
+    }
+    
+    if (parsed.cascade) {
+      for (let i = 0; i < documents.length; i++) {
+        try {
+          await this.db.recursiveDelete(documents[i].ref);
+        } catch (error) {
+          if (i > 0) {
+            error.message += ` (${i} document(s) were already deleted with their subcollections)`;
+          }
+          throw error;
+        }
+      }
+    } else {
+      await this.commitInBatches(documents, (batch, doc) => batch.delete(doc.ref), 'deleted');
+    }
+    
+    return rows;
+  }
+
+  /**
+   * Ask options.confirm() whether to go ahead with a write, unless the
+   * confirm_writes setting is off
+   * @param {{action: string, count: number, sample: Array<{id: string, data: Object}>, cascade?: boolean}} preview -
+   *   Statement kind, number of documents written, a sample of them, and for
+   *   DELETE whether subcollections go too
+   * @param {Object} options - Query options
+   * @returns {Promise<boolean>} True if the write may proceed
+   * @throws {Error} If confirmation is required but there is no way to ask
+   */
+  async confirmWrite(preview, options) {
+    if (!this.settings.confirm_writes) {
+      return true;
+    }
+    if (!options || typeof options.confirm !== 'function') {
+      throw new Error(`${preview.action} needs confirmation; pass a confirm option or SET confirm_writes = false`);
+    }
+    return Boolean(await options.confirm(preview));
+  }
+
+  /**
+   * Write items with batched writes of up to MAX_BATCH_SIZE operations,
+   * committed one batch after the other. Each batch is atomic, but batches
+   * committed before a failure stay written.
+   * @param {Array} items - Items to write
+   * @param {Function} write - Adds the write for one item: (batch, item) => void
+   * @param {string} verb - What happened to written documents, for errors ('inserted', 'updated', 'deleted')
+   */
+  async commitInBatches(items, write, verb) {
+    for (let i = 0; i < items.length; i += MAX_BATCH_SIZE) {
+      const batch = this.db.batch();
+      items.slice(i, i + MAX_BATCH_SIZE).forEach(item => write(batch, item));
+
+      try {
+        await batch.commit();
+      } catch (error) {
+        if (i > 0) {
+          error.message += ` (${i} document(s) were already ${verb} by earlier batches)`;
+        }
+        throw error;
+      }
+    }
+  }
+
+  /**
+   * Describe how a SELECT query runs: the Firestore queries the translator
+   * builds for it and the steps done client-side. With EXPLAIN ANALYZE, each
+   * Firestore query also goes through Firestore's query explain API, which
+   * runs it and reports the indexes used and execution statistics.
+   * @param {Object} parsed - Parsed EXPLAIN statement
+   * @returns {Promise<{source: string, queries: Array<Object>, clientSide: Array<string>}>}
+   *   Query plan: one description per Firestore query (see describeQuery()),
+   *   with an analysis when analyzed, and the client-side steps in order
+   */
+  async executeExplain(parsed) {
+    const statement = parsed.statement;
+    const collection = this.getSource(statement);
+    const entries = [];
+    const clientSide = [];
+    
+    const merge = count => {
+      if (count > 1) clientSide.push(`Merge the results of ${count} queries, dropping duplicate documents`);
+    };
+    const pageStep = () => {
+      if (statement.offset) clientSide.push(`Skip the first ${statement.offset} row(s) (OFFSET)`);
+      if (statement.limit !== null) clientSide.push(`Keep ${statement.limit} row(s) (LIMIT)`);
+    };
+    const filterStep = residual => {
+      if (residual) clientSide.push(`Filter documents client-side: ${describeConditions(residual, false)}`);
+    };
+    
+    if (isJoinQuery(statement)) {
+      const plan = this.planJoin(statement);
+      const budget = this.settings.max_scan;
+      const base = this.getSource(plan.base);
+      const paged = plan.paged && !this.planDocumentQueries(base, plan.base).merged;
+      const scan = {
+        ...plan.base,
+        limit: paged ? Math.min(statement.limit + (statement.offset || 0), budget) : budget + 1
+      };
+      
+      const documents = this.planDocumentQueries(base, scan);
+      documents.queries.forEach(entry => entries.push({ ...entry, description: describeQuery(entry.where, { parsed: scan, merged: documents.merged }) }));
+      merge(documents.queries.length);
+      clientSide.push(paged ?
+        `Read ${plan.sources[0].from} a page at a time until LIMIT is filled, at most ${budget} documents (max_scan)` :
+        `Refuse the query if more than ${budget} documents of ${plan.sources[0].from} match (max_scan)`);
+      
+      plan.joins.forEach(join => clientSide.push(describeJoin(join, budget)));
+      if (plan.where) {
+        clientSide.push(`Keep rows matching WHERE ${describeConditions(plan.where, false)}`);
+      }
+      if (plan.orderBy.length > 0) {
+        clientSide.push(`Sort rows by ${describeOrder(plan.orderBy)}`);
+      }
+      pageStep();
+      if (!statement.select.includes('*')) {
+        clientSide.push(`Pick columns ${statement.select.map(columnName).join(', ')} from each row`);
+      }
+    } else if (isGroupedQuery(statement)) {
+      const budget = this.settings.max_scan;
+      const scan = unorderedScan(statement, budget);
+      const documents = this.planDocumentQueries(collection, scan);
+      this.planScanCount(collection, documents.queries.map(entry => entry.where))
+        .forEach(entry => entries.push({ ...entry, description: describeQuery(entry.where, { aggregations: [COUNT_ALL] }) }));
+      clientSide.push(`Refuse the query if more than ${budget} documents match (max_scan)`);
+      
+      documents.queries.forEach(entry => entries.push({ ...entry, description: describeQuery(entry.where, { parsed: scan, merged: documents.merged, residual: documents.residual }) }));
+      merge(documents.queries.length);
+      filterStep(documents.residual);
+      
+      const keys = groupingKeys(statement);
+      clientSide.push(keys.length > 0 ? `Group documents by ${keys.map(keyName).join(', ')}` : 'Treat all documents as one group');
+      const aggregates = groupAggregates(statement);
+      if (aggregates.length > 0) {
+        clientSide.push(`Compute ${[...new Set(aggregates.map(a => `${a.function}(${a.field})`))].join(', ')} for each group`);
+      }
+      if (statement.having) {
+        clientSide.push(`Keep groups matching HAVING ${describeConditions(statement.having, false)}`);
+      }
+      if (statement.orderBy.length > 0) {
+        clientSide.push(`Sort groups by ${describeOrder(statement.orderBy)}`);
+      }
+      pageStep();
+    } else if (statement.select.every(field => field.type === 'aggregation')) {
+      const aggregations = statement.select;
+      const plan = this.planAggregateQueries(collection, statement.where, aggregations);
+      const clientAggregation = plan.merged || plan.residual;
+      if (clientAggregation) {
+        this.planScanCount(collection, plan.queries.map(entry => entry.where))
+          .forEach(entry => entries.push({ ...entry, description: describeQuery(entry.where, { aggregations: [COUNT_ALL] }) }));
+        clientSide.push(`Refuse the query if more than ${this.settings.max_scan} documents match (max_scan)`);
+      }
+      plan.queries.forEach(entry => entries.push({ ...entry, description: describeQuery(entry.where, { aggregations: clientAggregation ? null : aggregations, fields: plan.fields }) }));
+      if (clientAggregation) {
+        merge(plan.queries.length);
+        filterStep(plan.residual);
+        clientSide.push(`Compute ${aggregations.map(aggregationName).join(', ')} over the fetched documents`);
+      }
+    } else {
+      const plan = this.planDocumentQueries(collection, statement);
+      if (plan.merged && (!statement.limit || plan.residual)) {
+        this.planScanCount(collection, plan.queries.map(entry => entry.where))
+          .forEach(entry => entries.push({ ...entry, description: describeQuery(entry.where, { aggregations: [COUNT_ALL] }) }));
+        clientSide.push(`Refuse the query if more than ${this.settings.max_scan} documents match (max_scan)`);
+      }
+      plan.queries.forEach(entry => entries.push({ ...entry, description: describeQuery(entry.where, { parsed: statement, merged: plan.merged, residual: plan.residual }) }));
+      if (plan.merged || plan.residual) {
+        merge(plan.queries.length);
+        filterStep(plan.residual);
+        if (plan.merged && statement.orderBy.length > 0) {
+          clientSide.push(`Sort documents by ${describeOrder(statement.orderBy)}`);
+        }
+        pageStep();
+      }
+      if (!statement.select.includes('*')) {
+        clientSide.push(`Pick columns ${statement.select.map(columnName).join(', ')} from each document`);
+      }
+    }
+    
+    if (parsed.analyze) {
+      await Promise.all(entries.map(async entry => {
+        const result = await entry.query.explain({ analyze: true });
+        entry.description.analysis = describeMetrics(result.metrics);
+      }));
+    }
+    
+    return {
+      source: `${statement.collectionGroup ? 'collection group' : 'collection'} ${statement.from}` +
+        (isJoinQuery(statement) ? ` AS ${statement.alias || statement.from.split('/').pop()}` : ''),
+      queries: entries.map(entry => entry.description),
+      clientSide: clientSide
+    };
+  }
+
+  /**
+   * List the root collections of the database, or the subcollections of a document
+   * @param {Object} parsed - Parsed SHOW statement
+   * @returns {Promise<Array<{collection: string, path: string}>>} One row per
+   *   collection, sorted by ID
+   */
+  async executeShow(parsed) {
+    const parent = parsed.what === 'collections' ? this.db : this.db.doc(parsed.path);
+    const collections = await parent.listCollections();
+    
+    return collections
+      .map(collection => ({ collection: collection.id, path: collection.path }))
+      .sort((a, b) => compareValues(a.collection, b.collection));
+  }
+
+  /**
+   * Describe the fields of a collection from a sample of its documents: each
+   * field path (nested maps included) with the types seen, how many sampled
+   * documents have it, and a few example values
+   * @param {Object} parsed - Parsed DESCRIBE statement
+   * @returns {Promise<Array<{field: string, types: string, present: string, examples: string}>>}
+   *   One row per field path, sorted by path
+   */
+  async executeDescribe(parsed) {
+    const sample = parsed.sample || DESCRIBE_SAMPLE_SIZE;
+    const snapshot = await this.getSource(parsed).limit(sample).get();
+    const fields = new Map();
+    
+    const visit = (data, segments) => {
+      Object.keys(data).forEach(key => {
+        const path = [...segments, key];
+        const value = data[key];
+        const name = formatFieldPath(path);
+        const type = valueType(value);
+        
+        if (!fields.has(name)) {
+          fields.set(name, { present: 0, types: new Map(), examples: new Set() });
+        }
+        const field = fields.get(name);
+        field.present++;
+        field.types.set(type, (field.types.get(type) || 0) + 1);
+        
+        if (type === 'map') {
+          visit(value, path);
+        } else if (field.examples.size < DESCRIBE_EXAMPLES) {
+          const example = type === 'string' ? JSON.stringify(value) : formatCell(value);
+          field.examples.add(truncate(example, DESCRIBE_EXAMPLE_WIDTH));
+        }
+      });
+    };
+    snapshot.docs.forEach(doc => visit(doc.data(), []));
+    
+    const total = snapshot.docs.length;
+    return [...fields.keys()].sort(compareValues).map(name => {
+      const field = fields.get(name);
+      const types = [...field.types.entries()].sort((a, b) => b[1] - a[1]);
+      return {
+        field: name,
+        types: types.length === 1 ? types[0][0] : types.map(([type, count]) => `${type} (${count})`).join(', '),
+        present: `${field.present}/${total} (${Math.round(field.present / total * 100)}%)`,
+        examples: [...field.examples].join(', ')
+      };
+    });
+  }
+
+  /**
+   * Build the Firestore AggregateField for a parsed aggregation
+   * @param {Object} aggregation - Parsed aggregation select item
+   * @returns {Object} Firestore AggregateField
+   */
+  buildAggregateField(aggregation) {
+    switch (aggregation.function) {
+      case 'COUNT':
+        return AggregateField.count();
+      case 'SUM':
+        return AggregateField.sum(toFieldPath(aggregation.field));
+      case 'AVG':
+        return AggregateField.average(toFieldPath(aggregation.field));
+      default:
+        throw new Error(`Unsupported aggregation: ${aggregation.function}`);
+    }
+  }
+
+  /**
+   * Apply WHERE conditions to Firestore query
+   * @param {Object} query - Firestore query object
+   * @param {Object} conditions - Parsed conditions
+   * @returns {Object} Modified query
+   * @throws {Error} If the conditions can't be expressed as a single Firestore query
+   */
+  applyWhereConditions(query, conditions) {
+    if (!conditions) return query;
+    
+    const { pushed, residual } = this.planFilters(conditions);
+    if (residual || !this.canUseCompositeFilter(pushed)) {
+      throw new Error('WHERE clause cannot be expressed as a single Firestore query');
+    }
+    
+    return query.where(this.buildFilter(pushed));
+  }
+
+  /**
+   * Split WHERE conditions into the part Firestore runs and the residual
+   * part checked client-side on the documents it returns. Conditions ANDed
+   * at the top level go to Firestore unless they use LIKE, ILIKE, REGEXP,
+   * IS MISSING, a function call or a NOT Firestore has no operator for. A
+   * LIKE on a fixed prefix becomes a range on that prefix, so Firestore
+   * narrows down the documents to check.
+   * @param {Object|null} conditions - Parsed conditions
+   * @returns {{pushed: Object|null, residual: Object|null}} Normalized
+   *   conditions Firestore runs, and those left to check client-side
+   */
+  planFilters(conditions) {
+    if (!conditions) {
+      return { pushed: null, residual: null };
+    }
+    
+    const pushed = [];
+    const residual = [];
+    const where = mapConditions(this.normalizeConditions(conditions), condition => this.prefixRange(condition));
+    splitConjunction(where).forEach(conjunct => {
+      (runsInFirestore(conjunct) ? pushed : residual).push(conjunct);
+    });
+    
+    return {
+      pushed: pushed.length > 0 ? this.combineConditions('AND', pushed) : null,
+      residual: residual.length > 0 ? this.combineConditions('AND', residual) : null
+    };
+  }
+
+  /**
+   * Rewrite a LIKE whose pattern starts with fixed text into conditions
+   * Firestore can run: an equality when there are no wildcards, or else the
+   * range of strings starting with that text, ANDed with the LIKE itself
+   * unless the rest of the pattern is only %. Document IDs are left alone,
+   * as their ranges compare paths.
+   * @param {Object} condition - Simple condition
+   * @returns {Object} Equivalent conditions
+   */
+  prefixRange(condition) {
+    if (condition.operator !== 'LIKE' || condition.expression || condition.field === '__name__') {
+      return condition;
+    }
+    
+    const parts = parseLikePattern(condition.value);
+    if (parts.every(part => typeof part === 'string')) {
+      return { ...condition, operator: '=', value: parts.join('') };
+    }
+    
+    const prefix = typeof parts[0] === 'string' ? parts[0] : '';
+    if (prefix === '') {
+      return condition;
+    }
+    
+    const upper = prefixSuccessor(prefix);
+    const range = [
+      { ...condition, operator: '>=', value: prefix },
+      ...(upper === null ? [] : [{ ...condition, operator: '<', value: upper }])
+    ];
+    const exact = parts.slice(1).every(part => part.wildcard === '%');
+    return this.combineConditions('AND', exact ? range : [...range, condition]);
+  }
+
+  /**
+   * Push NOT down to the conditions (De Morgan's laws) so the tree only
+   * contains conditions and AND/OR nodes, except for NOT over a CONTAINS or
+   * CONTAINS ANY, which has no negated operator and stays as it is
+   * @param {Object} conditions - Parsed conditions
+   * @param {boolean} negate - Whether the subtree is negated
+   * @returns {Object} Equivalent conditions tree, with NOT nodes only over conditions
+   */
+  normalizeConditions(conditions, negate = false) {
+    if (conditions.type === 'not') {
+      return this.normalizeConditions(conditions.operand, !negate);
+    }
+    
+    if (conditions.type === 'logical') {
+      const operator = negate ? (conditions.operator === 'AND' ? 'OR' : 'AND') : conditions.operator;
+      return {
+        type: 'logical',
+        operator: operator,
+        left: this.normalizeConditions(conditions.left, negate),
+        right: this.normalizeConditions(conditions.right, negate)
+      };
+    }
+    
+    if (!negate) {
+      return conditions;
+    }
+    
+    if (!NEGATED_OPERATORS[conditions.operator]) {
+      return { type: 'not', operand: conditions };
+    }
+    
+    return { ...conditions, operator: NEGATED_OPERATORS[conditions.operator] };
+  }
+
+  /**
+   * Rewrite a normalized conditions tree into disjunctive normal form
+   * @param {Object} conditions - Conditions tree without NOT nodes
+   * @returns {Array<Array<Object>>} OR of AND-ed simple conditions
+   */
+  toDisjunctiveNormalForm(conditions) {
+    if (conditions.type === 'condition') {
+      return [[conditions]];
+    }
+    
+    const left = this.toDisjunctiveNormalForm(conditions.left);
+    const right = this.toDisjunctiveNormalForm(conditions.right);
+    
+    let disjuncts;
+    if (conditions.operator === 'OR') {
+      disjuncts = [...left, ...right];
+    } else {
+      disjuncts = [];
+      left.forEach(leftConjunction => {
+        right.forEach(rightConjunction => {
+          disjuncts.push([...leftConjunction, ...rightConjunction]);
+        });
+      });
+    }
+    
+    if (disjuncts.length > MAX_SUBQUERIES) {
+      throw new Error(`WHERE clause expands to more than ${MAX_SUBQUERIES} sub-queries; please simplify it`);
+    }
+    
+    return disjuncts;
+  }
+
+  /**
+   * Combine simple conditions into a left-deep logical tree
+   * @param {string} operator - 'AND' or 'OR'
+   * @param {Array<Object>} conditions - Conditions to combine
+   * @returns {Object} Conditions tree
+   */
+  combineConditions(operator, conditions) {
+    return conditions.reduce((left, right) => ({ type: 'logical', operator, left, right }));
+  }
+
+  /**
+   * Check whether Firestore can run a normalized conditions tree as one
+   * query with composite filters. Firestore normalizes filters to disjunctive
+   * normal form server-side (an IN or CONTAINS ANY list of n values counts as
+   * n disjunctions), allows at most 30 disjunctions, at most one != or
+   * NOT IN filter per query, and no NOT IN alongside OR.
+   * @param {Object} conditions - Conditions tree without NOT nodes
+   * @returns {boolean} True if a single query can be used
+   * @throws {Error} If some disjunct can't be run by Firestore at all
+   */
+  canUseCompositeFilter(conditions) {
+    const disjuncts = this.toDisjunctiveNormalForm(conditions);
+    disjuncts.forEach(conjunction => this.validateConjunction(conjunction));
+    
+    const all = collectConditions(conditions);
+    const notEqualCount = all.filter(condition => condition.operator === '!=' || condition.operator === 'NOT IN').length;
+    if (notEqualCount > 1) {
+      return false;
+    }
+    
+    if (disjuncts.length > 1 && all.some(condition => condition.operator === 'NOT IN')) {
+      return false;
+    }
+    
+    const disjunctionCount = disjuncts.reduce((total, conjunction) => total + countDisjunctions(conjunction), 0);
+    return disjunctionCount <= MAX_DISJUNCTIONS;
+  }
+
+  /**
+   * Check one AND-ed group of conditions against Firestore's query limits,
+   * so impossible queries fail with a clear message before anything runs
+   * @param {Array<Object>} conjunction - Simple conditions
+   * @throws {Error} If Firestore would reject the conditions
+   */
+  validateConjunction(conjunction) {
+    conjunction.forEach(condition => {
+      if (!LIST_OPERATORS.includes(condition.operator)) return;
+      
+      if (condition.value.length === 0) {
+        throw new Error(`${condition.operator} on "${condition.field}" needs at least one value`);
+      }
+      if (condition.operator === 'NOT IN' && condition.value.length > MAX_NOT_IN_VALUES) {
+        throw new Error(`NOT IN on "${condition.field}" has ${condition.value.length} values; Firestore allows at most ${MAX_NOT_IN_VALUES}`);
+      }
+      if (condition.value.length > MAX_DISJUNCTIONS) {
+        throw new Error(`${condition.operator} on "${condition.field}" has ${condition.value.length} values; Firestore allows at most ${MAX_DISJUNCTIONS}`);
+      }
+    });
+    
+    const operators = conjunction.map(condition => condition.operator);
+    const count = operator => operators.filter(op => op === operator).length;
+    
+    if (count('CONTAINS') > 1) {
+      throw new Error('Firestore allows only one CONTAINS filter per query; combine the values with CONTAINS ANY or OR');
+    }
+    if (count('NOT IN') > 1 || (count('NOT IN') && count('!='))) {
+      throw new Error('Firestore allows only one != or NOT IN filter per query');
+    }
+    if (count('NOT IN') && (count('IN') || count('CONTAINS ANY'))) {
+      throw new Error('NOT IN cannot be combined with IN or CONTAINS ANY in the same query');
+    }
+    
+    const disjunctions = countDisjunctions(conjunction);
+    if (disjunctions > MAX_DISJUNCTIONS) {
+      throw new Error(`IN / CONTAINS ANY lists expand to ${disjunctions} disjunctions; Firestore allows at most ${MAX_DISJUNCTIONS}`);
+    }
+  }
+
+  /**
+   * Build a Firestore Filter from a normalized conditions tree
+   * @param {Object} conditions - Conditions tree without NOT nodes
+   * @returns {Object} Firestore Filter
+   */
+  buildFilter(conditions) {
+    if (conditions.type === 'condition') {
+      return this.buildSimpleFilter(conditions);
+    }
+    
+    // Flatten chains of the same operator into one composite filter
+    const operands = [];
+    const collect = node => {
+      if (node.type === 'logical' && node.operator === conditions.operator) {
+        collect(node.left);
+        collect(node.right);
+      } else {
+        operands.push(this.buildFilter(node));
+      }
+    };
+    collect(conditions);
+    
+    return conditions.operator === 'AND' ? Filter.and(...operands) : Filter.or(...operands);
+  }
+
+  /**
+   * Build a Firestore field Filter from a simple condition
+   * @param {Object} condition - Simple condition object
+   * @returns {Object} Firestore Filter
+   */
+  buildSimpleFilter(condition) {
+    const { field, operator, value } = condition;
+    
+    const firestoreOperator = FIRESTORE_OPERATORS[operator];
+    if (!firestoreOperator) {
+      throw new Error(`Unsupported operator: ${operator}`);
+    }
+    
+    return Filter.where(toFieldPath(field), firestoreOperator, value);
+  }
+}
+
+/**
+ * Convert a canonical field path from the parser to a Firestore FieldPath
+ * @param {string} field - Canonical field path
+ * @returns {FieldPath} Firestore field path
+ */
+function toFieldPath(field) {
+  if (field === '__name__') {
+    return FieldPath.documentId();
+  }
+  return new FieldPath(...splitFieldPath(field));
+}
+
+/**
+ * Read a (possibly nested) field from document data
+ * @param {Object} data - Document data
+ * @param {string} field - Canonical field path
+ * @returns {*} Field value, or undefined if the path doesn't exist
+ */
+function getFieldValue(data, field) {
+  let value = data;
+  for (const segment of splitFieldPath(field)) {
+    if (value === null || typeof value !== 'object' || !Object.prototype.hasOwnProperty.call(value, segment)) {
+      return undefined;
+    }
+    value = value[segment];
+  }
+  return value;
+}
+
+/**
+ * Build the data of an inserted document from its row, nesting dotted
+ * columns into maps. The id column is the document ID, not a field.
+ * @param {Array<string>} columns - Canonical field paths
+ * @param {Array} row - One value per column
+ * @returns {Object} Document data
+ */
+function buildDocument(columns, row) {
+  const data = {};
+  columns.forEach((column, index) => {
+    if (column === '__name__') return;
+
+    const segments = splitFieldPath(column);
+    let target = data;
+    segments.slice(0, -1).forEach(segment => {
+      target[segment] = target[segment] || {};
+      target = target[segment];
+    });
+    target[segments[segments.length - 1]] = row[index];
+  });
+  return data;
+}
+
+/**
+ * Firestore value written by an UPDATE assignment, turning DELETE_FIELD(),
+ * INCREMENT(), ARRAY_UNION() and NOW() into field transforms
+ * @param {Object} assignment - Parsed SET assignment
+ * @returns {*} Value or FieldValue sentinel
+ */
+function assignedValue(assignment) {
+  switch (assignment.function) {
+    case undefined:
+      return assignment.value;
+    case 'DELETE_FIELD':
+      return FieldValue.delete();
+    case 'INCREMENT':
+      return FieldValue.increment(assignment.args[0]);
+    case 'ARRAY_UNION':
+      return FieldValue.arrayUnion(...assignment.args);
+    case 'NOW':
+      return FieldValue.serverTimestamp();
+    default:
+      throw new Error(`Unsupported function: ${assignment.function}()`);
+  }
+}
+
+/**
+ * The statement used to read every document matching a query's WHERE
+ * clause, with no ordering or paging: for client-side grouping and for
+ * UPDATE and DELETE
+ * @param {Object} parsed - Parsed statement with from, collectionGroup and where
+ * @param {number|null} limit - Maximum documents to read, or null for all
+ * @returns {Object} Parsed query object
+ */
+function unorderedScan(parsed, limit) {
+  return {
+    ...parsed,
+    orderBy: [],
+    start: null,
+    end: null,
+    limit: limit,
+    offset: null
+  };
+}
+
+/**
+ * @param {*} params - Second argument of query()
+ * @returns {boolean} Whether it is an object of query options rather than
+ *   placeholder values
+ */
+function isLegacyOptions(params) {
+  if (params === null || typeof params !== 'object' || Array.isArray(params)) {
+    return false;
+  }
+  const keys = Object.keys(params);
+  return keys.length > 0 && keys.every(key => QUERY_OPTIONS.includes(key));
+}
+
+/**
+ * Name of the client-side feature a grouped query uses, for messages
+ * @param {Object} parsed - Parsed query object
+ * @returns {string} 'GROUP BY', 'DISTINCT' or 'MIN/MAX'
+ */
+function groupedQueryLabel(parsed) {
+  return parsed.groupBy.length > 0 || parsed.having ? 'GROUP BY' : (parsed.distinct ? 'DISTINCT' : 'MIN/MAX');
+}
+
+/**
+ * Aggregates a grouped query computes for each group: those in SELECT,
+ * HAVING and ORDER BY
+ * @param {Object} parsed - Parsed query object
+ * @returns {Array<{function: string, field: string, alias?: string}>} Aggregates
+ */
+function groupAggregates(parsed) {
+  return [
+    ...parsed.select.filter(field => field.type === 'aggregation'),
+    ...(parsed.having ? collectConditions(parsed.having).filter(condition => condition.aggregate).map(condition => condition.aggregate) : []),
+    ...parsed.orderBy.filter(order => order.aggregate).map(order => order.aggregate)
+  ];
+}
+
+/**
+ * Describe one Firestore query of an EXPLAIN plan
+ * @param {Object|null} where - Normalized conditions the query filters on
+ * @param {Object} parts - Either parsed (and merged, and the residual
+ *   conditions checked client-side) for a document query, or aggregations
+ *   for an aggregate() query, or fields for an aggregation computed
+ *   client-side from those fields
+ * @returns {{where: string|null, orderBy: string|null, cursors: Array<string>, offset: number|null,
+ *   limit: number|null, select: string, aggregate: string|null}} Query description
+ */
+function describeQuery(where, { parsed = null, merged = false, residual = null, aggregations = null, fields = [] }) {
+  const description = {
+    where: where ? describeConditions(where, true) : null,
+    orderBy: null,
+    cursors: [],
+    offset: null,
+    limit: null,
+    select: 'all fields',
+    aggregate: null
+  };
+  
+  if (aggregations) {
+    description.select = 'none';
+    description.aggregate = aggregations.map(aggregation => `${aggregation.function}(${aggregation.field})`).join(', ');
+    return description;
+  }
+  
+  if (!parsed) {
+    description.select = fields.length > 0 ? fields.join(', ') : 'document IDs only';
+    return description;
+  }
+  
+  const projection = projectedFields(parsed, residual);
+  if (projection) {
+    description.select = projection.length > 0 ? projection.join(', ') : 'document IDs only';
+  }
+  if (parsed.orderBy.length > 0) {
+    description.orderBy = describeOrder(parsed.orderBy);
+  }
+  if (parsed.start) {
+    description.cursors.push(describeCursor('START', parsed.start));
+  }
+  if (parsed.end) {
+    description.cursors.push(describeCursor('END', parsed.end));
+  }
+  
+  // Merged sub-queries fetch the whole page and leave OFFSET to the merge;
+  // documents filtered client-side are paged client-side too
+  if (residual) {
+    return description;
+  }
+  if (merged) {
+    description.limit = parsed.limit ? parsed.limit + (parsed.offset || 0) : null;
+  } else {
+    description.offset = parsed.offset || null;
+    description.limit = parsed.limit;
+  }
+  return description;
+}
+
+/**
+ * Describe a conditions tree as text
+ * @param {Object} conditions - Conditions tree
+ * @param {boolean} firestore - Show Firestore operators (==, array-contains...) instead of SQL ones
+ * @returns {string} Description, e.g. '(status == "a" OR age >= 18)'
+ */
+function describeConditions(conditions, firestore) {
+  if (conditions.type === 'logical') {
+    return `(${describeConditions(conditions.left, firestore)} ${conditions.operator} ${describeConditions(conditions.right, firestore)})`;
+  }
+  if (conditions.type === 'not') {
+    return `NOT ${describeConditions(conditions.operand, firestore)}`;
+  }
+  
+  const operator = firestore ? FIRESTORE_OPERATORS[conditions.operator] : conditions.operator;
+  if (conditions.operator === 'IS MISSING' || conditions.operator === 'IS NOT MISSING') {
+    return `${conditions.field} ${operator}`;
+  }
+  const value = LIST_OPERATORS.includes(conditions.operator) ?
+    `[${conditions.value.map(describeLiteral).join(', ')}]` :
+    describeLiteral(conditions.value);
+  return `${conditions.field} ${operator} ${value}`;
+}
+
+/**
+ * Describe a literal value as text, writing Firestore types as literals
+ * @param {*} value - Literal value
+ * @returns {string} Description
+ */
+function describeLiteral(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(describeLiteral).join(', ')}]`;
+  }
+  return formatValue(value);
+}
+
+/**
+ * Describe ORDER BY keys as text
+ * @param {Array<Object>} orderBy - Parsed ORDER BY keys
+ * @returns {string} Description, e.g. 'lastName ASC, age DESC'
+ */
+function describeOrder(orderBy) {
+  return orderBy.map(order => `${order.field} ${order.direction}`).join(', ');
+}
+
+/**
+ * Describe a START / END cursor as text
+ * @param {string} keyword - 'START' or 'END'
+ * @param {Object} cursor - Parsed cursor
+ * @returns {string} Description
+ */
+function describeCursor(keyword, cursor) {
+  if (cursor.document) {
+    return `${keyword} ${cursor.operator} the last document of the previous page`;
+  }
+  return `${keyword} ${cursor.operator} (${cursor.values.map(describeLiteral).join(', ')})`;
+}
+
+/**
+ * Summarize the metrics returned by Firestore's query explain API
+ * @param {Object} metrics - ExplainMetrics
+ * @returns {{indexesUsed: Array<string>, documentsScanned: number|null, resultsReturned: number,
+ *   readOperations: number, executionTime: number}} Summary, with executionTime in milliseconds
+ */
+function describeMetrics(metrics) {
+  const stats = metrics.executionStats;
+  const scanned = stats.debugStats && stats.debugStats.documents_scanned;
+  
+  return {
+    indexesUsed: metrics.planSummary.indexesUsed.map(index => {
+      return index.properties ? `${index.properties} (${index.query_scope})` : JSON.stringify(index);
+    }),
+    documentsScanned: scanned === undefined ? null : Number(scanned),
+    resultsReturned: stats.resultsReturned,
+    readOperations: stats.readOperations,
+    executionTime: stats.executionDuration.seconds * 1000 + stats.executionDuration.nanoseconds / 1e6
+  };
+}
+
+/**
+ * Column name of an aggregation: its alias, or e.g. "SUM(amount)"
+ * @param {Object} aggregation - Parsed aggregation select item
+ * @returns {string} Column name
+ */
+function aggregationName(aggregation) {
+  return aggregation.alias || `${aggregation.function}(${aggregation.field})`;
+}
+
+/**
+ * Column name of a select item: its alias, or else the field path, the
+ * expression text or e.g. "SUM(amount)"
+ * @param {Object} field - Parsed select item
+ * @returns {string} Column name
+ */
+function columnName(field) {
+  if (field.type === 'aggregation') return aggregationName(field);
+  return field.alias || (field.type === 'expression' ? field.text : field.field);
+}
+
+/**
+ * Check whether a query needs client-side grouping: GROUP BY, HAVING,
+ * DISTINCT, or an aggregate Firestore can't compute (MIN, MAX)
+ * @param {Object} parsed - Parsed query object
+ * @returns {boolean} True if the query is grouped client-side
+ */
+function isGroupedQuery(parsed) {
+  return parsed.distinct || parsed.groupBy.length > 0 || parsed.having !== null ||
+    parsed.select.some(field => field.type === 'aggregation' && !SERVER_AGGREGATIONS.includes(field.function));
+}
+
+/**
+ * Check whether a statement joins collections
+ * @param {Object} parsed - Parsed statement
+ * @returns {boolean} True for a SELECT with JOIN clauses
+ */
+function isJoinQuery(parsed) {
+  return Boolean(parsed.joins) && parsed.joins.length > 0;
+}
+
+/**
+ * Split a field of a JOIN query into the alias of its source and the field
+ * of that source's documents: '__name__' for `alias.id`, and '*' for the
+ * alias alone, which stands for the whole document
+ * @param {string} field - Canonical field path as written, e.g. "u.email"
+ * @param {Array<string>} aliases - Aliases of the joined sources
+ * @returns {{alias: string, field: string}} Resolved field
+ * @throws {Error} If the field doesn't start with one of the aliases
+ */
+function resolveJoinField(field, aliases) {
+  const segments = splitFieldPath(field);
+  if (!aliases.includes(segments[0])) {
+    throw new Error(`Field "${field === '__name__' ? 'id' : field}" must start with the alias of a joined ` +
+      `collection (${aliases.join(', ')}), e.g. ${aliases[0]}.${field === '__name__' ? 'id' : segments[0]}`);
+  }
+  
+  const rest = segments.slice(1);
+  if (rest.length === 0) {
+    return { alias: segments[0], field: '*' };
+  }
+  return { alias: segments[0], field: rest.length === 1 && rest[0] === 'id' ? '__name__' : formatFieldPath(rest) };
+}
+
+/**
+ * Split a conditions tree into the conditions ANDed at its top level
+ * @param {Object} conditions - Conditions tree
+ * @returns {Array<Object>} Conjuncts
+ */
+function splitConjunction(conditions) {
+  if (conditions.type === 'logical' && conditions.operator === 'AND') {
+    return [...splitConjunction(conditions.left), ...splitConjunction(conditions.right)];
+  }
+  return [conditions];
+}
+
+/**
+ * Rewrite the simple conditions of a conditions tree
+ * @param {Object} conditions - Conditions tree
+ * @param {Function} rewrite - Returns the new version of a simple condition
+ * @returns {Object} Rewritten tree
+ */
+function mapConditions(conditions, rewrite) {
+  if (conditions.type === 'logical') {
+    return { ...conditions, left: mapConditions(conditions.left, rewrite), right: mapConditions(conditions.right, rewrite) };
+  }
+  if (conditions.type === 'not') {
+    return { ...conditions, operand: mapConditions(conditions.operand, rewrite) };
+  }
+  return rewrite(conditions);
+}
+
+/**
+ * Rewrite the field nodes of an expression
+ * @param {Object} expression - Expression tree
+ * @param {Function} rewrite - Returns the new version of a field node
+ * @returns {Object} Rewritten expression
+ */
+function mapExpressionFields(expression, rewrite) {
+  switch (expression.type) {
+    case 'field':
+      return rewrite(expression);
+    case 'call':
+      return { ...expression, args: expression.args.map(arg => mapExpressionFields(arg, rewrite)) };
+    case 'binary':
+      return {
+        ...expression,
+        left: mapExpressionFields(expression.left, rewrite),
+        right: mapExpressionFields(expression.right, rewrite)
+      };
+    case 'negate':
+      return { ...expression, operand: mapExpressionFields(expression.operand, rewrite) };
+    default:
+      return expression;
+  }
+}
+
+/**
+ * Nodes of a conditions tree naming a field: its simple conditions, or for
+ * a condition on an expression, the fields that expression reads
+ * @param {Object} conditions - Conditions tree
+ * @returns {Array<Object>} Nodes with a field property
+ */
+function fieldNodes(conditions) {
+  return collectConditions(conditions).flatMap(condition => {
+    return condition.expression ? expressionFields(condition.expression) : [condition];
+  });
+}
+
+/**
+ * Check whether Firestore has an operator for every condition of a
+ * normalized conditions tree
+ * @param {Object} conditions - Normalized conditions tree
+ * @returns {boolean} True if the tree needs no client-side evaluation
+ */
+function runsInFirestore(conditions) {
+  if (conditions.type === 'logical') {
+    return runsInFirestore(conditions.left) && runsInFirestore(conditions.right);
+  }
+  return conditions.type === 'condition' && !conditions.expression && Boolean(FIRESTORE_OPERATORS[conditions.operator]);
+}
+
+/**
+ * Smallest string greater than every string starting with a prefix: the
+ * prefix with its last code point incremented
+ * @param {string} prefix - Non-empty prefix
+ * @returns {string|null} Upper bound, or null when there is none
+ */
+function prefixSuccessor(prefix) {
+  const codePoints = [...prefix].map(char => char.codePointAt(0));
+  while (codePoints.length > 0 && codePoints[codePoints.length - 1] === 0x10FFFF) {
+    codePoints.pop();
+  }
+  if (codePoints.length === 0) {
+    return null;
+  }
+  
+  // Skip the surrogate range, which holds no characters
+  const last = codePoints.pop() + 1;
+  return String.fromCodePoint(...codePoints, last === 0xD800 ? 0xE000 : last);
+}
+
+/**
+ * Values a document is joined on: for `id`, its ID and a reference to it,
+ * so that both ID strings and references match it; for another field, its
+ * value. Missing and null values join nothing.
+ * @param {Object|null} doc - Document snapshot (null for a row without a match)
+ * @param {string} field - Canonical field path
+ * @returns {Array} Values
+ */
+function joinValues(doc, field) {
+  if (!doc) return [];
+  if (field === '__name__') return [doc.id, doc.ref];
+  
+  const value = doc.get(toFieldPath(field));
+  return value === undefined || value === null ? [] : [value];
+}
+
+/**
+ * Read a resolved field from a joined row
+ * @param {Map} row - Joined row
+ * @param {{alias: string, field: string}} source - Field from resolveJoinField()
+ * @returns {*} Field value (the document's data for '*'), or undefined if missing
+ */
+function joinedValue(row, source) {
+  const doc = row.get(source.alias);
+  if (!doc) return undefined;
+  return source.field === '*' ? doc.data() : getDocumentValue(doc, source.field);
+}
+
+/**
+ * Error refusing a JOIN that would read too many documents of one collection
+ * @param {{alias: string, from: string}} source - Joined source
+ * @param {number} budget - The max_scan setting
+ * @returns {Error} Error to throw
+ */
+function joinBudgetError(source, budget) {
+  return new Error(`JOIN would read more than the max_scan budget of ${budget} documents from ${source.from} ` +
+    `(${source.alias}). Add WHERE filters or a LIMIT, or raise it with SET max_scan = <n>`);
+}
+
+/**
+ * Describe how a JOIN fetches the joined collection, for EXPLAIN
+ * @param {Object} join - Join from planJoin()
+ * @param {number} budget - The max_scan setting
+ * @returns {string} Description
+ */
+function describeJoin(join, budget) {
+  const source = `${join.collectionGroup ? 'collection group' : 'collection'} ${join.from} AS ${join.alias}`;
+  const fetch = join.lookup ?
+    `looking up documents by ID with getAll(), ${JOIN_LOOKUP_BATCH_SIZE} per call` :
+    `querying ${join.field} IN (...), ${MAX_DISJUNCTIONS} values per query`;
+  return `${join.type === 'left' ? 'LEFT JOIN' : 'JOIN'} ${source} ON ${join.on}, ${fetch}; ` +
+    `refuse the query beyond ${budget} documents (max_scan)`;
+}
+
+/**
+ * Fields a SELECT reads from its documents, sent to Firestore as a field
+ * mask: the selected columns (including the fields computed columns read)
+ * and the sort keys, which merging sub-queries and NEXT cursors read back;
+ * for a grouped query, its grouping keys and aggregated fields. The fields
+ * of the conditions checked client-side are added, and the document ID
+ * always comes along.
+ * @param {Object} parsed - Parsed statement
+ * @param {Object|null} residual - Conditions checked client-side (see planFilters())
+ * @returns {Array<string>|null} Canonical field paths (empty to fetch IDs only),
+ *   or null when whole documents are needed
+ */
+function projectedFields(parsed, residual = null) {
+  if (parsed.type !== 'select' || parsed.select.includes('*')) {
+    return null;
+  }
+  
+  const columns = isGroupedQuery(parsed) ? groupingKeys(parsed) : [...parsed.select, ...parsed.orderBy];
+  const nodes = columns.flatMap(node => node.type === 'expression' ? expressionFields(node.expression) : [node]);
+  
+  // A function of the whole document, such as prettyJson(*), reads all of it
+  if (nodes.some(node => node.field === '*')) {
+    return null;
+  }
+  
+  const fields = nodes.map(node => node.field);
+  if (isGroupedQuery(parsed)) {
+    fields.push(...groupAggregates(parsed).map(aggregate => aggregate.field));
+  }
+  if (residual) {
+    fields.push(...fieldNodes(residual).map(node => node.field));
+  }
+  return [...new Set(fields)].filter(field => field !== '__name__' && field !== '*');
+}
+
+/**
+ * What the rows of a grouped query are grouped on: the GROUP BY fields, or
+ * the selected columns for SELECT DISTINCT
+ * @param {Object} parsed - Parsed query object
+ * @returns {Array<Object>} Field nodes, and select items of computed columns
+ */
+function groupingKeys(parsed) {
+  if (parsed.groupBy.length > 0) return parsed.groupBy.map(field => ({ field: field }));
+  if (!parsed.distinct) return [];
+  
+  const keys = new Map();
+  parsed.select.forEach(field => keys.set(keyName(field), field));
+  return [...keys.values()];
+}
+
+/**
+ * Name of a grouping key in grouped rows: the field path, or the text of a
+ * computed column
+ * @param {Object} key - Key from groupingKeys()
+ * @returns {string} Key name
+ */
+function keyName(key) {
+  return key.type === 'expression' ? key.text : key.field;
+}
+
+/**
+ * Read a field from a document snapshot, including the document ID
+ * @param {Object} doc - Document snapshot
+ * @param {string} field - Canonical field path
+ * @returns {*} Field value, or undefined if missing
+ */
+function getDocumentValue(doc, field) {
+  return field === '__name__' ? doc.id : doc.get(toFieldPath(field));
+}
+
+/**
+ * Keep the documents matching conditions evaluated client-side, then apply
+ * OFFSET and LIMIT to them. Reading stops once LIMIT documents have matched.
+ * @param {AsyncIterable<Object>} documents - Document snapshots
+ * @param {Function} matches - Checks a document against the conditions
+ * @param {{offset: number|null, limit: number|null}} parsed - Parsed query object
+ * @returns {AsyncGenerator<Object>} Matching document snapshots
+ */
+async function* filterDocuments(documents, matches, { offset, limit }) {
+  let skipped = 0;
+  let count = 0;
+  
+  for await (const doc of documents) {
+    if (!matches(doc)) continue;
+    if (skipped < (offset || 0)) {
+      skipped++;
+      continue;
+    }
+    
+    yield doc;
+    count++;
+    if (limit && count >= limit) return;
+  }
+}
+
+/**
+ * Warning reporting the conditions of a query evaluated client-side
+ * @param {Object} residual - Conditions checked client-side (see planFilters())
+ * @returns {string} Warning message
+ */
+function residualWarning(residual) {
+  return `Firestore can't run ${describeConditions(residual, false)}, so it is checked client-side on each document read`;
+}
+
+/**
+ * Location columns added to collection group results
+ * @param {Object} doc - Document snapshot
+ * @returns {{__path__: string, __parent__: string|null}} Full document path and parent document ID
+ */
+function documentLocation(doc) {
+  const parent = doc.ref.parent.parent;
+  return {
+    __path__: doc.ref.path,
+    __parent__: parent ? parent.id : null
+  };
+}
+
+/**
+ * Report a non-fatal warning through the onWarning query option
+ * @param {Object} options - Query options
+ * @param {string} message - Warning message
+ */
+function warn(options, message) {
+  if (options && typeof options.onWarning === 'function') {
+    options.onWarning(message);
+  }
+}
+
+/**
+ * Yield the documents of a query as Firestore streams them. Aborting the
+ * signal closes the stream, which then fails with a QueryCancelledError.
+ * @param {Object} query - Firestore query
+ * @param {AbortSignal} [signal] - Cancels the query
+ * @returns {AsyncGenerator<Object>} Document snapshots
+ */
+async function* streamDocuments(query, signal) {
+  throwIfCancelled(signal);
+
+  const stream = query.stream();
+  const cancel = () => stream.destroy(new QueryCancelledError());
+  if (signal) {
+    signal.addEventListener('abort', cancel, { once: true });
+  }
+
+  try {
+    for await (const doc of stream) {
+      yield doc;
+    }
+  } finally {
+    if (signal) {
+      signal.removeEventListener('abort', cancel);
+    }
+  }
+}
+
+/**
+ * Read all the documents of a query through streamDocuments(), so that
+ * aborting the signal stops the read rather than waiting for its end
+ * @param {Object} query - Firestore query
+ * @param {AbortSignal} [signal] - Cancels the query
+ * @returns {Promise<Array>} Document snapshots
+ */
+async function collectDocuments(query, signal) {
+  const documents = [];
+  for await (const doc of streamDocuments(query, signal)) {
+    documents.push(doc);
+  }
+  return documents;
+}
+
+function throwIfCancelled(signal) {
+  if (signal && signal.aborted) {
+    throw new QueryCancelledError();
+  }
+}
+
+/**
+ * Turn Firestore's missing-index errors into a MissingIndexError carrying
+ * the statement's indexes; other errors are returned as they are
+ * @param {Error} error - Error thrown while running a statement
+ * @param {{indexes: Array, fieldOverrides: Array}} indexFile - The statement's indexes
+ * @returns {Error} Error to throw
+ */
+function withIndexAdvice(error, indexFile) {
+  return isMissingIndexError(error) ? new MissingIndexError(error.message, indexFile) : error;
+}
+
+/**
+ * Parse a positive integer setting value
+ * @param {*} value - Raw value
+ * @param {string} name - Setting name, for the error message
+ * @returns {number} Parsed value
+ */
+function parsePositiveInteger(value, name) {
+  const number = Number(value);
+  if (!Number.isInteger(number) || number <= 0) {
+    throw new Error(`${name} must be a positive integer`);
+  }
+  return number;
+}
+
+/**
+ * Parse a time zone setting value
+ * @param {*} value - Raw value, an IANA time zone name
+ * @param {string} name - Setting name, for the error message
+ * @returns {string} Time zone name
+ */
+function parseTimeZone(value, name) {
+  const zone = String(value);
+  if (!isTimeZone(zone)) {
+    throw new Error(`${name} must be an IANA time zone such as Europe/Paris or UTC, not "${zone}"`);
+  }
+  return zone;
+}
+
+/**
+ * Parse a date format setting value
+ * @param {*} value - Raw value
+ * @param {string} name - Setting name, for the error message
+ * @returns {string} Format string
+ */
+function parseDateFormat(value, name) {
+  const format = String(value);
+  if (format.trim() === '') {
+    throw new Error(`${name} must not be empty`);
+  }
+  return format;
+}
+
+/**
+ * Parse a boolean setting value (true/false, on/off, yes/no, 1/0)
+ * @param {*} value - Raw value
+ * @param {string} name - Setting name, for the error message
+ * @returns {boolean} Parsed value
+ */
+function parseBoolean(value, name) {
+  if (typeof value === 'boolean') return value;
+
+  const text = String(value).toLowerCase();
+  if (['true', 'on', 'yes', '1'].includes(text)) return true;
+  if (['false', 'off', 'no', '0'].includes(text)) return false;
+  throw new Error(`${name} must be true or false`);
+}
+
+/**
+ * Name of a Firestore value's type, as DESCRIBE reports it
+ * @param {*} value - Field value
+ * @returns {string} 'null', 'boolean', 'number', 'string', 'timestamp',
+ *   'bytes', 'reference', 'geopoint', 'array' or 'map'
+ */
+function valueType(value) {
+  if (value === null || value === undefined) return 'null';
+  if (typeof value === 'boolean') return 'boolean';
+  if (typeof value === 'number') return 'number';
+  if (typeof value === 'string') return 'string';
+  if (value instanceof admin.firestore.Timestamp || value instanceof Date) return 'timestamp';
+  if (Buffer.isBuffer(value) || value instanceof Uint8Array) return 'bytes';
+  if (value instanceof admin.firestore.DocumentReference) return 'reference';
+  if (value instanceof admin.firestore.GeoPoint) return 'geopoint';
+  if (Array.isArray(value)) return 'array';
+  return 'map';
+}
+
+/**
+ * Shorten text to a maximum length, ending it with an ellipsis when cut
+ * @param {string} text - Text to shorten
+ * @param {number} length - Maximum length
+ * @returns {string} Shortened text
+ */
+function truncate(text, length) {
+  const line = text.replace(/\s+/g, ' ');
+  return line.length > length ? line.slice(0, length - 1) + '…' : line;
+}
+
+/**
+ * Collect the simple conditions of a conditions tree
+ * @param {Object} conditions - Conditions tree
+ * @returns {Array<Object>} Simple conditions
+ */
+function collectConditions(conditions) {
+  if (conditions.type === 'condition') return [conditions];
+  if (conditions.type === 'not') return collectConditions(conditions.operand);
+  return [...collectConditions(conditions.left), ...collectConditions(conditions.right)];
+}
+
+/**
+ * Count the disjunctions Firestore expands an AND-ed group of conditions to:
+ * the product of the IN and CONTAINS ANY list sizes
+ * @param {Array<Object>} conjunction - Simple conditions
+ * @returns {number} Number of disjunctions
+ */
+function countDisjunctions(conjunction) {
+  return conjunction
+    .filter(condition => condition.operator === 'IN' || condition.operator === 'CONTAINS ANY')
+    .reduce((product, condition) => product * condition.value.length, 1);
 }
 
-module.exports = { SQLTranslator };
+module.exports = { SQLTranslator, QueryCancelledError };
@@ -0,0 +1,105 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const admin = require('firebase-admin');
+const { compareValues, comparePaths, matchesConditions, computeAggregate, groupKey } = require('../client-side');
+const { parse } = require('../sql-parser');
+
+describe('compareValues', () => {
+  it('follows Firestore\'s cross-type ordering', () => {
+    const db = new admin.firestore.Firestore({ projectId: 'test' });
+    const ordered = [
+      null,
+      false,
+      true,
+      -1,
+      2.5,
+      new Date('2024-01-01T00:00:00Z'),
+      admin.firestore.Timestamp.fromDate(new Date('2025-01-01T00:00:00Z')),
+      '',
+      'a',
+      'b',
+      Buffer.from([1]),
+      db.doc('users/u1'),
+      db.doc('users/u2'),
+      new admin.firestore.GeoPoint(1, 2),
+      [],
+      [1, 'a'],
+      [2],
+      { a: 1 }
+    ];
+
+    for (let i = 0; i < ordered.length; i++) {
+      for (let j = 0; j < ordered.length; j++) {
+        const expected = Math.sign(i - j);
+        assert.strictEqual(Math.sign(compareValues(ordered[i], ordered[j])), expected,
+          `compareValues(${i}, ${j}) should be ${expected}`);
+      }
+    }
+  });
+
+  it('treats a Date and a Timestamp of the same instant as equal, and undefined as null', () => {
+    const date = new Date('2024-06-01T12:00:00Z');
+    assert.strictEqual(compareValues(date, admin.firestore.Timestamp.fromDate(date)), 0);
+    assert.strictEqual(compareValues(undefined, null), 0);
+  });
+
+  it('orders references segment by segment', () => {
+    const db = new admin.firestore.Firestore({ projectId: 'test' });
+
+    assert.ok(compareValues(db.doc('users/a/posts/p1'), db.doc('users/a-b')) < 0);
+    assert.ok(comparePaths('users/a-b', 'users/a/posts/p1') > 0);
+    assert.ok(comparePaths('users/a', 'users/a/posts/p1') < 0);
+    assert.strictEqual(comparePaths('users/a', 'users/a'), 0);
+  });
+});
+
+describe('matchesConditions', () => {
+  const row = { plan: 'pro', seats: 3, tags: ['a', 'b'] };
+  const matches = having => matchesConditions(parse(`SELECT * FROM users WHERE ${having}`).where, condition => row[condition.field]);
+
+  it('evaluates AND, OR and NOT', () => {
+    assert.strictEqual(matches("plan = 'pro' AND seats > 2"), true);
+    assert.strictEqual(matches("plan = 'free' OR NOT seats >= 3"), false);
+  });
+
+  it('only compares values of the same type with < and >', () => {
+    assert.strictEqual(matches("seats > 'a'"), false);
+    assert.strictEqual(matches("seats < 'a'"), false);
+  });
+
+  it('never matches a missing field, even with !=', () => {
+    assert.strictEqual(matches("missing != 'x'"), false);
+  });
+
+  it('evaluates list operators', () => {
+    assert.strictEqual(matches("plan IN ('free', 'pro')"), true);
+    assert.strictEqual(matches("tags CONTAINS 'b'"), true);
+    assert.strictEqual(matches("tags CONTAINS ANY ('x', 'y')"), false);
+  });
+});
+
+describe('computeAggregate', () => {
+  it('ignores non-numeric values in SUM and AVG', () => {
+    assert.strictEqual(computeAggregate('SUM', [1, '2', null, 3]), 4);
+    assert.strictEqual(computeAggregate('AVG', [1, '2', null, 3]), 2);
+    assert.strictEqual(computeAggregate('AVG', ['x']), null);
+  });
+
+  it('ignores null and missing values in MIN and MAX', () => {
+    assert.strictEqual(computeAggregate('MIN', [null, 3, undefined, 2]), 2);
+    assert.strictEqual(computeAggregate('MAX', ['b', 'a']), 'b');
+    assert.strictEqual(computeAggregate('MAX', [null]), null);
+  });
+});
+
+describe('groupKey', () => {
+  it('tells values of different types apart', () => {
+    assert.notStrictEqual(groupKey([1]), groupKey(['1']));
+    assert.notStrictEqual(groupKey([null]), groupKey([undefined]));
+  });
+
+  it('groups a Date and a Timestamp of the same instant together', () => {
+    const date = new Date('2024-06-01T12:00:00Z');
+    assert.strictEqual(groupKey([date]), groupKey([admin.firestore.Timestamp.fromDate(date)]));
+  });
+});
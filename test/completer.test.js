@@ -0,0 +1,67 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { Completer } = require('../completer');
+const { FakeFirestore } = require('./fake-firestore');
+
+const db = () => new FakeFirestore({
+  'users/u1': { name: 'Ann', address: { city: 'Paris' } },
+  'users/u1/feed/f1': { seen: true },
+  'posts/p1': { title: 'Hello' }
+});
+
+/**
+ * @param {Completer} completer - Completer to ask
+ * @param {string} before - Statement text up to the cursor
+ * @param {string} [statement] - Whole statement text
+ * @returns {Promise<Array<string>>} Candidates
+ */
+async function candidates(completer, before, statement = before) {
+  const [matches] = await completer.complete(before, statement);
+  return matches;
+}
+
+describe('Completer', () => {
+  it('completes statement keywords at the start, in the case typed', async () => {
+    const completer = new Completer(db());
+
+    assert.deepStrictEqual(await candidates(completer, 'SEL'), ['SELECT']);
+    assert.deepStrictEqual(await candidates(completer, 'sel'), ['select']);
+  });
+
+  it('completes collection paths after FROM, subcollections after a document', async () => {
+    const completer = new Completer(db());
+
+    assert.deepStrictEqual(await candidates(completer, 'SELECT * FROM u'), ['users']);
+    assert.deepStrictEqual(await candidates(completer, 'SELECT * FROM users/u1/'), ['users/u1/feed']);
+    assert.deepStrictEqual(await candidates(completer, 'SELECT * FROM users/u'), []);
+    assert.deepStrictEqual(await candidates(completer, 'SELECT * FROM COLLECTION_GROUP(p'), ['posts']);
+  });
+
+  it('completes the fields of the collection in field clauses, nested ones as dotted paths', async () => {
+    const completer = new Completer(db());
+
+    assert.deepStrictEqual(await candidates(completer, 'SELECT na', 'SELECT na FROM users'), ['name']);
+    assert.deepStrictEqual(await candidates(completer, 'SELECT * FROM users WHERE add'), ['address', 'address.city']);
+    assert.deepStrictEqual(await candidates(completer, 'SELECT * FROM users ORDER BY na'), ['name']);
+  });
+
+  it('completes nothing inside a string', async () => {
+    assert.deepStrictEqual(await candidates(new Completer(db()), "SELECT * FROM users WHERE name = 'A"), []);
+  });
+
+  it('caches lookups, but tries a failed one again', async () => {
+    const database = db();
+    const completer = new Completer(database);
+    let calls = 0;
+    database.listCollections = async () => {
+      calls++;
+      if (calls === 1) throw new Error('offline');
+      return [database.collection('users')];
+    };
+
+    assert.deepStrictEqual(await candidates(completer, 'SELECT * FROM u'), []);
+    assert.deepStrictEqual(await candidates(completer, 'SELECT * FROM u'), ['users']);
+    assert.deepStrictEqual(await candidates(completer, 'SELECT * FROM u'), ['users']);
+    assert.strictEqual(calls, 2);
+  });
+});
@@ -0,0 +1,373 @@
+const { Readable } = require('stream');
+
+/**
+ * In-memory stand-in for the parts of the Firestore Admin SDK the
+ * translator reads and writes through, so statements can run without a
+ * project. Documents are plain objects keyed by path; queries understand
+ * the Filter objects the translator builds, but only order plain numbers
+ * and strings.
+ */
+class FakeFirestore {
+  /**
+   * @param {Object<string, Object>} documents - Document data by path, e.g. { 'users/u1': { name: 'Ann' } }
+   */
+  constructor(documents = {}) {
+    this.documents = new Map(Object.entries(documents));
+    this.commits = [];
+    this.reads = 0;
+    this.nextId = 1;
+  }
+
+  /**
+   * @param {string} path - Collection path
+   * @returns {FakeQuery} Collection reference
+   */
+  collection(path) {
+    return new FakeQuery(this, { collection: path });
+  }
+
+  /**
+   * @param {string} path - Document path
+   * @returns {FakeDocumentReference} Document reference
+   */
+  doc(path) {
+    return new FakeDocumentReference(this, path);
+  }
+
+  /**
+   * @returns {FakeBatch} Write batch
+   */
+  batch() {
+    return new FakeBatch(this);
+  }
+
+  async listCollections() {
+    return listCollections(this, '');
+  }
+
+  /**
+   * Read documents by reference, missing ones included with exists false
+   * @param {...*} refsAndOptions - Document references, then optionally { fieldMask }
+   * @returns {Promise<Array<FakeDocumentSnapshot>>} Snapshots, in the order asked
+   */
+  async getAll(...refsAndOptions) {
+    const last = refsAndOptions[refsAndOptions.length - 1];
+    const fieldMask = last instanceof FakeDocumentReference ? null : last.fieldMask.map(String);
+    const refs = refsAndOptions.filter(ref => ref instanceof FakeDocumentReference);
+    this.reads += refs.length;
+    return refs.map(ref => {
+      const snapshot = new FakeDocumentSnapshot(ref, this.documents.get(ref.path));
+      return fieldMask && snapshot.exists ? project(snapshot, fieldMask) : snapshot;
+    });
+  }
+
+  /**
+   * Delete a document and every document below it
+   * @param {FakeDocumentReference} ref - Document reference
+   */
+  async recursiveDelete(ref) {
+    [...this.documents.keys()]
+      .filter(path => path === ref.path || path.startsWith(`${ref.path}/`))
+      .forEach(path => this.documents.delete(path));
+  }
+
+  /**
+   * @param {string} path - Document path
+   * @returns {Object|undefined} Stored data of a document
+   */
+  data(path) {
+    return this.documents.get(path);
+  }
+}
+
+class FakeDocumentReference {
+  constructor(db, path) {
+    this.firestore = db;
+    this.path = path;
+    this.id = path.split('/').pop();
+  }
+
+  async listCollections() {
+    return listCollections(this.firestore, `${this.path}/`);
+  }
+}
+
+class FakeDocumentSnapshot {
+  constructor(ref, data) {
+    this.ref = ref;
+    this.id = ref.id;
+    this.exists = data !== undefined;
+    this._data = data;
+  }
+
+  data() {
+    return this._data;
+  }
+
+  get(field) {
+    return readField(this._data, String(field));
+  }
+}
+
+/**
+ * A query on a collection; each method returns a new, narrower query
+ */
+class FakeQuery {
+  constructor(db, options) {
+    this.db = db;
+    this.id = options.collection.split('/').pop();
+    this.path = options.collection;
+    this.options = { filters: [], orderBy: [], offset: 0, limit: null, ...options };
+  }
+
+  doc(id = `auto${this.db.nextId++}`) {
+    return new FakeDocumentReference(this.db, `${this.options.collection}/${id}`);
+  }
+
+  where(fieldOrFilter, operator, value) {
+    const filter = operator === undefined ? fieldOrFilter :
+      { _getField: () => fieldOrFilter, _getOperator: () => operator, _getValue: () => value };
+    return this.with({ filters: [...this.options.filters, filter] });
+  }
+
+  orderBy(field, direction = 'asc') {
+    return this.with({ orderBy: [...this.options.orderBy, { field: String(field), direction: direction }] });
+  }
+
+  select(...fields) {
+    return this.with({ select: fields.map(String) });
+  }
+
+  startAfter(document) {
+    return this.with({ startAfter: document.ref.path });
+  }
+
+  offset(offset) {
+    return this.with({ offset: offset });
+  }
+
+  limit(limit) {
+    return this.with({ limit: limit });
+  }
+
+  with(options) {
+    return new FakeQuery(this.db, { ...this.options, ...options });
+  }
+
+  async get() {
+    const prefix = `${this.options.collection}/`;
+    let docs = [...this.db.documents.keys()]
+      .filter(path => path.startsWith(prefix) && !path.slice(prefix.length).includes('/'))
+      .sort()
+      .map(path => new FakeDocumentSnapshot(this.db.doc(path), this.db.documents.get(path)))
+      .filter(doc => this.options.filters.every(filter => matchesFilter(doc, filter)));
+
+    this.options.orderBy.slice().reverse().forEach(order => {
+      const direction = order.direction === 'desc' ? -1 : 1;
+      docs.sort((a, b) => direction * compare(fieldValue(a, order.field), fieldValue(b, order.field)));
+    });
+
+    if (this.options.startAfter) {
+      docs = docs.slice(docs.findIndex(doc => doc.ref.path === this.options.startAfter) + 1);
+    }
+    docs = docs.slice(this.options.offset, this.options.limit === null ? undefined : this.options.offset + this.options.limit);
+    if (this.options.select) {
+      docs = docs.map(doc => project(doc, this.options.select));
+    }
+    this.db.reads += docs.length;
+    return { docs: docs, size: docs.length, empty: docs.length === 0 };
+  }
+
+  count() {
+    return this.aggregate({ count: { aggregateType: 'count' } });
+  }
+
+  aggregate(spec) {
+    return {
+      get: async () => {
+        const { docs } = await this.get();
+        const data = {};
+        Object.entries(spec).forEach(([alias, field]) => {
+          const values = docs.map(doc => doc.get(String(field._field))).filter(value => typeof value === 'number');
+          const sum = values.reduce((total, value) => total + value, 0);
+          data[alias] = { count: docs.length, sum: sum, avg: values.length > 0 ? sum / values.length : null }[field.aggregateType];
+        });
+        return { data: () => data };
+      }
+    };
+  }
+
+  stream() {
+    const query = this;
+    return Readable.from((async function* () {
+      yield* (await query.get()).docs;
+    })());
+  }
+}
+
+/**
+ * Applies its writes all at once on commit(), or none if one fails
+ */
+class FakeBatch {
+  constructor(db) {
+    this.db = db;
+    this.writes = [];
+  }
+
+  create(ref, data) {
+    this.writes.push({ type: 'create', path: ref.path, data: data });
+    return this;
+  }
+
+  update(ref, ...fieldsAndValues) {
+    const updates = [];
+    for (let i = 0; i < fieldsAndValues.length; i += 2) {
+      updates.push({ field: fieldsAndValues[i].segments || [String(fieldsAndValues[i])], value: fieldsAndValues[i + 1] });
+    }
+    this.writes.push({ type: 'update', path: ref.path, updates: updates });
+    return this;
+  }
+
+  delete(ref) {
+    this.writes.push({ type: 'delete', path: ref.path });
+    return this;
+  }
+
+  async commit() {
+    this.writes.forEach(write => {
+      if (write.type === 'create' && this.db.documents.has(write.path)) {
+        throw new Error(`6 ALREADY_EXISTS: Document already exists: ${write.path}`);
+      }
+      if (write.type === 'update' && !this.db.documents.has(write.path)) {
+        throw new Error(`5 NOT_FOUND: No document to update: ${write.path}`);
+      }
+    });
+    this.writes.forEach(write => {
+      if (write.type === 'create') {
+        this.db.documents.set(write.path, write.data);
+      } else if (write.type === 'delete') {
+        this.db.documents.delete(write.path);
+      } else {
+        const data = structuredClone(this.db.documents.get(write.path));
+        write.updates.forEach(update => applyUpdate(data, update.field, update.value));
+        this.db.documents.set(write.path, data);
+      }
+    });
+    this.db.commits.push(this.writes.length);
+  }
+}
+
+/**
+ * @param {FakeFirestore} db - Database
+ * @param {string} prefix - Path of the parent document and a slash, or '' for the root
+ * @returns {Array<FakeQuery>} Collections holding documents under the prefix
+ */
+function listCollections(db, prefix) {
+  const ids = new Set([...db.documents.keys()]
+    .filter(path => path.startsWith(prefix))
+    .map(path => path.slice(prefix.length).split('/')[0]));
+  return [...ids].sort().map(id => db.collection(`${prefix}${id}`));
+}
+
+/**
+ * Set one field of document data, applying FieldValue transforms
+ * @param {Object} data - Document data, changed in place
+ * @param {Array<string>} segments - Field path segments
+ * @param {*} value - New value or FieldValue sentinel
+ */
+function applyUpdate(data, segments, value) {
+  let target = data;
+  segments.slice(0, -1).forEach(segment => {
+    target[segment] = target[segment] || {};
+    target = target[segment];
+  });
+  const last = segments[segments.length - 1];
+
+  switch (value && value.methodName) {
+    case 'FieldValue.delete':
+      delete target[last];
+      break;
+    case 'FieldValue.increment':
+      target[last] = (typeof target[last] === 'number' ? target[last] : 0) + value.operand;
+      break;
+    case 'FieldValue.arrayUnion': {
+      const current = Array.isArray(target[last]) ? target[last] : [];
+      target[last] = [...current, ...value.elements.filter(element => !current.includes(element))];
+      break;
+    }
+    case 'FieldValue.serverTimestamp':
+      target[last] = new Date();
+      break;
+    default:
+      target[last] = value;
+  }
+}
+
+/**
+ * @param {FakeDocumentSnapshot} doc - Document
+ * @param {Object} filter - Filter.where(), Filter.and() or Filter.or() result
+ * @returns {boolean} True if the document matches
+ */
+function matchesFilter(doc, filter) {
+  if (filter._getFilters) {
+    const operands = filter._getFilters();
+    return filter._getOperator() === 'AND' ?
+      operands.every(operand => matchesFilter(doc, operand)) :
+      operands.some(operand => matchesFilter(doc, operand));
+  }
+
+  const actual = fieldValue(doc, String(filter._getField()));
+  const expected = filter._getValue();
+  if (actual === undefined) return false;
+
+  switch (filter._getOperator()) {
+    case '==': return actual === expected;
+    case '!=': return actual !== expected && actual !== null;
+    case '<': return compare(actual, expected) < 0;
+    case '<=': return compare(actual, expected) <= 0;
+    case '>': return compare(actual, expected) > 0;
+    case '>=': return compare(actual, expected) >= 0;
+    case 'in': return expected.includes(actual);
+    case 'not-in': return actual !== null && !expected.includes(actual);
+    case 'array-contains': return Array.isArray(actual) && actual.includes(expected);
+    case 'array-contains-any': return Array.isArray(actual) && actual.some(item => expected.includes(item));
+    default: throw new Error(`FakeFirestore does not support ${filter._getOperator()}`);
+  }
+}
+
+/**
+ * @param {FakeDocumentSnapshot} doc - Document
+ * @param {Array<string>} fields - Dotted field paths to keep
+ * @returns {FakeDocumentSnapshot} Document with only those fields
+ */
+function project(doc, fields) {
+  return new FakeDocumentSnapshot(doc.ref, Object.fromEntries(fields
+    .filter(field => doc.get(field) !== undefined)
+    .map(field => [field, doc.get(field)])));
+}
+
+/**
+ * @param {FakeDocumentSnapshot} doc - Document
+ * @param {string} field - Field path, or __name__ for the document ID
+ * @returns {*} Field value
+ */
+function fieldValue(doc, field) {
+  return field === '__name__' ? doc.id : doc.get(field);
+}
+
+/**
+ * @param {Object} data - Document data
+ * @param {string} field - Dotted field path
+ * @returns {*} Field value, or undefined if missing
+ */
+function readField(data, field) {
+  return field.split('.').reduce((value, segment) =>
+    (value !== null && typeof value === 'object' ? value[segment] : undefined), data);
+}
+
+function compare(a, b) {
+  if (typeof a !== typeof b) return typeof a < typeof b ? -1 : 1;
+  return a < b ? -1 : a > b ? 1 : 0;
+}
+
+module.exports = { FakeFirestore };
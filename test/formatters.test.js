@@ -0,0 +1,186 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const admin = require('firebase-admin');
+const { toPlainValue, formatValue, formatDate, formatResults, resultColumns, ResultWriter } = require('../formatters');
+
+const rows = [
+  { id: 'u1', name: 'Ann, "A"', tags: ['a'], at: new Date('2024-01-02T03:04:05Z') },
+  { id: 'u2', note: 'x|y\nz\tw' }
+];
+
+describe('toPlainValue', () => {
+  it('turns Firestore types into JSON data', () => {
+    const db = new admin.firestore.Firestore({ projectId: 'test' });
+
+    assert.deepStrictEqual(toPlainValue({
+      at: admin.firestore.Timestamp.fromDate(new Date('2024-01-02T03:04:05Z')),
+      owner: db.doc('users/u1'),
+      place: new admin.firestore.GeoPoint(48.85, 2.35),
+      avatar: Buffer.from('hi'),
+      nested: [{ ratio: Infinity }]
+    }), {
+      at: '2024-01-02T03:04:05.000Z',
+      owner: 'users/u1',
+      place: { latitude: 48.85, longitude: 2.35 },
+      avatar: 'aGk=',
+      nested: [{ ratio: 'Infinity' }]
+    });
+  });
+});
+
+describe('formatValue', () => {
+  it('writes Firestore types the way a query writes them', () => {
+    const db = new admin.firestore.Firestore({ projectId: 'test' });
+
+    assert.strictEqual(formatValue({
+      at: admin.firestore.Timestamp.fromDate(new Date('2024-01-02T03:04:05Z')),
+      owner: db.doc('users/u1'),
+      place: new admin.firestore.GeoPoint(48.85, 2.35),
+      avatar: Buffer.from('hi')
+    }), "{\"at\":TIMESTAMP '2024-01-02T03:04:05.000Z',\"owner\":REF('users/u1'),\"place\":GEOPOINT(48.85, 2.35),\"avatar\":BYTES(x'6869')}");
+  });
+
+  it('cuts long byte strings', () => {
+    assert.match(formatValue(Buffer.alloc(100)), /^BYTES\(x'(00)+…', 100 bytes\)$/);
+  });
+});
+
+describe('formatDate', () => {
+  it('fills in the tokens in the given time zone and copies bracketed text', () => {
+    const date = new Date('2024-01-02T15:04:05.007Z');
+
+    assert.strictEqual(formatDate(date, 'MM/DD/YY hh:mm:ss.SSS A Z [at] YYYY', 'Europe/Paris'), '01/02/24 04:04:05.007 PM +01:00 at 2024');
+    assert.strictEqual(formatDate(date, 'YYYY-MM-DD HH:mm Z', 'America/New_York'), '2024-01-02 10:04 -05:00');
+  });
+});
+
+describe('formatResults', () => {
+  it('takes the columns of every row, in order of first appearance', () => {
+    assert.deepStrictEqual(resultColumns(rows), ['id', 'name', 'tags', 'at', 'note']);
+  });
+
+  it('writes JSON and NDJSON with plain values and missing fields left out', () => {
+    assert.deepStrictEqual(JSON.parse(formatResults(rows, 'json')), [
+      { id: 'u1', name: 'Ann, "A"', tags: ['a'], at: '2024-01-02T03:04:05.000Z' },
+      { id: 'u2', note: 'x|y\nz\tw' }
+    ]);
+    assert.strictEqual(formatResults(rows, 'ndjson'), [
+      '{"id":"u1","name":"Ann, \\"A\\"","tags":["a"],"at":"2024-01-02T03:04:05.000Z"}',
+      '{"id":"u2","note":"x|y\\nz\\tw"}'
+    ].join('\n'));
+  });
+
+  it('quotes CSV cells and escapes TSV cells', () => {
+    assert.strictEqual(formatResults(rows, 'csv'), [
+      'id,name,tags,at,note',
+      'u1,"Ann, ""A""","[""a""]",2024-01-02T03:04:05.000Z,',
+      'u2,,,,"x|y\nz\tw"'
+    ].join('\n'));
+    assert.strictEqual(formatResults(rows, 'tsv'), [
+      'id\tname\ttags\tat\tnote',
+      'u1\tAnn, "A"\t["a"]\t2024-01-02T03:04:05.000Z\t',
+      'u2\t\t\t\tx|y\\nz\\tw'
+    ].join('\n'));
+  });
+
+  it('escapes pipes and line breaks in Markdown', () => {
+    assert.strictEqual(formatResults([rows[1]], 'markdown'), [
+      '| id | note |',
+      '| --- | --- |',
+      '| u2 | x\\|y<br>z\tw |'
+    ].join('\n'));
+  });
+
+  it('prints each row under a banner in the vertical format', () => {
+    assert.strictEqual(formatResults([rows[1]], 'vertical'), [
+      '*************************** 1. row ***************************',
+      '  id: u2',
+      'note: x|y',
+      '      z\tw'
+    ].join('\n'));
+  });
+
+  it('writes Firestore types as plain data in the data formats, and as literals in the others', () => {
+    const db = new admin.firestore.Firestore({ projectId: 'test' });
+    const row = {
+      at: admin.firestore.Timestamp.fromDate(new Date('2024-01-02T03:04:05Z')),
+      owner: db.doc('users/u1'),
+      place: new admin.firestore.GeoPoint(48.85, 2.35),
+      avatar: Buffer.from('hi')
+    };
+    const plain = ['2024-01-02T03:04:05.000Z', 'users/u1', '{"latitude":48.85,"longitude":2.35}', 'aGk='];
+    const literals = ['2024-01-02T03:04:05.000Z', "REF('users/u1')", 'GEOPOINT(48.85, 2.35)', "BYTES(x'6869')"];
+
+    assert.strictEqual(formatResults([row], 'tsv').split('\n')[1], plain.join('\t'));
+    assert.strictEqual(formatResults([row], 'csv').split('\n')[1], plain.map((cell, i) => i === 2 ? `"${cell.replace(/"/g, '""')}"` : cell).join(','));
+    assert.deepStrictEqual(Object.values(JSON.parse(formatResults([row], 'ndjson'))).map(value => typeof value === 'string' ? value : JSON.stringify(value)), plain);
+    assert.strictEqual(formatResults([row], 'markdown').split('\n')[2], `| ${literals.join(' | ')} |`);
+    assert.deepStrictEqual(formatResults([row], 'vertical').split('\n').slice(1).map(line => line.split(': ')[1]), literals);
+  });
+
+  it('fits the table to the terminal width', () => {
+    const table = formatResults([{ id: 'u1', bio: 'x'.repeat(100) }], 'table', { width: 40 });
+
+    table.split('\n').forEach(line => assert.ok(line.length <= 40, line));
+    assert.match(table, /x…/);
+  });
+
+  it('renders nothing for no rows, and rejects unknown formats', () => {
+    assert.strictEqual(formatResults([], 'csv'), '');
+    assert.throws(() => formatResults(rows, 'xml'), /Unknown format "xml"/);
+  });
+});
+
+describe('ResultWriter', () => {
+  it('writes JSON and NDJSON rows as they come', () => {
+    const pieces = [];
+    const writer = new ResultWriter('json', piece => pieces.push(piece));
+
+    writer.write({ id: 'u1' });
+    assert.deepStrictEqual(pieces, ['[\n  {\n    "id": "u1"\n  }']);
+    writer.write({ id: 'u2' });
+    writer.end();
+    assert.deepStrictEqual(JSON.parse(pieces.join('')), [{ id: 'u1' }, { id: 'u2' }]);
+
+    const lines = [];
+    const ndjson = new ResultWriter('ndjson', piece => lines.push(piece));
+    ndjson.write({ id: 'u1' });
+    assert.deepStrictEqual(lines, ['{"id":"u1"}\n']);
+  });
+
+  it('holds CSV rows until the end without columns, so a late field still gets a column', () => {
+    let text = '';
+    const writer = new ResultWriter('csv', piece => { text += piece; });
+    for (let i = 0; i < 1500; i++) {
+      writer.write(i === 1499 ? { id: i, late: 'x' } : { id: i });
+    }
+
+    assert.strictEqual(text, '');
+    writer.end();
+    const lines = text.trim().split('\n');
+    assert.strictEqual(lines[0], 'id,late');
+    assert.strictEqual(lines[1], '0,');
+    assert.strictEqual(lines[1500], '1499,x');
+  });
+
+  it('streams CSV in blocks when given the columns, leaving missing fields empty', () => {
+    const pieces = [];
+    const writer = new ResultWriter('csv', piece => pieces.push(piece), { columns: ['id', 'name'] });
+    for (let i = 0; i < 1000; i++) {
+      writer.write({ id: i });
+    }
+
+    assert.strictEqual(pieces.length, 2);
+    assert.strictEqual(pieces[0], 'id,name\n');
+    assert.match(pieces[1], /^0,\n1,\n/);
+    writer.write({ id: 1000, name: 'Ann' });
+    writer.end();
+    assert.strictEqual(pieces[2], '1000,Ann\n');
+  });
+
+  it('closes an empty JSON array', () => {
+    let text = '';
+    new ResultWriter('json', piece => { text += piece; }).end();
+    assert.strictEqual(text, '[]\n');
+  });
+});
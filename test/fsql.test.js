@@ -0,0 +1,40 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { spawnSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const FSQL = path.join(__dirname, '..', 'bin', 'fsql');
+
+describe('bin/fsql', () => {
+  it('lists the options when the project ID is missing', () => {
+    const result = spawnSync(FSQL, [], { encoding: 'utf8' });
+
+    assert.strictEqual(result.status, 1);
+    assert.match(result.stdout, /Usage: fsql <project-id> \[options\]/);
+    assert.match(result.stdout, /-f, --file <path>/);
+  });
+
+  it('passes every argument on, reading relative paths from the current directory', () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'fsql-'));
+    fs.writeFileSync(path.join(directory, 'bad.sql'), 'SELEC oops;');
+
+    try {
+      const result = spawnSync(FSQL, ['my-project', '--continue', '-f', 'bad.sql'], { cwd: directory, encoding: 'utf8' });
+
+      assert.strictEqual(result.status, 2);
+      assert.match(result.stderr, /in the statement on line 1 of bad\.sql/);
+    } finally {
+      fs.rmSync(directory, { recursive: true });
+    }
+  });
+
+  it('exits with 2 for a statement over Firestore\'s query limits, before anything runs', () => {
+    const values = Array.from({ length: 31 }, (_, i) => i).join(', ');
+    const result = spawnSync(FSQL, ['my-project', '-e', `SELECT * FROM users WHERE a IN (${values})`], { encoding: 'utf8' });
+
+    assert.strictEqual(result.status, 2);
+    assert.match(result.stderr, /IN on "a" has 31 values; Firestore allows at most 30/);
+  });
+});
@@ -0,0 +1,108 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { FunctionRegistry, expressionFields } = require('../functions');
+const { SQLTranslator } = require('../sql-translator');
+const { parse } = require('../sql-parser');
+const { FakeFirestore } = require('./fake-firestore');
+
+/**
+ * @param {string} text - Select item, e.g. "UPPER(name)"
+ * @returns {Object} Its expression tree
+ */
+function expression(text) {
+  return parse(`SELECT ${text} FROM users`).select[0].expression;
+}
+
+describe('FunctionRegistry', () => {
+  it('checks the name, definition and argument count of a function', () => {
+    const functions = new FunctionRegistry();
+
+    assert.throws(() => functions.register('bad name', () => 1), /Invalid function name "bad name"/);
+    assert.throws(() => functions.register('COUNT', () => 1), /COUNT\(\) is a built-in SQL function and can't be redefined/);
+    assert.throws(() => functions.register('X', {}), /Function X\(\) must be a function or an object with an apply function/);
+    assert.throws(() => functions.register('Y', { args: [2, 1], apply: () => 1 }), /Function Y\(\) has an invalid args setting/);
+    assert.throws(() => functions.register('Z', { validate: true, apply: () => 1 }), /Function Z\(\) has an invalid validate setting/);
+  });
+
+  it('rejects unknown functions and wrong argument counts', () => {
+    const functions = new FunctionRegistry();
+
+    assert.throws(() => functions.validate(expression('NOPE(name)')), /Unknown function NOPE\(\); the available functions are UPPER, /);
+    assert.throws(() => functions.validate(expression('UPPER(name, 1)')), /UPPER\(\) takes 1 argument\(s\), not 2/);
+    assert.throws(() => functions.validate(expression('SUBSTR(name)')), /SUBSTR\(\) takes 2 to 3 argument\(s\), not 1/);
+  });
+
+  it('checks a literal JSON_EXTRACT path before anything runs', () => {
+    const functions = new FunctionRegistry();
+
+    assert.throws(() => functions.validate(expression("JSON_EXTRACT(meta, 'x.y')")), /Invalid JSON path "x.y"; paths start with \$/);
+    assert.throws(() => functions.validate(expression("UPPER(JSON_EXTRACT(meta, '$.x[a]'))")), /Invalid JSON path "\$.x\[a\]" at "\[a\]"/);
+    assert.throws(() => functions.validate(expression('JSON_EXTRACT(meta, 3)')), /Invalid JSON path 3/);
+    functions.validate(expression("JSON_EXTRACT(meta, '$.x[1].\"a b\"')"));
+    functions.validate(expression('JSON_EXTRACT(meta, path)'));
+  });
+
+  it('looks functions up in any case, and lets a registered function replace another', () => {
+    const functions = new FunctionRegistry();
+    functions.register('shout', value => `${value}!`);
+    functions.register('SHOUT', value => `${value}!!`);
+
+    assert.strictEqual(functions.get('Shout').apply('hi'), 'hi!!');
+  });
+
+  it('leaves the result missing when an argument is, except for COALESCE', () => {
+    const functions = new FunctionRegistry();
+    const values = { name: 'Ann', price: 10, qty: 0 };
+    const evaluate = text => functions.evaluate(expression(text), field => values[field.field], { document: null, settings: {} });
+
+    assert.strictEqual(evaluate('UPPER(nickname)'), undefined);
+    assert.strictEqual(evaluate('COALESCE(nickname, name)'), 'Ann');
+    assert.strictEqual(evaluate('price * 2 + 1'), 21);
+    assert.strictEqual(evaluate('price / qty'), null);
+    assert.strictEqual(evaluate('-name'), null);
+  });
+
+  it('lists the fields an expression reads', () => {
+    assert.deepStrictEqual(expressionFields(expression('COALESCE(a, b * c)')).map(field => field.field), ['a', 'b', 'c']);
+  });
+});
+
+describe('computed columns', () => {
+  const db = () => new FakeFirestore({
+    'users/u1': { name: 'Ann', price: 10, qty: 3, address: { city: 'Paris' }, tags: ['a', 'b'], meta: '{"x":[1,2]}' },
+    'users/u2': { name: 'bob', price: 4, qty: 0 }
+  });
+
+  it('names columns after their text unless they have an alias', async () => {
+    assert.deepStrictEqual(await new SQLTranslator(db()).query('SELECT UPPER(name) AS shout, price * qty AS total, price / qty, name AS who FROM users'), [
+      { shout: 'ANN', total: 30, 'price / qty': 10 / 3, who: 'Ann' },
+      { shout: 'BOB', total: 0, 'price / qty': null, who: 'bob' }
+    ]);
+  });
+
+  it('reads maps, arrays and JSON text with JSON_EXTRACT and the array functions', async () => {
+    const rows = await new SQLTranslator(db()).query(
+      "SELECT JSON_EXTRACT(address, '$.city') AS city, JSON_EXTRACT(meta, '$.x[1]') AS x, ARRAY_LENGTH(tags) AS n, SUBSTR(name, -2) AS end FROM users");
+
+    assert.deepStrictEqual(rows, [
+      { city: 'Paris', x: 2, n: 2, end: 'nn' },
+      { city: null, x: null, n: null, end: 'ob' }
+    ]);
+  });
+
+  it('refuses a statement with a bad JSON path without reading documents', async () => {
+    const database = db();
+
+    await assert.rejects(new SQLTranslator(database).query("SELECT name FROM users WHERE JSON_EXTRACT(address, 'city') = 'Paris'"), /Invalid JSON path "city"/);
+    assert.strictEqual(database.reads, 0);
+  });
+
+  it('runs registered functions in select items and conditions', async () => {
+    const translator = new SQLTranslator(db());
+    translator.functions.register('DOUBLE', { args: 1, apply: value => typeof value === 'number' ? value * 2 : null });
+
+    assert.deepStrictEqual(await translator.query('SELECT DOUBLE(price), DOC_PATH() AS path FROM users WHERE DOUBLE(price) > 10'), [
+      { 'DOUBLE(price)': 20, path: 'users/u1' }
+    ]);
+  });
+});
@@ -0,0 +1,95 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { indexesForQuery, mergeIndexFiles, isMissingIndexError } = require('../indexes');
+
+const condition = (field, operator, value) => ({ type: 'condition', field: field, operator: operator, value: value });
+
+describe('indexesForQuery', () => {
+  it('orders equalities, then sort keys, then inequalities', () => {
+    const result = indexesForQuery({
+      collectionId: 'users',
+      collectionGroup: false,
+      conjunction: [condition('age', '>', 30), condition('plan', '=', 'pro')],
+      orderBy: [{ field: 'name', direction: 'DESC' }]
+    });
+
+    assert.deepStrictEqual(result, {
+      indexes: [{
+        collectionGroup: 'users',
+        queryScope: 'COLLECTION',
+        fields: [
+          { fieldPath: 'plan', order: 'ASCENDING' },
+          { fieldPath: 'name', order: 'DESCENDING' },
+          { fieldPath: 'age', order: 'DESCENDING' }
+        ]
+      }],
+      fieldOverrides: []
+    });
+  });
+
+  it('needs no composite index for equalities only, or a sort on an equality field', () => {
+    const empty = { indexes: [], fieldOverrides: [] };
+    assert.deepStrictEqual(indexesForQuery({
+      collectionId: 'users',
+      collectionGroup: false,
+      conjunction: [condition('plan', '=', 'pro'), condition('role', 'IN', ['admin'])]
+    }), empty);
+    assert.deepStrictEqual(indexesForQuery({
+      collectionId: 'users',
+      collectionGroup: false,
+      conjunction: [condition('plan', '=', 'pro')],
+      orderBy: [{ field: 'plan', direction: 'ASC' }]
+    }), empty);
+  });
+
+  it('drops a trailing document ID', () => {
+    assert.deepStrictEqual(indexesForQuery({
+      collectionId: 'users',
+      collectionGroup: false,
+      conjunction: [condition('plan', '=', 'pro')],
+      orderBy: [{ field: '__name__', direction: 'ASC' }]
+    }).indexes, []);
+  });
+
+  it('declares single-field collection group indexes as field overrides', () => {
+    const result = indexesForQuery({
+      collectionId: 'comments',
+      collectionGroup: true,
+      conjunction: [condition('tags', 'CONTAINS', 'sql')]
+    });
+
+    assert.deepStrictEqual(result.indexes, []);
+    assert.deepStrictEqual(result.fieldOverrides, [{
+      collectionGroup: 'comments',
+      fieldPath: 'tags',
+      indexes: [
+        { order: 'ASCENDING', queryScope: 'COLLECTION' },
+        { order: 'DESCENDING', queryScope: 'COLLECTION' },
+        { arrayConfig: 'CONTAINS', queryScope: 'COLLECTION' },
+        { arrayConfig: 'CONTAINS', queryScope: 'COLLECTION_GROUP' }
+      ]
+    }]);
+  });
+});
+
+describe('mergeIndexFiles', () => {
+  it('drops duplicate indexes and combines the overrides of a field', () => {
+    const index = { collectionGroup: 'users', queryScope: 'COLLECTION', fields: [{ fieldPath: 'a', order: 'ASCENDING' }] };
+    const override = indexes => ({ collectionGroup: 'comments', fieldPath: 'tags', indexes: indexes });
+    const contains = { arrayConfig: 'CONTAINS', queryScope: 'COLLECTION_GROUP' };
+    const ascending = { order: 'ASCENDING', queryScope: 'COLLECTION_GROUP' };
+
+    assert.deepStrictEqual(mergeIndexFiles([
+      { indexes: [index], fieldOverrides: [override([contains])] },
+      { indexes: [index], fieldOverrides: [override([contains, ascending])] }
+    ]), { indexes: [index], fieldOverrides: [override([contains, ascending])] });
+  });
+});
+
+describe('isMissingIndexError', () => {
+  it('recognizes FAILED_PRECONDITION errors about indexes', () => {
+    assert.strictEqual(isMissingIndexError(Object.assign(new Error('9 FAILED_PRECONDITION: The query requires an index.'), { code: 9 })), true);
+    assert.strictEqual(isMissingIndexError(Object.assign(new Error('9 FAILED_PRECONDITION: transaction expired'), { code: 9 })), false);
+    assert.strictEqual(isMissingIndexError(new Error('The query requires an index.')), false);
+  });
+});
@@ -0,0 +1,39 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const lib = require('../lib');
+const { FakeFirestore } = require('./fake-firestore');
+
+const db = () => new FakeFirestore({
+  'users/u1': { email: 'ann@example.com', plan: 'pro', seats: 3 },
+  'users/u2': { email: 'bob@example.com', plan: 'free', seats: 1 }
+});
+
+describe('library entry point', () => {
+  it('runs queries with bound placeholder values', async () => {
+    const translator = new lib.SQLTranslator(db());
+
+    assert.deepStrictEqual(await translator.query('SELECT email FROM users WHERE plan = :plan AND seats > :min', { plan: 'pro', min: 2 }),
+      [{ email: 'ann@example.com' }]);
+    assert.deepStrictEqual(await translator.query('SELECT email FROM users WHERE plan IN ? ORDER BY email DESC LIMIT ?', [['pro', 'free'], 1]),
+      [{ email: 'bob@example.com' }]);
+  });
+
+  it('runs the statements QueryBuilder writes', async () => {
+    const { sql, params } = new lib.QueryBuilder('users').select('email').where('seats', '<', 2).build();
+
+    assert.deepStrictEqual(await new lib.SQLTranslator(db()).query(sql, params), [{ email: 'bob@example.com' }]);
+  });
+
+  it('points out options passed where the placeholder values go', async () => {
+    await assert.rejects(new lib.SQLTranslator(db()).query('SELECT * FROM users', { includeId: true }), {
+      name: 'TypeError',
+      message: 'query() takes its options as the third argument, after the placeholder values: query(sql, null, { includeId })'
+    });
+  });
+
+  it('exports the parser and formatters', () => {
+    assert.strictEqual(lib.parse('SELECT * FROM users').from, 'users');
+    assert.strictEqual(lib.formatResults([{ id: 'u1' }], 'csv'), 'id\nu1');
+    assert.throws(() => lib.parse('SELECT FROM users'), lib.SQLSyntaxError);
+  });
+});
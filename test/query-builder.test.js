@@ -0,0 +1,40 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { QueryBuilder } = require('../query-builder');
+const { parse } = require('../sql-parser');
+
+describe('QueryBuilder', () => {
+  it('writes a SELECT with quoted names and ? placeholders for the values', () => {
+    const { sql, params } = new QueryBuilder('users')
+      .select('id', 'email', 'address.city')
+      .where('plan', '=', 'pro')
+      .where('tags', 'contains any', ['a', 'b'])
+      .orderBy('createdAt', 'desc')
+      .limit(10)
+      .offset(20)
+      .build();
+
+    assert.strictEqual(sql, "SELECT id, `email`, `address`.`city` FROM 'users' WHERE `plan` = ? AND `tags` CONTAINS ANY ? " +
+      'ORDER BY `createdAt` DESC LIMIT ? OFFSET ?');
+    assert.deepStrictEqual(params, ['pro', ['a', 'b'], 10, 20]);
+  });
+
+  it('keeps values and names out of the SQL text', () => {
+    const { sql, params } = new QueryBuilder("it's", { collectionGroup: true })
+      .where('select', '=', "x' OR 1=1 --")
+      .build();
+    const parsed = parse(sql, { params: params });
+
+    assert.strictEqual(parsed.from, "it's");
+    assert.strictEqual(parsed.collectionGroup, true);
+    assert.deepStrictEqual(parsed.where, { type: 'condition', field: 'select', operator: '=', value: "x' OR 1=1 --" });
+  });
+
+  it('selects every field without select(), and rejects bad arguments', () => {
+    assert.strictEqual(new QueryBuilder('users').build().sql, "SELECT * FROM 'users'");
+    assert.throws(() => new QueryBuilder(''), /QueryBuilder needs a collection path/);
+    assert.throws(() => new QueryBuilder('users').where('a', '==', 1), /Unknown operator "=="/);
+    assert.throws(() => new QueryBuilder('users').orderBy('a', 'up'), /Sort direction must be ASC or DESC, not "up"/);
+    assert.throws(() => new QueryBuilder('users').select(''), /Expected a field path, got ""/);
+  });
+});
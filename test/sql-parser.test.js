@@ -0,0 +1,223 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { parse, splitFieldPath, splitStatements, SQLSyntaxError, TypedLiteral } = require('../sql-parser');
+
+describe('parse', () => {
+  it('parses a SELECT into its syntax tree', () => {
+    const parsed = parse("SELECT name, age FROM users WHERE age >= 18 AND NOT plan = 'free' ORDER BY age DESC LIMIT 5");
+
+    assert.strictEqual(parsed.type, 'select');
+    assert.strictEqual(parsed.from, 'users');
+    assert.strictEqual(parsed.collectionGroup, false);
+    assert.deepStrictEqual(parsed.select, [
+      { type: 'field', field: 'name', alias: null },
+      { type: 'field', field: 'age', alias: null }
+    ]);
+    assert.deepStrictEqual(parsed.where, {
+      type: 'logical',
+      operator: 'AND',
+      left: { type: 'condition', field: 'age', operator: '>=', value: 18 },
+      right: { type: 'not', operand: { type: 'condition', field: 'plan', operator: '=', value: 'free' } }
+    });
+    assert.deepStrictEqual(parsed.orderBy, [{ field: 'age', direction: 'DESC' }]);
+    assert.strictEqual(parsed.limit, 5);
+    assert.strictEqual(parsed.offset, null);
+  });
+
+  it('parses several ORDER BY keys, OFFSET and cursors', () => {
+    const parsed = parse("SELECT * FROM users ORDER BY age DESC, name START AFTER (30, 'x') LIMIT 10 OFFSET 20");
+
+    assert.deepStrictEqual(parsed.orderBy, [
+      { field: 'age', direction: 'DESC' },
+      { field: 'name', direction: 'ASC' }
+    ]);
+    assert.deepStrictEqual(parsed.start, { operator: 'AFTER', values: [30, 'x'] });
+    assert.strictEqual(parsed.end, null);
+    assert.strictEqual(parsed.offset, 20);
+  });
+
+  it('rejects a cursor with more values than ORDER BY keys', () => {
+    assert.throws(() => parse("SELECT * FROM users ORDER BY age START AFTER (30, 'x')"),
+      /START AFTER takes at most 1 value\(s\), one per ORDER BY field/);
+  });
+
+  it('gives AND precedence over OR', () => {
+    const { where } = parse('SELECT * FROM users WHERE a = 1 OR b = 2 AND c = NULL');
+
+    assert.strictEqual(where.operator, 'OR');
+    assert.deepStrictEqual(where.right, {
+      type: 'logical',
+      operator: 'AND',
+      left: { type: 'condition', field: 'b', operator: '=', value: 2 },
+      right: { type: 'condition', field: 'c', operator: '=', value: null }
+    });
+  });
+
+  it('parses aggregations and their aliases', () => {
+    assert.deepStrictEqual(parse('SELECT COUNT(*) AS n, SUM(price), AVG(`unit price`) FROM orders').select, [
+      { type: 'aggregation', function: 'COUNT', field: '*', alias: 'n' },
+      { type: 'aggregation', function: 'SUM', field: 'price', alias: null },
+      { type: 'aggregation', function: 'AVG', field: '`unit price`', alias: null }
+    ]);
+  });
+
+  it('parses IN, NOT IN, CONTAINS and CONTAINS ANY', () => {
+    const { where } = parse("SELECT * FROM users WHERE a NOT IN (1, 'x') OR tags CONTAINS 'a' OR tags CONTAINS ANY ('b')");
+
+    assert.deepStrictEqual(where.left.left, { type: 'condition', field: 'a', operator: 'NOT IN', value: [1, 'x'] });
+    assert.deepStrictEqual(where.left.right, { type: 'condition', field: 'tags', operator: 'CONTAINS', value: 'a' });
+    assert.deepStrictEqual(where.right, { type: 'condition', field: 'tags', operator: 'CONTAINS ANY', value: ['b'] });
+  });
+
+  it('parses DISTINCT, GROUP BY and HAVING on aggregates', () => {
+    const parsed = parse('SELECT DISTINCT plan, COUNT(*) FROM users GROUP BY plan HAVING COUNT(*) > 1');
+
+    assert.strictEqual(parsed.distinct, true);
+    assert.deepStrictEqual(parsed.groupBy, ['plan']);
+    assert.deepStrictEqual(parsed.having, {
+      type: 'condition',
+      field: 'COUNT(*)',
+      aggregate: { function: 'COUNT', field: '*' },
+      operator: '>',
+      value: 1
+    });
+  });
+
+  it('parses collection groups and subcollection paths', () => {
+    const group = parse('SELECT * FROM COLLECTION_GROUP(comments)');
+    assert.strictEqual(group.from, 'comments');
+    assert.strictEqual(group.collectionGroup, true);
+
+    const path = parse('SELECT * FROM users/u1/posts');
+    assert.strictEqual(path.from, 'users/u1/posts');
+    assert.strictEqual(path.collectionGroup, false);
+  });
+
+  it('reads a bare id as the document ID and a quoted `id` as a field', () => {
+    assert.strictEqual(parse("SELECT * FROM users WHERE id = 'u1'").where.field, '__name__');
+    assert.strictEqual(parse("SELECT * FROM users WHERE `id` = 'u1'").where.field, 'id');
+  });
+
+  it('keeps nested and backtick-quoted field paths', () => {
+    const parsed = parse('SELECT address.city, `first name` FROM users WHERE profile.`last-login` > 3');
+
+    assert.deepStrictEqual(parsed.select.map(item => item.field), ['address.city', '`first name`']);
+    assert.strictEqual(parsed.where.field, 'profile.`last-login`');
+  });
+
+  it('parses JOIN with aliases and an ON equality', () => {
+    const parsed = parse('SELECT v.title FROM videos AS v LEFT OUTER JOIN users u ON v.userId = u.id');
+
+    assert.strictEqual(parsed.alias, 'v');
+    assert.deepStrictEqual(parsed.joins, [
+      { type: 'left', from: 'users', collectionGroup: false, alias: 'u', on: { left: 'v.userId', right: 'u.id' } }
+    ]);
+    assert.throws(() => parse('SELECT * FROM videos v JOIN users u ON v.a > u.id'),
+      /JOIN \.\.\. ON only supports an equality between two fields, found ">"/);
+  });
+
+  it('reports the line and column of a syntax error', () => {
+    assert.throws(() => parse('SELECT *\nFROM users\nWHERE age >>= 3'), error => {
+      assert.ok(error instanceof SQLSyntaxError);
+      assert.strictEqual(error.line, 3);
+      assert.strictEqual(error.column, 12);
+      assert.match(error.message, /\(line 3, column 12\)$/);
+      return true;
+    });
+    assert.throws(() => parse("SELECT * FROM users WHERE name = 'abc"), /Unterminated string literal \(line 1, column 34\)/);
+  });
+});
+
+describe('placeholders', () => {
+  it('binds ? and :name values with their types', () => {
+    const positional = parse('SELECT * FROM users WHERE a = ? AND b IN ? LIMIT ?', { params: ['1', [1, 2], 10] });
+    assert.deepStrictEqual(positional.where.left.value, '1');
+    assert.deepStrictEqual(positional.where.right.value, [1, 2]);
+    assert.strictEqual(positional.limit, 10);
+
+    const named = parse('SELECT * FROM users WHERE a = :x OR b = :x', { params: { x: "x' OR 1=1 --" } });
+    assert.strictEqual(named.where.left.value, "x' OR 1=1 --");
+    assert.strictEqual(named.where.right.value, "x' OR 1=1 --");
+  });
+
+  it('leaves a ? inside a string alone', () => {
+    assert.strictEqual(parse("SELECT * FROM users WHERE a = '?'", { params: [] }).where.value, '?');
+  });
+
+  it('rejects a missing value', () => {
+    assert.throws(() => parse('SELECT * FROM users WHERE a = ?', { params: [] }),
+      { name: 'SQLSyntaxError', message: /No value for \? placeholder number 1/ });
+    assert.throws(() => parse('SELECT * FROM users WHERE a = :x', { params: {} }),
+      { name: 'SQLSyntaxError', message: /No value for the placeholder :x/ });
+  });
+
+  it('rejects unused values', () => {
+    assert.throws(() => parse('SELECT * FROM users WHERE a = ?', { params: [1, 2] }),
+      { name: 'SQLSyntaxError', message: /2 parameter values were given for 1 \? placeholder/ });
+    assert.throws(() => parse('SELECT * FROM users WHERE a = :x', { params: { x: 1, y: 2 } }),
+      { name: 'SQLSyntaxError', message: /No :name placeholder uses the parameter\(s\) y/ });
+    assert.throws(() => parse('SELECT * FROM users', { params: { includeId: true } }),
+      { name: 'SQLSyntaxError', message: /includeId/ });
+  });
+
+  it('rejects mixed placeholder kinds and invalid LIMIT values', () => {
+    assert.throws(() => parse('SELECT * FROM users WHERE a = ? AND b = :x', { params: [1] }),
+      { name: 'SQLSyntaxError', message: /must be an object/ });
+    assert.throws(() => parse('SELECT * FROM users LIMIT ?', { params: [-1] }),
+      { name: 'SQLSyntaxError', message: /LIMIT must be a positive integer/ });
+  });
+});
+
+describe('splitFieldPath', () => {
+  it('splits on dots outside backticks', () => {
+    assert.deepStrictEqual(splitFieldPath('profile.`last-login`.at'), ['profile', 'last-login', 'at']);
+    assert.deepStrictEqual(splitFieldPath('`a.b`'), ['a.b']);
+  });
+});
+
+describe('splitStatements', () => {
+  it('splits on semicolons outside strings and comments, keeping the line of each statement', () => {
+    assert.deepStrictEqual(splitStatements("SELECT 'a;b' FROM x; -- c;\n\nSELECT * FROM y\n;  "), [
+      { text: "SELECT 'a;b' FROM x", line: 1 },
+      { text: 'SELECT * FROM y', line: 3 }
+    ]);
+  });
+
+  it('keeps a last statement without a semicolon', () => {
+    assert.deepStrictEqual(splitStatements('SELECT * FROM x;\nSELECT * FROM y'), [
+      { text: 'SELECT * FROM x', line: 1 },
+      { text: 'SELECT * FROM y', line: 2 }
+    ]);
+  });
+});
+
+describe('literals', () => {
+  const value = (literal, options) => parse(`SELECT * FROM users WHERE a = ${literal}`, options).where.value;
+
+  it('keeps quoted strings as strings unless guessTypes is set', () => {
+    assert.strictEqual(value("'75001'"), '75001');
+    assert.strictEqual(value("'75001'", { guessTypes: true }), 75001);
+    assert.deepStrictEqual(value("'2024-01-02'", { guessTypes: true }), new Date('2024-01-02T00:00:00Z'));
+  });
+
+  it('reads TIMESTAMP and DATE literals, in a time zone if given', () => {
+    assert.deepStrictEqual(value("TIMESTAMP '2024-01-02T03:04:05Z'"), new Date('2024-01-02T03:04:05Z'));
+    assert.deepStrictEqual(value("DATE '2024-01-02' AT TIME ZONE 'Europe/Paris'"), new Date('2024-01-01T23:00:00Z'));
+    assert.throws(() => value("DATE '2024-13-02'"), /Invalid DATE '2024-13-02'; expected 'YYYY-MM-DD'/);
+  });
+
+  it('reads REF, GEOPOINT and BYTES literals, checking their arguments', () => {
+    assert.deepStrictEqual(value("REF('users/u1')"), new TypedLiteral('reference', 'users/u1'));
+    assert.deepStrictEqual(value('GEOPOINT(48.85, -2.35)'), new TypedLiteral('geopoint', { latitude: 48.85, longitude: -2.35 }));
+    assert.deepStrictEqual(value("BYTES(x'6869')"), Buffer.from('hi'));
+    assert.throws(() => value("REF('users')"), /REF takes a document path \(collection\/document\), not 'users'/);
+    assert.throws(() => value('GEOPOINT(100, 0)'), /GEOPOINT latitude must be a number between -90 and 90/);
+    assert.throws(() => value("BYTES(x'6')"), /Invalid hex bytes x'6'; expected pairs of hex digits/);
+  });
+
+  it('subtracts an INTERVAL from NOW()', () => {
+    const expected = Date.now() - 7 * 24 * 60 * 60 * 1000;
+    const actual = value("NOW() - INTERVAL '7 days'").getTime();
+    assert.ok(Math.abs(actual - expected) < 60 * 1000, `${actual} should be about ${expected}`);
+  });
+});
@@ -0,0 +1,455 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { SQLTranslator, QueryCancelledError } = require('../sql-translator');
+const { parse } = require('../sql-parser');
+const { FakeFirestore } = require('./fake-firestore');
+
+// These methods only rewrite conditions, so no database is needed
+const translator = new SQLTranslator(null);
+
+/**
+ * @param {string} where - WHERE clause
+ * @returns {Object} Its conditions, with NOT pushed down
+ */
+function conditions(where) {
+  return translator.normalizeConditions(parse(`SELECT * FROM users WHERE ${where}`).where);
+}
+
+/**
+ * @param {Array<Array<Object>>} disjuncts - OR of AND-ed conditions
+ * @returns {Array<Array<string>>} The same, as "field operator value" text
+ */
+function formatDisjuncts(disjuncts) {
+  return disjuncts.map(conjunction =>
+    conjunction.map(condition => `${condition.field} ${condition.operator} ${JSON.stringify(condition.value)}`));
+}
+
+/**
+ * @param {number} length - Number of values
+ * @returns {string} A list of that many numbers, for IN (...)
+ */
+function list(length) {
+  return Array.from({ length: length }, (_, i) => i).join(', ');
+}
+
+/**
+ * @param {string} path - Document path
+ * @param {Object} data - Document fields
+ * @returns {Object} Stand-in for a document snapshot
+ */
+function snapshot(path, data) {
+  return { ref: { path: path }, get: field => data[String(field)] };
+}
+
+describe('toDisjunctiveNormalForm', () => {
+  it('distributes AND over OR', () => {
+    assert.deepStrictEqual(formatDisjuncts(translator.toDisjunctiveNormalForm(conditions('a = 1 AND (b = 2 OR c = 3)'))), [
+      ['a = 1', 'b = 2'],
+      ['a = 1', 'c = 3']
+    ]);
+  });
+
+  it('negates through NOT with De Morgan\'s laws', () => {
+    assert.deepStrictEqual(formatDisjuncts(translator.toDisjunctiveNormalForm(conditions('NOT (a = 1 AND b > 2)'))), [
+      ['a != 1'],
+      ['b <= 2']
+    ]);
+  });
+
+  it('refuses a clause that expands past 100 sub-queries', () => {
+    const clause = Array.from({ length: 7 }, (_, i) => `(f${i} = 1 OR g${i} = 2)`).join(' AND ');
+    assert.throws(() => translator.toDisjunctiveNormalForm(conditions(clause)), /more than 100 sub-queries/);
+  });
+});
+
+describe('canUseCompositeFilter', () => {
+  it('accepts OR within the disjunction limit', () => {
+    assert.strictEqual(translator.canUseCompositeFilter(conditions('a = 1 OR b IN (1, 2, 3)')), true);
+  });
+
+  it('refuses more than 30 disjunctions, counting each IN value as one', () => {
+    const clause = Array.from({ length: 31 }, (_, i) => `a = ${i}`).join(' OR ');
+    assert.strictEqual(translator.canUseCompositeFilter(conditions(clause)), false);
+
+    const values = Array.from({ length: 30 }, (_, i) => i).join(', ');
+    assert.strictEqual(translator.canUseCompositeFilter(conditions(`a = 1 OR b IN (${values})`)), false);
+  });
+
+  it('refuses two != filters, and NOT IN alongside OR', () => {
+    assert.strictEqual(translator.canUseCompositeFilter(conditions('a != 1 AND b != 2')), false);
+    assert.strictEqual(translator.canUseCompositeFilter(conditions("a NOT IN ('x') OR b = 2")), false);
+  });
+
+  it('rejects lists Firestore can\'t run', () => {
+    assert.throws(() => translator.canUseCompositeFilter(conditions('a IN ()')), /IN on "a" needs at least one value/);
+    assert.throws(() => translator.canUseCompositeFilter(conditions(`a IN (${list(31)})`)), /has 31 values; Firestore allows at most 30/);
+    assert.throws(() => translator.canUseCompositeFilter(conditions(`a NOT IN (${list(11)})`)), /has 11 values; Firestore allows at most 10/);
+    assert.throws(() => translator.canUseCompositeFilter(conditions('a NOT IN (1) AND b NOT IN (2)')), /only one != or NOT IN filter/);
+    assert.throws(() => translator.canUseCompositeFilter(conditions('a NOT IN (1) AND b IN (2)')), /NOT IN cannot be combined with IN/);
+  });
+});
+
+describe('prefixRange', () => {
+  const like = value => ({ type: 'condition', field: 'name', operator: 'LIKE', value: value });
+
+  it('turns a pattern without wildcards into an equality', () => {
+    assert.deepStrictEqual(translator.prefixRange(like('Ann')), { type: 'condition', field: 'name', operator: '=', value: 'Ann' });
+  });
+
+  it('turns a prefix into a range', () => {
+    assert.deepStrictEqual(formatDisjuncts(translator.toDisjunctiveNormalForm(translator.prefixRange(like('Ann%')))), [
+      ['name >= "Ann"', 'name < "Ano"']
+    ]);
+  });
+
+  it('keeps the LIKE next to the range when the rest is not only %', () => {
+    assert.deepStrictEqual(formatDisjuncts(translator.toDisjunctiveNormalForm(translator.prefixRange(like('A_n%')))), [
+      ['name >= "A"', 'name < "B"', 'name LIKE "A_n%"']
+    ]);
+  });
+
+  it('leaves patterns without a prefix, and document IDs, alone', () => {
+    assert.deepStrictEqual(translator.prefixRange(like('%nn')), like('%nn'));
+    const id = { ...like('u%'), field: '__name__' };
+    assert.deepStrictEqual(translator.prefixRange(id), id);
+  });
+});
+
+describe('client-side filters', () => {
+  const db = () => new FakeFirestore({
+    'users/u1': { name: 'Fran', email: 'fran@acme.com', bio: '  hi ' },
+    'users/u2': { name: 'frank', email: 'frank@other.org', deletedAt: null },
+    'users/u3': { name: 'Zoe', email: 'zoe@acme.com', sku: 'ABC-12', bio: '   ' },
+    'users/u4': { name: 'Fr%x', email: 'x@acme.com', sku: 'abc-1' }
+  });
+
+  /**
+   * @param {string} where - WHERE clause and anything after it
+   * @param {Array<string>} [warnings] - Collects the warnings of the query
+   * @returns {Promise<Array<string>>} IDs of the matching users
+   */
+  async function ids(where, warnings = []) {
+    const rows = await new SQLTranslator(db()).query(`SELECT id FROM users WHERE ${where}`,
+      null, { includeId: true, onWarning: warning => warnings.push(warning) });
+    return rows.map(row => row.__name__);
+  }
+
+  it('matches LIKE, ILIKE and REGEXP patterns, with a warning', async () => {
+    const warnings = [];
+
+    assert.deepStrictEqual(await ids("email LIKE '%@acme.com'", warnings), ['u1', 'u3', 'u4']);
+    assert.deepStrictEqual(warnings, [`Firestore can't run email LIKE "%@acme.com", so it is checked client-side on each document read`]);
+    assert.deepStrictEqual(await ids("name ILIKE 'fr%'"), ['u1', 'u2', 'u4']);
+    assert.deepStrictEqual(await ids("name NOT LIKE 'F%'"), ['u2', 'u3']);
+    assert.deepStrictEqual(await ids("sku REGEXP '^[A-Z]{3}-[0-9]+$'"), ['u3']);
+  });
+
+  it('sends a LIKE prefix to Firestore, and reads an escaped wildcard literally', async () => {
+    const warnings = [];
+
+    assert.deepStrictEqual(await ids("name LIKE 'Fr%'", warnings), ['u1', 'u4']);
+    assert.deepStrictEqual(await ids("name LIKE 'Fr\\%x'", warnings), ['u4']);
+    assert.deepStrictEqual(warnings, []);
+  });
+
+  it('tells a missing field from a null one, and applies functions', async () => {
+    assert.deepStrictEqual(await ids('deletedAt IS MISSING AND LENGTH(TRIM(bio)) > 0'), ['u1']);
+    assert.deepStrictEqual(await ids('deletedAt IS NOT MISSING'), ['u2']);
+    assert.deepStrictEqual(await ids("UPPER(name) = 'FRANK'"), ['u2']);
+  });
+
+  it('applies LIMIT and OFFSET after filtering', async () => {
+    assert.deepStrictEqual(await ids("email LIKE '%@acme.com' LIMIT 1 OFFSET 1"), ['u3']);
+  });
+
+  it('only writes the documents that match', async () => {
+    const database = db();
+    await new SQLTranslator(database).query("DELETE FROM users WHERE email LIKE '%@acme.com'", null, { confirm: async () => true });
+    assert.deepStrictEqual([...database.documents.keys()], ['users/u2']);
+  });
+});
+
+describe('parseSQL', () => {
+  it('rejects conditions over Firestore\'s limits before anything runs', () => {
+    const statements = [
+      [`SELECT * FROM users WHERE a IN (${list(31)})`, /IN on "a" has 31 values; Firestore allows at most 30/],
+      [`SELECT a, COUNT(*) FROM users WHERE a NOT IN (${list(11)}) GROUP BY a`, /NOT IN on "a" has 11 values; Firestore allows at most 10/],
+      ['EXPLAIN SELECT * FROM users WHERE a NOT IN (1) AND b NOT IN (2)', /only one != or NOT IN filter/],
+      ['UPDATE users SET c = 1 WHERE a NOT IN (1) AND b IN (2)', /NOT IN cannot be combined with IN/],
+      [`DELETE FROM users WHERE ${[1, 2, 3, 4, 5, 6, 7].map(n => `(a${n} = 1 OR b${n} = 2)`).join(' AND ')}`,
+        /WHERE clause expands to more than 100 sub-queries/],
+      [`SELECT u.a FROM users u JOIN teams t ON u.team = t.id WHERE u.a IN (${list(31)})`, /IN on "a" has 31 values/]
+    ];
+
+    statements.forEach(([sql, error]) => assert.throws(() => translator.parseSQL(sql), error, sql));
+  });
+});
+
+describe('mergeDocuments', () => {
+  it('drops documents matched by several sub-queries', () => {
+    const merged = translator.mergeDocuments([
+      [snapshot('users/b', {}), snapshot('users/a', {})],
+      [snapshot('users/a', {}), snapshot('users/c', {})]
+    ], []);
+
+    assert.deepStrictEqual(merged.map(doc => doc.ref.path), ['users/a', 'users/b', 'users/c']);
+  });
+
+  it('sorts on ORDER BY, breaking ties on the document path', () => {
+    const merged = translator.mergeDocuments([
+      [snapshot('users/a', { age: 30 }), snapshot('users/b', { age: 20 })],
+      [snapshot('users/c', { age: 30 })]
+    ], [{ field: 'age', direction: 'DESC' }]);
+
+    assert.deepStrictEqual(merged.map(doc => doc.ref.path), ['users/c', 'users/a', 'users/b']);
+  });
+
+  it('orders document paths segment by segment, as Firestore does', () => {
+    const merged = translator.mergeDocuments([
+      [snapshot('users/a-b/posts/p1', { n: 1 }), snapshot('users/a/posts/p1', { n: 1 })],
+      [snapshot('users/a/posts/p2', { n: 1 })]
+    ], [{ field: 'n', direction: 'ASC' }]);
+
+    assert.deepStrictEqual(merged.map(doc => doc.ref.path), ['users/a/posts/p1', 'users/a/posts/p2', 'users/a-b/posts/p1']);
+    assert.deepStrictEqual(translator.mergeDocuments(merged.map(doc => [doc]), [{ field: '__name__', direction: 'DESC' }]).map(doc => doc.ref.path),
+      ['users/a-b/posts/p1', 'users/a/posts/p2', 'users/a/posts/p1']);
+  });
+});
+
+describe('EXPLAIN', () => {
+  it('shows the sub-queries of a split WHERE clause and the steps done client-side', async () => {
+    const translator = new SQLTranslator(new FakeFirestore());
+    const plan = await translator.query("EXPLAIN SELECT name FROM users WHERE a = 1 OR b NOT IN (2) ORDER BY age DESC LIMIT 5");
+
+    assert.strictEqual(plan.source, 'collection users');
+    assert.deepStrictEqual(plan.queries.map(query => [query.where, query.orderBy, query.limit]), [
+      ['a == 1', 'age DESC', 5],
+      ['b not-in [2]', 'age DESC', 5]
+    ]);
+    assert.deepStrictEqual(plan.clientSide, [
+      'Merge the results of 2 queries, dropping duplicate documents',
+      'Sort documents by age DESC',
+      'Keep 5 row(s) (LIMIT)',
+      'Pick columns name from each document'
+    ]);
+  });
+
+  it('shows the field mask sent to Firestore', async () => {
+    const translator = new SQLTranslator(new FakeFirestore());
+    const select = async sql => (await translator.query(`EXPLAIN ${sql}`)).queries[0].select;
+
+    assert.strictEqual(await select('SELECT name, address.city FROM users'), 'name, address.city');
+    assert.strictEqual(await select('SELECT * FROM users'), 'all fields');
+    assert.strictEqual(await select('SELECT COUNT(*) FROM users'), 'none');
+  });
+
+  it('only explains SELECT statements', async () => {
+    await assert.rejects(new SQLTranslator(new FakeFirestore()).query('EXPLAIN UPDATE users SET a = 1'),
+      /EXPLAIN only supports SELECT queries, found "UPDATE"/);
+  });
+});
+
+describe('SHOW and DESCRIBE', () => {
+  const db = () => new FakeFirestore({
+    'users/u1': { name: 'Ann', age: 31, address: { city: 'Paris' } },
+    'users/u2': { name: 'Bob', age: 'unknown', tags: [] },
+    'users/u1/feed/f1': { seen: true },
+    'posts/p1': { title: 'Hello' }
+  });
+
+  it('lists root collections and the subcollections of a document', async () => {
+    const translator = new SQLTranslator(db());
+
+    assert.deepStrictEqual(await translator.query('SHOW COLLECTIONS'), [
+      { collection: 'posts', path: 'posts' },
+      { collection: 'users', path: 'users' }
+    ]);
+    assert.deepStrictEqual(await translator.query('SHOW SUBCOLLECTIONS OF users/u1'), [
+      { collection: 'feed', path: 'users/u1/feed' }
+    ]);
+  });
+
+  it('describes each field path of a sample, with its types and how often it is set', async () => {
+    assert.deepStrictEqual(await new SQLTranslator(db()).query('DESCRIBE users'), [
+      { field: 'address', types: 'map', present: '1/2 (50%)', examples: '' },
+      { field: 'address.city', types: 'string', present: '1/2 (50%)', examples: '"Paris"' },
+      { field: 'age', types: 'number (1), string (1)', present: '2/2 (100%)', examples: '31, "unknown"' },
+      { field: 'name', types: 'string', present: '2/2 (100%)', examples: '"Ann", "Bob"' },
+      { field: 'tags', types: 'array', present: '1/2 (50%)', examples: '[]' }
+    ]);
+    assert.strictEqual((await new SQLTranslator(db()).query('DESCRIBE users SAMPLE 1')).length, 4);
+  });
+});
+
+describe('stream', () => {
+  const db = () => new FakeFirestore({
+    'users/u1': { plan: 'pro', seats: 1 },
+    'users/u2': { plan: 'free', seats: 2 },
+    'users/u3': { plan: 'pro', seats: 3 }
+  });
+
+  /**
+   * @param {SQLTranslator} translator - Translator to run the query with
+   * @param {string} sql - SELECT statement
+   * @param {Object} [options] - Query options
+   * @returns {Promise<Array<Object>>} Every row the stream yields
+   */
+  async function collect(translator, sql, options = {}) {
+    const rows = [];
+    for await (const row of translator.stream(parse(sql), options)) {
+      rows.push(row);
+    }
+    return rows;
+  }
+
+  it('yields the rows of a query', async () => {
+    const rows = await collect(new SQLTranslator(db()), "SELECT seats FROM users WHERE plan = 'pro'");
+    assert.deepStrictEqual(rows, [{ seats: 1 }, { seats: 3 }]);
+  });
+
+  it('counts merged sub-queries against max_scan before reading them, unless a LIMIT bounds them', async () => {
+    const translator = new SQLTranslator(db(), { max_scan: 3 });
+    const sql = "SELECT seats FROM users WHERE plan = 'pro' OR seats NOT IN (2)";
+    const warnings = [];
+
+    await assert.rejects(collect(translator, sql),
+      /run as 2 Firestore queries merged client-side and would read 4 documents, more than the max_scan budget of 3/);
+    assert.deepStrictEqual(await collect(translator, `${sql} LIMIT 1`, { onWarning: warning => warnings.push(warning) }), [{ seats: 1 }]);
+    assert.deepStrictEqual(warnings, []);
+  });
+
+  it('counts client-side aggregates and GROUP BY scans against max_scan', async () => {
+    const translator = new SQLTranslator(db(), { max_scan: 2 });
+
+    await assert.rejects(collect(translator, "SELECT COUNT(*) FROM users WHERE plan = 'pro' OR seats NOT IN (2)"),
+      /COUNT\(\*\) is evaluated client-side and would read 4 documents/);
+    await assert.rejects(collect(translator, 'SELECT plan, COUNT(*) FROM users GROUP BY plan'),
+      /GROUP BY is evaluated client-side and would read 3 documents/);
+  });
+
+  it('stops with a QueryCancelledError once the signal is aborted', async () => {
+    const translator = new SQLTranslator(db());
+    const controller = new AbortController();
+    const rows = translator.stream(parse('SELECT * FROM users'), { signal: controller.signal });
+
+    await rows.next();
+    controller.abort();
+    await assert.rejects(rows.next(), QueryCancelledError);
+    await assert.rejects(collect(translator, 'SELECT plan, COUNT(*) FROM users GROUP BY plan', { signal: controller.signal }),
+      QueryCancelledError);
+  });
+
+  it('formats toDate() with the date_format and timezone settings, and rejects bad ones', async () => {
+    const events = new FakeFirestore({ 'events/e1': { at: new Date('2024-01-02T15:04:05Z') } });
+    const translator = new SQLTranslator(events, { timezone: 'Asia/Tokyo', date_format: 'YYYY-MM-DD HH:mm Z' });
+
+    assert.deepStrictEqual(await collect(translator, 'SELECT toDate(at) FROM events'), [{ 'toDate(at)': '2024-01-03 00:04 +09:00' }]);
+    assert.throws(() => translator.setSetting('timezone', 'Mars/Base'), /timezone must be an IANA time zone/);
+    assert.throws(() => translator.setSetting('date_format', ''), /date_format must not be empty/);
+  });
+
+  it('names the columns of the rows when the SELECT list does', () => {
+    const columns = sql => translator.columnNames(translator.parseSQL(sql));
+
+    assert.deepStrictEqual(columns('SELECT plan AS p, seats, seats * 2 FROM users'), ['p', 'seats', 'seats * 2']);
+    assert.deepStrictEqual(columns('SELECT plan FROM COLLECTION_GROUP(users)'), ['plan', '__path__', '__parent__']);
+    assert.deepStrictEqual(columns('SELECT plan, COUNT(*) AS n FROM COLLECTION_GROUP(users) GROUP BY plan'), ['plan', 'n']);
+    assert.strictEqual(columns('SELECT * FROM users'), null);
+  });
+
+  it('only streams SELECT statements', async () => {
+    await assert.rejects(collect(new SQLTranslator(db()), "UPDATE users SET plan = 'pro'"),
+      /Only SELECT statements can be streamed, not UPDATE/);
+  });
+});
+
+describe('nextPage', () => {
+  const db = () => new FakeFirestore({
+    'users/u1': { plan: 'pro' },
+    'users/u2': { plan: 'free' },
+    'users/u3': { plan: 'pro' }
+  });
+
+  it('continues a SELECT with a LIMIT after its last document', async () => {
+    const translator = new SQLTranslator(db());
+
+    assert.deepStrictEqual(await translator.query('SELECT id FROM users LIMIT 2', null, { includeId: true }), [{ __name__: 'u1' }, { __name__: 'u2' }]);
+    assert.strictEqual(translator.hasNextPage(), true);
+    assert.deepStrictEqual(await translator.nextPage({ includeId: true }), [{ __name__: 'u3' }]);
+    assert.strictEqual(translator.hasNextPage(), false);
+  });
+
+  it('forgets the page once a query without pages runs', async () => {
+    const translator = new SQLTranslator(db());
+
+    for (const sql of ['SELECT COUNT(*) FROM users', 'SELECT plan, COUNT(*) FROM users GROUP BY plan',
+      'SELECT a.plan FROM users a JOIN users b ON a.plan = b.plan']) {
+      await translator.query('SELECT * FROM users LIMIT 1');
+      await translator.query(sql);
+      assert.strictEqual(translator.hasNextPage(), false, sql);
+      await assert.rejects(translator.nextPage(), /No previous query to continue/);
+    }
+  });
+});
+
+describe('JOIN', () => {
+  const db = () => new FakeFirestore({
+    'users/u1': { email: 'ann@example.com', plan: 'pro' },
+    'users/u2': { email: 'bob@example.com', plan: 'free' },
+    'videos/v1': { title: 'A', userId: 'u1', views: 10 },
+    'videos/v2': { title: 'B', userId: 'u2', views: 20 },
+    'videos/v3': { title: 'C', userId: 'u9', views: 30 },
+    'comments/c1': { videoId: 'v1', text: 'nice' },
+    'comments/c2': { videoId: 'v1', text: 'meh' }
+  });
+
+  it('looks joined documents up by ID, keeping unmatched rows only for a LEFT JOIN', async () => {
+    const translator = new SQLTranslator(db());
+    const warnings = [];
+
+    assert.deepStrictEqual(await translator.query('SELECT v.title, u.email FROM videos v JOIN users u ON v.userId = u.id ORDER BY v.views DESC',
+      null, { onWarning: warning => warnings.push(warning) }), [
+      { 'v.title': 'B', 'u.email': 'bob@example.com' },
+      { 'v.title': 'A', 'u.email': 'ann@example.com' }
+    ]);
+    assert.deepStrictEqual(warnings, [
+      'JOIN is evaluated client-side: read document(s) 3 from videos, 3 from users (at most 10000 per collection, see max_scan)'
+    ]);
+    assert.deepStrictEqual(await translator.query('SELECT v.title, u.email FROM videos v LEFT JOIN users u ON v.userId = u.id'), [
+      { 'v.title': 'A', 'u.email': 'ann@example.com' },
+      { 'v.title': 'B', 'u.email': 'bob@example.com' },
+      { 'v.title': 'C' }
+    ]);
+  });
+
+  it('queries other joined fields with IN, one row per match', async () => {
+    assert.deepStrictEqual(await new SQLTranslator(db()).query('SELECT v.title, k.text FROM videos v JOIN comments k ON k.videoId = v.id'), [
+      { 'v.title': 'A', 'k.text': 'nice' },
+      { 'v.title': 'A', 'k.text': 'meh' }
+    ]);
+  });
+
+  it('checks conditions on joined fields client-side', async () => {
+    assert.deepStrictEqual(await new SQLTranslator(db()).query(
+      "SELECT v.title FROM videos v JOIN users u ON v.userId = u.id WHERE u.plan = 'pro'"), [{ 'v.title': 'A' }]);
+  });
+
+  it('reads the FROM collection a page at a time until the LIMIT is filled', async () => {
+    const database = db();
+
+    assert.deepStrictEqual(await new SQLTranslator(database).query('SELECT * FROM videos v JOIN users u ON v.userId = u.id LIMIT 1'), [
+      { 'v.title': 'A', 'v.userId': 'u1', 'v.views': 10, 'u.email': 'ann@example.com', 'u.plan': 'pro' }
+    ]);
+    assert.strictEqual(database.reads, 2);
+  });
+
+  it('refuses a join reading more than max_scan documents from a collection', async () => {
+    await assert.rejects(new SQLTranslator(db(), { max_scan: 2 }).query('SELECT v.title FROM videos v JOIN users u ON v.userId = u.id'),
+      /JOIN would read more than the max_scan budget of 2 documents from videos \(v\)/);
+  });
+
+  it('refuses GROUP BY and aggregates', async () => {
+    await assert.rejects(new SQLTranslator(db()).query('SELECT v.title FROM videos v JOIN users u ON v.userId = u.id GROUP BY v.title'),
+      /JOIN cannot be combined with GROUP BY, HAVING, DISTINCT or aggregate functions/);
+  });
+});
@@ -0,0 +1,171 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { SQLTranslator } = require('../sql-translator');
+const { FakeFirestore } = require('./fake-firestore');
+
+describe('INSERT', () => {
+  it('creates one document per row, with the id column as document ID', async () => {
+    const db = new FakeFirestore();
+    const translator = new SQLTranslator(db);
+
+    const result = await translator.query(
+      "INSERT INTO users (id, name, tags, address.city) VALUES ('u1', 'Ann', ['a', 1], 'Paris'), ('u2', 'Bob', [], NULL)");
+
+    assert.deepStrictEqual(result, [{ __name__: 'u1' }, { __name__: 'u2' }]);
+    assert.deepStrictEqual(db.data('users/u1'), { name: 'Ann', tags: ['a', 1], address: { city: 'Paris' } });
+    assert.deepStrictEqual(db.data('users/u2'), { name: 'Bob', tags: [], address: { city: null } });
+  });
+
+  it('writes map literals and lets Firestore pick IDs without an id column', async () => {
+    const db = new FakeFirestore();
+    const translator = new SQLTranslator(db);
+
+    const [row] = await translator.query("INSERT INTO users/u1/feed (meta) VALUES ({kind: 'post', seen: false})");
+
+    assert.deepStrictEqual(db.data(`users/u1/feed/${row.__name__}`), { meta: { kind: 'post', seen: false } });
+  });
+
+  it('writes in batches of 500 and says how many were inserted when a later batch fails', async () => {
+    const db = new FakeFirestore({ 'items/i600': { taken: true } });
+    const translator = new SQLTranslator(db);
+    const values = Array.from({ length: 600 }, (_, i) => `('i${i + 1}')`).join(', ');
+
+    await assert.rejects(translator.query(`INSERT INTO items (id) VALUES ${values}`),
+      /ALREADY_EXISTS.*\(500 document\(s\) were already inserted by earlier batches\)/);
+    assert.deepStrictEqual(db.commits, [500]);
+    assert.deepStrictEqual(db.data('items/i500'), {});
+    assert.strictEqual(db.data('items/i501'), undefined);
+  });
+});
+
+describe('UPDATE', () => {
+  const users = () => new FakeFirestore({
+    'users/u1': { name: 'Ann', plan: 'pro', logins: 1, tags: ['a'], old: true },
+    'users/u2': { name: 'Bob', plan: 'free', logins: 5 },
+    'users/u3': { name: 'Cy', plan: 'pro' }
+  });
+
+  it('applies values and field transforms to the matching documents once confirmed', async () => {
+    const db = users();
+    const translator = new SQLTranslator(db);
+    const previews = [];
+
+    const result = await translator.query(
+      "UPDATE users SET plan = 'team', logins = INCREMENT(2), tags = ARRAY_UNION('a', 'b'), old = DELETE_FIELD(), seenAt = NOW() WHERE plan = 'pro'",
+      null, { confirm: preview => previews.push(preview) });
+
+    assert.deepStrictEqual(result, [{ __name__: 'u1' }, { __name__: 'u3' }]);
+    assert.deepStrictEqual(previews, [{
+      action: 'UPDATE',
+      count: 2,
+      sample: [
+        { id: 'u1', data: { plan: 'pro', logins: 1, tags: ['a'], old: true, seenAt: undefined } },
+        { id: 'u3', data: { plan: 'pro', logins: undefined, tags: undefined, old: undefined, seenAt: undefined } }
+      ]
+    }]);
+
+    const { seenAt, ...updated } = db.data('users/u1');
+    assert.deepStrictEqual(updated, { name: 'Ann', plan: 'team', logins: 3, tags: ['a', 'b'] });
+    assert.ok(seenAt instanceof Date);
+    assert.strictEqual(db.data('users/u3').logins, 2);
+    assert.deepStrictEqual(db.data('users/u2'), { name: 'Bob', plan: 'free', logins: 5 });
+  });
+
+  it('writes nothing when the confirmation is declined', async () => {
+    const db = users();
+    const translator = new SQLTranslator(db);
+
+    const result = await translator.query("UPDATE users SET plan = 'team'", null, { confirm: () => false });
+
+    assert.strictEqual(result, null);
+    assert.deepStrictEqual(db.commits, []);
+  });
+
+  it('needs a confirm option unless confirm_writes is off', async () => {
+    await assert.rejects(new SQLTranslator(users()).query("UPDATE users SET plan = 'team'"),
+      /UPDATE needs confirmation; pass a confirm option or SET confirm_writes = false/);
+
+    const db = users();
+    await new SQLTranslator(db, { confirm_writes: false }).query("UPDATE users SET plan = 'team'");
+    assert.deepStrictEqual(db.commits, [3]);
+  });
+
+  it('refuses to change more documents than max_update, without writing any', async () => {
+    const db = users();
+    const translator = new SQLTranslator(db, { max_update: 2, confirm_writes: false });
+
+    await assert.rejects(translator.query("UPDATE users SET plan = 'team'"),
+      /UPDATE matches more than 2 documents \(the max_update cap\), nothing was updated/);
+    assert.deepStrictEqual(db.commits, []);
+
+    await translator.query("UPDATE users SET plan = 'team' WHERE logins >= 1");
+    assert.deepStrictEqual(db.commits, [2]);
+  });
+
+  it('returns no rows when nothing matches', async () => {
+    const db = users();
+    const result = await new SQLTranslator(db).query("UPDATE users SET plan = 'team' WHERE plan = 'gold'");
+
+    assert.deepStrictEqual(result, []);
+    assert.deepStrictEqual(db.commits, []);
+  });
+});
+
+describe('DELETE', () => {
+  const sessions = () => new FakeFirestore({
+    'sessions/s1': { user: 'ann', expired: true },
+    'sessions/s2': { user: 'bob', expired: true },
+    'sessions/s3': { user: 'cy', expired: false },
+    'sessions/s1/events/e1': { kind: 'login' }
+  });
+
+  it('removes the matching documents once confirmed', async () => {
+    const db = sessions();
+    const translator = new SQLTranslator(db);
+    const previews = [];
+
+    const result = await translator.query('DELETE FROM sessions WHERE expired = true', null, { confirm: preview => previews.push(preview) });
+
+    assert.deepStrictEqual(result, [{ __name__: 's1' }, { __name__: 's2' }]);
+    assert.deepStrictEqual(previews.map(preview => [preview.action, preview.count, preview.cascade]), [['DELETE', 2, false]]);
+    assert.deepStrictEqual([...db.documents.keys()], ['sessions/s3', 'sessions/s1/events/e1']);
+  });
+
+  it('deletes subcollections too with CASCADE', async () => {
+    const db = sessions();
+    await new SQLTranslator(db, { confirm_writes: false }).query("DELETE FROM sessions WHERE user = 'ann' CASCADE");
+
+    assert.deepStrictEqual([...db.documents.keys()], ['sessions/s2', 'sessions/s3']);
+  });
+
+  it('only lists what would be deleted with DRY RUN', async () => {
+    const db = sessions();
+    const result = await new SQLTranslator(db).query('DRY RUN DELETE FROM sessions WHERE expired = true CASCADE');
+
+    assert.deepStrictEqual(result, [
+      { __name__: 's1', subcollections: 'events' },
+      { __name__: 's2', subcollections: '' }
+    ]);
+    assert.strictEqual(db.documents.size, 4);
+  });
+
+  it('writes nothing when the confirmation is declined or missing', async () => {
+    const db = sessions();
+
+    assert.strictEqual(await new SQLTranslator(db).query('DELETE FROM sessions', null, { confirm: () => false }), null);
+    await assert.rejects(new SQLTranslator(db).query('DELETE FROM sessions'), /DELETE needs confirmation/);
+    assert.strictEqual(db.documents.size, 4);
+  });
+
+  it('refuses to remove more documents than max_delete, without deleting any', async () => {
+    const db = sessions();
+    const translator = new SQLTranslator(db, { max_delete: 2, confirm_writes: false });
+
+    await assert.rejects(translator.query('DELETE FROM sessions'),
+      /DELETE matches more than 2 documents \(the max_delete cap\), nothing was deleted/);
+    assert.strictEqual(db.documents.size, 4);
+
+    await translator.query('DELETE FROM sessions WHERE expired = true');
+    assert.deepStrictEqual(db.commits, [2]);
+  });
+});